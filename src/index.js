@@ -4,6 +4,17 @@
 // Core VFS classes
 const { TaskVFS } = require('../taskcode/vfs.js');
 const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { VFSError, VFSQuotaError, VFSConflictError, VFSLockError, VFSPermissionError, ToolError } = require('../taskcode/errors.js');
+const { ERROR_CODES, normalizeError } = require('../taskcode/error-codes.js');
+const middleware = require('../taskcode/middleware.js');
+const { Cassette } = require('../taskcode/cassette.js');
+const { VFSServer } = require('../taskcode/vfs-server.js');
+const { createRegistry, TaskRegistry, LocalRegistry, SupabaseRegistry } = require('../taskcode/registry/index.js');
+const { createBackend, DiskBackend, MemoryBackend, S3Backend } = require('../taskcode/backends/index.js');
+const { TaskRunner } = require('./task-runner.js');
+const { compileTask } = require('./task-module.js');
+const { TaskHarness } = require('./task-harness.js');
 
 // Named exports for clarity
 module.exports = {
@@ -13,5 +24,54 @@ module.exports = {
 
   // HostTools: Host tool interface for task code execution
   // Wraps VFS operations as callable tools within task code
-  HostTools
+  HostTools,
+
+  // ToolRegistry: namespaced host tool providers beyond the VFS set
+  // (HostTools.registry is the shared default)
+  ToolRegistry,
+
+  // TaskRunner: runs task modules in-process, suspending on each host call
+  // and resuming by replaying the run's call log; compileTask loads a task file
+  TaskRunner,
+  compileTask,
+
+  // TaskHarness: runs a task against mocked host services and an in-memory
+  // VFS, for unit tests
+  TaskHarness,
+
+  // Task registries: published tasks, their versions and run records, kept
+  // locally or in Supabase (select with createRegistry('local' | 'supabase'))
+  createRegistry,
+  TaskRegistry,
+  LocalRegistry,
+  SupabaseRegistry,
+
+  // VFSServer: HTTP API for browsing and editing task VFS scopes, with
+  // range reads, ETags, Server-Sent Events and token auth
+  VFSServer,
+
+  // Built-in host tool middleware: hostTools.use(middleware.audit()) etc.
+  middleware,
+
+  // Cassette: recorded host tool calls for offline tests (see middleware.cassette)
+  Cassette,
+
+  // Storage backends for TaskVFS (select with `{ backend: 'disk' | 'memory' | 's3' }`)
+  createBackend,
+  DiskBackend,
+  MemoryBackend,
+  S3Backend,
+
+  // Error classes thrown by TaskVFS (each carries a stable `code`)
+  VFSError,
+  VFSQuotaError,
+  VFSConflictError,
+  VFSLockError,
+  VFSPermissionError,
+
+  // Host tool failures: ToolError for providers, and the code taxonomy
+  // every failed call is normalized into
+  ToolError,
+  ERROR_CODES,
+  normalizeError
 };
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/index.js');
+const { TaskRunner } = require('./task-runner.js');
+const { compileTask } = require('./task-module.js');
+
+const SCOPES = ['run', 'task', 'global'];
+
+// Mock methods are keyed by method path ('gmail.users.messages.list'). A
+// function is called as the handler with (params, context); any other value
+// is returned as the result of every call.
+function mockHandler(value) {
+  return typeof value === 'function' ? value : () => structuredClone(value);
+}
+
+// Runs task code against hand-written fakes of its host services:
+//
+//   const harness = new TaskHarness({
+//     mocks: {
+//       gapi: { 'admin.domains.list': () => ({ domains: [...] }) },
+//       keystore: { get: ({ key }) => ({ value: 'test' }) }
+//     },
+//     files: { task: { 'settings.json': { limit: 5 } } }
+//   });
+//   const run = await harness.run('./taskcode/endpoints/my-task.js', { userId: 'u1' });
+//   run.result; harness.sequence(); await harness.files('run');
+//
+// Each harness has its own tool registry and an in-memory VFS, so nothing
+// touches disk or the shared registry. Tasks run through TaskRunner, with the
+// same suspend and replay as a real run.
+class TaskHarness {
+  constructor(options = {}) {
+    const { mocks = {}, files = {}, taskId = null, ...hostOptions } = options;
+    this.registry = new ToolRegistry();
+    this.backend = new MemoryBackend();
+    this.taskId = taskId;
+    this.seedFiles = files;
+    this.calls = [];
+    this.lastRun = null;
+
+    for (const [service, methods] of Object.entries(mocks)) this.mock(service, methods);
+
+    this.runner = new TaskRunner('memory', {
+      ...hostOptions,
+      backend: this.backend,
+      registry: this.registry,
+      middleware: [this._recorder(), ...(hostOptions.middleware || [])]
+    });
+  }
+
+  // Declares (or replaces) the fake methods of a service.
+  mock(service, methods) {
+    if (this.registry.getProvider(service)) this.registry.unregister(service);
+    this.registry.register(service, {
+      description: `Mock ${service}`,
+      methods: Object.entries(methods).map(([methodPath, value]) => ({ path: methodPath, handler: mockHandler(value) }))
+    });
+    return this;
+  }
+
+  // Records every host call the task makes in the order it was made,
+  // including the items of host.batch calls.
+  _recorder() {
+    return async (ctx, next) => {
+      const call = { service: ctx.service, method: ctx.method, params: ctx.params, success: null, result: undefined };
+      this.calls.push(call);
+      const result = await next();
+      call.success = !!result && result.success !== false;
+      call.result = result;
+      return result;
+    };
+  }
+
+  _vfs(taskId, runId) {
+    return new TaskVFS('memory', taskId, runId, { backend: this.backend, journal: false });
+  }
+
+  async _seed(vfs) {
+    for (const [scope, entries] of Object.entries(this.seedFiles)) {
+      if (!SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope in files: ${scope}. Valid scopes: ${SCOPES.join(', ')}`);
+      }
+      for (const [filepath, content] of Object.entries(entries)) {
+        await vfs.writeFile(filepath, typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content, null, 2), scope);
+      }
+    }
+  }
+
+  // Runs the task to completion with `files` seeded, and returns the runner's
+  // final state: status, result, error, calls and suspensions.
+  async run(task, input = {}, options = {}) {
+    const compiled = compileTask(task);
+    const taskId = options.taskId || this.taskId || compiled.name;
+    const runId = options.runId || `test-${crypto.randomBytes(4).toString('hex')}`;
+
+    const vfs = this._vfs(taskId, runId);
+    await vfs.ready;
+    await this._seed(vfs);
+
+    this.calls = [];
+    this.lastRun = await this.runner.run(compiled, input, { taskId, runId });
+    return this.lastRun;
+  }
+
+  _last() {
+    if (!this.lastRun) {
+      throw new Error('No task has run on this harness yet');
+    }
+    return this.lastRun;
+  }
+
+  // Calls to a service, optionally one method ('gmail.users.messages.list').
+  callsTo(service, method = null) {
+    return this.calls.filter(call => call.service === service && (method === null || call.method === method));
+  }
+
+  // The calls as 'service.method' strings, for asserting on their order.
+  sequence() {
+    return this.calls.map(call => `${call.service}.${call.method}`);
+  }
+
+  // The files of a scope after the last run, as { path: content }.
+  async files(scope = 'run', options = {}) {
+    const { taskId, runId } = this._last();
+    const vfs = this._vfs(taskId, runId);
+    await vfs.ready;
+
+    const files = {};
+    for await (const { relative, entry } of vfs._walk(vfs.scopeKeys[scope], '')) {
+      if (entry.isDirectory) continue;
+      const data = await vfs.backend.readFile(vfs._resolveKey(relative, scope));
+      files[relative] = options.encoding === 'buffer' ? data : data.toString(options.encoding || 'utf8');
+    }
+    return files;
+  }
+
+  async readFile(filepath, scope = 'run') {
+    const { taskId, runId } = this._last();
+    const vfs = this._vfs(taskId, runId);
+    await vfs.ready;
+    return (await vfs.readFile(filepath, scope)).content;
+  }
+
+  async readJSON(filepath, scope = 'run') {
+    return JSON.parse(await this.readFile(filepath, scope));
+  }
+}
+
+module.exports = { TaskHarness };
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Module = require('module');
+const { AsyncLocalStorage } = require('async_hooks');
+const { extractInputSchema } = require('../taskcode/task-inputs.js');
+
+// Task files are written for deno-executor: they may mix `import`/`export`
+// with `module.exports`, and call __callHostTool__ as a free variable. To run
+// them under plain Node the top-level import and export statements are
+// rewritten to CommonJS, and the source is compiled once into a factory that
+// evaluates a fresh copy of the module around a given __callHostTool__.
+
+const IMPORT_FROM = /^import\s+([\w$*{][^;]*?)\s+from\s+(['"])([^'"]+)\2;?/gm;
+const IMPORT_BARE = /^import\s+(['"])([^'"]+)\1;?/gm;
+const EXPORT_DECLARATION = /^export\s+(?!default\b)((?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+)|(?:const|let|var)\s+([\w$]+))/gm;
+const EXPORT_LIST = /^export\s*\{([^}]*)\};?/gm;
+const EXPORT_DEFAULT = /^export\s+default\s+/gm;
+
+function importBindings(clause, moduleVar) {
+  const statements = [];
+  let rest = clause.trim();
+
+  const namespace = rest.match(/^\*\s+as\s+([\w$]+)$/);
+  if (namespace) return [`const ${namespace[1]} = ${moduleVar};`];
+
+  const named = rest.match(/\{([\s\S]*)\}/);
+  if (named) {
+    rest = rest.replace(named[0], '').replace(/,\s*$/, '').trim();
+    const bindings = named[1].split(',').map(part => part.trim()).filter(Boolean)
+      .map(part => part.replace(/^([\w$]+)\s+as\s+([\w$]+)$/, '$1: $2'));
+    statements.push(`const { ${bindings.join(', ')} } = ${moduleVar};`);
+  }
+
+  const star = rest.match(/,?\s*\*\s+as\s+([\w$]+)$/);
+  if (star) {
+    statements.push(`const ${star[1]} = ${moduleVar};`);
+    rest = rest.replace(star[0], '').trim();
+  }
+
+  const defaultName = rest.replace(/,$/, '').trim();
+  if (defaultName) {
+    statements.unshift(`const ${defaultName} = ${moduleVar} && ${moduleVar}.default !== undefined ? ${moduleVar}.default : ${moduleVar};`);
+  }
+  return statements;
+}
+
+function toCommonJS(source) {
+  const exported = [];
+  let counter = 0;
+
+  const code = source
+    .replace(IMPORT_FROM, (match, clause, quote, specifier) => {
+      const moduleVar = `__import${counter++}__`;
+      return [`const ${moduleVar} = require(${JSON.stringify(specifier)});`, ...importBindings(clause, moduleVar)].join(' ');
+    })
+    .replace(IMPORT_BARE, (match, quote, specifier) => `require(${JSON.stringify(specifier)});`)
+    .replace(EXPORT_DECLARATION, (match, declaration, fn, cls, variable) => {
+      exported.push([fn || cls || variable, fn || cls || variable]);
+      return declaration;
+    })
+    .replace(EXPORT_LIST, (match, list) => {
+      for (const part of list.split(',').map(item => item.trim()).filter(Boolean)) {
+        const [local, name = local] = part.split(/\s+as\s+/);
+        exported.push([local, name]);
+      }
+      return '';
+    })
+    .replace(EXPORT_DEFAULT, 'module.exports.default = ');
+
+  const assignments = exported.map(([local, name]) => `module.exports[${JSON.stringify(name)}] = ${local};`);
+  return `${code}\n${assignments.join('\n')}`;
+}
+
+// Published versions are keyed by the same hash (see publish.ts).
+function contentHash(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// In-process task functions reach __callHostTool__ as a global. The global
+// is one dispatcher that forwards to the callHostTool of the execution it is
+// called from, so concurrent runs never see each other's.
+const executions = new AsyncLocalStorage();
+
+function dispatchHostTool(...args) {
+  const callHostTool = executions.getStore();
+  if (!callHostTool) {
+    return Promise.reject(new Error('__callHostTool__ was called outside a task execution'));
+  }
+  return callHostTool(...args);
+}
+
+// A task function defined in-process, e.g. in a test.
+function compileFunction(fn, name) {
+  return {
+    name: name || fn.name || 'task',
+    filename: null,
+    version: contentHash(fn.toString()),
+    config: fn.config || null,
+    inputSchema: extractInputSchema({ inputs: fn.config && fn.config.inputs, code: fn.toString() }),
+    load(callHostTool) {
+      globalThis.__callHostTool__ = dispatchHostTool;
+      return input => executions.run(callHostTool, () => fn(input));
+    }
+  };
+}
+
+// task: a file path, { name, code[, filename] } as published to
+// task_functions, or a function.
+function compileTask(task) {
+  let name;
+  let code;
+  let filename;
+
+  if (typeof task === 'function') {
+    return compileFunction(task);
+  } else if (typeof task === 'string') {
+    filename = path.resolve(task);
+    code = fs.readFileSync(filename, 'utf8');
+    name = path.basename(filename).replace(/\.[^.]+$/, '');
+  } else if (task && typeof task.code === 'string') {
+    name = task.name;
+    code = task.code;
+    filename = path.resolve(task.filename || `${name || 'task'}.js`);
+  } else {
+    throw new Error('Task must be a file path or { name, code }');
+  }
+
+  let wrapper;
+  try {
+    const script = new vm.Script(
+      `(function (exports, require, module, __filename, __dirname, __callHostTool__) {\n${toCommonJS(code)}\n})`,
+      { filename }
+    );
+    wrapper = script.runInThisContext();
+  } catch (error) {
+    throw new Error(`Failed to load task ${name || filename}: ${error.message}`);
+  }
+
+  const taskRequire = Module.createRequire(filename);
+
+  // Evaluates the module and returns its exports.
+  const instantiate = callHostTool => {
+    const taskModule = { exports: {} };
+    wrapper.call(taskModule.exports, taskModule.exports, taskRequire, taskModule, filename, path.dirname(filename), callHostTool);
+    return taskModule.exports;
+  };
+
+  const loading = () => Promise.reject(new Error('__callHostTool__ cannot be called while the task module loads'));
+  let config;
+  try {
+    const initial = instantiate(loading);
+    config = initial && initial.config ? initial.config : null;
+  } catch (error) {
+    throw new Error(`Failed to load task ${name || filename}: ${error.message}`);
+  }
+
+  return {
+    name: (config && config.name) || name,
+    filename,
+    version: contentHash(code),
+    config,
+    inputSchema: extractInputSchema({ inputs: config && config.inputs, code }),
+    // The task's entry point from a fresh copy of the module.
+    load(callHostTool) {
+      return entryPoint(instantiate(callHostTool), config && config.name ? config.name : name);
+    }
+  };
+}
+
+// module.exports = fn, a default export, the export named after the task
+// (my-task → my_task), or the only exported function.
+function entryPoint(exports, name) {
+  if (typeof exports === 'function') return exports;
+  if (typeof exports.default === 'function') return exports.default;
+
+  const named = name && exports[name.replace(/[^\w$]/g, '_')];
+  if (typeof named === 'function') return named;
+
+  const functions = Object.values(exports).filter(value => typeof value === 'function');
+  if (functions.length === 1) return functions[0];
+
+  throw new Error(`Cannot find the entry point of task ${name}: export a single function, a default export or ${name ? name.replace(/[^\w$]/g, '_') : 'one named after the task'}`);
+}
+
+module.exports = { compileTask, contentHash, toCommonJS };
@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { normalizeError } = require('../taskcode/error-codes.js');
+const { prepareInput } = require('../taskcode/task-inputs.js');
+const { createRegistry } = require('../taskcode/registry/index.js');
+const { LockManager } = require('../taskcode/vfs-locks.js');
+const { compileTask } = require('./task-module.js');
+
+const STATE_FILE = 'runner/state.json';
+const CALLS_FILE = 'runner/calls.jsonl';
+const DEFAULT_MAX_SUSPENSIONS = 10000;
+const RESUME_LEASE_MS = 60000;
+
+// Runs tasks in this process the way deno-executor does, without a stack
+// processor. Every execution starts the task from the top: __callHostTool__
+// answers calls already in the run's call log from the log, and the first call
+// that is not there suspends the run. resume() performs that call through
+// HostTools, appends the result to the log and executes the task again, so
+// each resume is a deterministic replay up to one call further.
+//
+// State lives in the run's meta area (runner/state.json and runner/calls.jsonl),
+// so a run suspended by one process can be resumed by another. The status is
+// also set on the run's VFS, where retention sees it. Tasks must be
+// deterministic apart from their host calls; a replay that issues a different
+// call than the log recorded fails the run.
+//
+// A run is pinned to the version (content hash) of the code it started on. If
+// the task has changed by the time it resumes, the pinned code comes from
+// loadVersion(taskName, hash), and without it the resume fails.
+//
+// With a task registry (taskRegistry: 'local', 'supabase' or an instance),
+// tasks can be named instead of given as files, pinned versions load from it,
+// and every run and host call is recorded in task_runs and stack_runs.
+class TaskRunner {
+  // options are passed to each HostTools (backend, permissions, registry,
+  // middleware, ...); maxSuspensions bounds run(), and loadVersion returns
+  // the code of a version (or null).
+  constructor(ecosystemPath, options = {}) {
+    this.ecosystemPath = ecosystemPath;
+    const {
+      maxSuspensions = DEFAULT_MAX_SUSPENSIONS,
+      loadVersion = null,
+      taskRegistry = null,
+      taskRegistryOptions = {},
+      ...hostOptions
+    } = options;
+    this.maxSuspensions = maxSuspensions;
+    this.taskRegistry = taskRegistry ? createRegistry(taskRegistry, taskRegistryOptions) : null;
+    this.loadVersion = loadVersion || (this.taskRegistry ? (name, hash) => this.taskRegistry.loadVersion(name, hash) : null);
+    this.hostOptions = hostOptions;
+  }
+
+  // Task files are read again on every start and resume, so a resume sees
+  // the file as it is now and can tell whether it still matches the run. A
+  // bare name ('my-task') is the current version in the task registry.
+  async _compile(task) {
+    if (task && typeof task.load === 'function') return task;
+    if (this.taskRegistry && typeof task === 'string' && !/[\\/]|\.[cm]?js$/.test(task)) {
+      const published = await this.taskRegistry.getTask(task);
+      if (!published) {
+        throw new Error(`Task ${task} is not in the task registry`);
+      }
+      return compileTask({ name: published.name, code: published.code });
+    }
+    return compileTask(task);
+  }
+
+  // Mirrors the run into task_runs when there is a task registry.
+  async _recordRun(state) {
+    if (!this.taskRegistry) return;
+    await this.taskRegistry.saveRun({
+      id: state.runId,
+      task_name: state.task,
+      task_version: state.version,
+      status: state.status,
+      input: state.input,
+      result: state.result,
+      error: state.error,
+      created_at: state.createdAt,
+      updated_at: state.updatedAt
+    });
+  }
+
+  async _recordCall(runId, entry) {
+    if (!this.taskRegistry) return;
+    await this.taskRegistry.saveStackRun({
+      id: `${runId}-${entry.seq}`,
+      parent_task_run_id: runId,
+      seq: entry.seq,
+      service_name: entry.service,
+      method_name: [].concat(entry.method).join('.'),
+      args: entry.params,
+      result: entry.result,
+      status: entry.result && entry.result.success === false ? 'failed' : 'completed',
+      created_at: entry.timestamp,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  _hostTools(compiled, taskId, runId) {
+    return new HostTools(this.ecosystemPath, taskId, runId, { config: compiled.config, ...this.hostOptions });
+  }
+
+  async _readState(hostTools) {
+    return hostTools.vfs._readJSON(hostTools.vfs._metaKey('run', STATE_FILE));
+  }
+
+  async _writeState(hostTools, state) {
+    state.updatedAt = new Date().toISOString();
+    await hostTools.vfs._writeJSON(hostTools.vfs._metaKey('run', STATE_FILE), state);
+    await hostTools.vfs.setRunStatus(state.status);
+  }
+
+  async _readCalls(hostTools) {
+    const key = hostTools.vfs._metaKey('run', CALLS_FILE);
+    if (!(await hostTools.vfs.backend.stat(key))) return [];
+    const text = (await hostTools.vfs.backend.readFile(key)).toString('utf8');
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // Starts a run and executes it up to its first host call. The input is
+  // checked against the task's input schema first, with defaults filled in.
+  async start(task, input = {}, options = {}) {
+    const compiled = await this._compile(task);
+    input = prepareInput(compiled.inputSchema, input, compiled.name);
+    const taskId = options.taskId || compiled.name;
+    const runId = options.runId || `run-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const hostTools = this._hostTools(compiled, taskId, runId);
+
+    try {
+      await hostTools.vfs.ready;
+      if (await this._readState(hostTools)) {
+        throw new Error(`Run ${runId} of task ${taskId} already exists`);
+      }
+
+      const state = {
+        taskId,
+        runId,
+        task: compiled.name,
+        filename: compiled.filename,
+        version: compiled.version,
+        status: 'running',
+        input,
+        pending: null,
+        calls: 0,
+        suspensions: 0,
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString()
+      };
+      return await this._step(compiled, hostTools, state, []);
+    } catch (error) {
+      throw new Error(`Failed to start task ${compiled.name}: ${error.message}`);
+    } finally {
+      await hostTools.dispose();
+    }
+  }
+
+  // Performs the call a suspended run is waiting on, then replays the task up
+  // to its next host call or its end. A resume holds a lease on the run, so a
+  // concurrent resume of the same run (from this process or another) fails
+  // unless options.waitMs gives the first one time to finish.
+  async resume(task, runId, options = {}) {
+    const compiled = await this._compile(task);
+    const taskId = options.taskId || compiled.name;
+    const hostTools = this._hostTools(compiled, taskId, runId);
+
+    try {
+      await hostTools.vfs.ready;
+      return await this._withRunLease(hostTools, runId, options, async () => {
+        const state = await this._readState(hostTools);
+        if (!state) {
+          throw new Error(`Run ${runId} of task ${taskId} not found`);
+        }
+        if (state.status !== 'suspended') {
+          throw new Error(`Run ${runId} is ${state.status}, not suspended`);
+        }
+
+        const task = await this._pinned(compiled, state);
+        const calls = await this._readCalls(hostTools);
+        const { seq, service, method, params } = state.pending;
+        const startedAt = Date.now();
+        const result = await hostTools.call(service, method, params);
+        const entry = {
+          seq,
+          service,
+          method,
+          params,
+          result: result === undefined ? null : JSON.parse(JSON.stringify(result)),
+          timestamp: new Date(startedAt).toISOString(),
+          durationMs: Date.now() - startedAt
+        };
+        await hostTools.vfs._appendData(hostTools.vfs._metaKey('run', CALLS_FILE), Buffer.from(`${JSON.stringify(entry)}\n`));
+        await this._recordCall(runId, entry);
+        calls.push(entry);
+
+        state.pending = null;
+        state.calls = calls.length;
+        return this._step(task, hostTools, state, calls);
+      });
+    } catch (error) {
+      throw new Error(`Failed to resume run ${runId}: ${error.message}`);
+    } finally {
+      await hostTools.dispose();
+    }
+  }
+
+  // The lease is renewed while the resume runs, since the pending call can
+  // take longer than the lease itself.
+  async _withRunLease(hostTools, runId, options, fn) {
+    const leases = new LockManager(hostTools.vfs, { namespace: 'runner/leases', quiet: true });
+    let lease;
+    try {
+      lease = await leases.acquire('run', 'resume', { ttlMs: RESUME_LEASE_MS, waitMs: options.waitMs || 0 });
+    } catch (error) {
+      if (error.code !== 'LOCKED') throw error;
+      throw new Error(`Run ${runId} is already being resumed (lease held until ${error.holder.expiresAt})`);
+    }
+
+    const renewal = setInterval(() => {
+      leases.renew('run', 'resume', lease.token, RESUME_LEASE_MS).catch(error => {
+        hostTools.vfs._log('Resume lease renewal failed', { runId, error: error.message });
+      });
+    }, RESUME_LEASE_MS / 3);
+    renewal.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(renewal);
+      await leases.release('run', 'resume', lease.token).catch(() => {});
+    }
+  }
+
+  // Starts a run and resumes it until it completes or fails.
+  async run(task, input = {}, options = {}) {
+    const compiled = await this._compile(task);
+    let state = await this.start(compiled, input, options);
+    while (state.status === 'suspended') {
+      if (state.suspensions > this.maxSuspensions) {
+        throw new Error(`Run ${state.runId} exceeded ${this.maxSuspensions} suspensions`);
+      }
+      state = await this.resume(compiled, state.runId, { taskId: state.taskId });
+    }
+    return state;
+  }
+
+  // The code a run started on: `compiled` itself unless the task has changed
+  // since, in which case loadVersion must supply the pinned version.
+  async _pinned(compiled, state) {
+    if (!state.version || state.version === compiled.version) return compiled;
+
+    const loaded = this.loadVersion ? await this.loadVersion(state.task, state.version) : null;
+    const code = loaded && typeof loaded === 'object' ? loaded.code : loaded;
+    if (!code) {
+      throw new Error(
+        `Run ${state.runId} started on version ${state.version.slice(0, 12)} of ${state.task}, ` +
+        `which is now ${compiled.version.slice(0, 12)}, and that version cannot be loaded`
+      );
+    }
+
+    const pinned = compileTask({ name: state.task, code, filename: compiled.filename || undefined });
+    if (pinned.version !== state.version) {
+      throw new Error(`Version ${state.version.slice(0, 12)} of ${state.task} was loaded with different code (${pinned.version.slice(0, 12)})`);
+    }
+    return pinned;
+  }
+
+  async getState(taskId, runId) {
+    const hostTools = new HostTools(this.ecosystemPath, taskId, runId, this.hostOptions);
+    try {
+      await hostTools.vfs.ready;
+      return await this._readState(hostTools);
+    } finally {
+      await hostTools.dispose();
+    }
+  }
+
+  async getCalls(taskId, runId) {
+    const hostTools = new HostTools(this.ecosystemPath, taskId, runId, this.hostOptions);
+    try {
+      await hostTools.vfs.ready;
+      return await this._readCalls(hostTools);
+    } finally {
+      await hostTools.dispose();
+    }
+  }
+
+  async _step(compiled, hostTools, state, calls) {
+    const outcome = await this._execute(compiled, state.input, calls);
+
+    state.status = outcome.status;
+    if (outcome.status === 'suspended') {
+      state.pending = outcome.call;
+      state.suspensions++;
+    } else if (outcome.status === 'completed') {
+      state.result = outcome.result === undefined ? null : outcome.result;
+    } else {
+      const { code, message } = normalizeError(outcome.error);
+      state.error = { message, code, ...(outcome.error && outcome.error.seq !== undefined ? { seq: outcome.error.seq } : {}) };
+    }
+
+    await this._writeState(hostTools, state);
+    await this._recordRun(state);
+    return { ...state };
+  }
+
+  // One execution of the task against the recorded calls. Resolves with
+  // completed, failed, or suspended on the first call past the log. The call
+  // that suspends is left pending, so the abandoned execution stops there;
+  // any call the task makes after the outcome is settled (a call racing the
+  // suspending one, or a stray one after a return) rejects and is never
+  // performed.
+  _execute(compiled, input, calls) {
+    return new Promise(resolve => {
+      let next = 0;
+      let settled = null;
+      const settle = outcome => {
+        if (settled) return;
+        settled = outcome;
+        resolve(outcome);
+      };
+
+      const callHostTool = (service, method, params) => {
+        const call = JSON.parse(JSON.stringify({ seq: next++, service, method, params: params === undefined ? {} : params }));
+        if (settled) {
+          return rejected(new Error(
+            `Host call ${call.service}.${[].concat(call.method).join('.')} was made after this execution had ` +
+            `${settled.status}; it was not performed`
+          ));
+        }
+
+        const recorded = calls[call.seq];
+        if (!recorded) {
+          settle({ status: 'suspended', call });
+          return new Promise(() => {});
+        }
+
+        if (recorded.service !== call.service || !isDeepStrictEqual(recorded.method, call.method) || !isDeepStrictEqual(recorded.params, call.params)) {
+          const error = new Error(
+            `Nondeterministic replay: call ${call.seq} was ${recorded.service}.${[].concat(recorded.method).join('.')} ` +
+            `but the task now calls ${call.service}.${[].concat(call.method).join('.')} with ${isDeepStrictEqual(recorded.method, call.method) ? 'different params' : 'a different method'}`
+          );
+          error.code = 'FAILED_PRECONDITION';
+          error.seq = call.seq;
+          settle({ status: 'failed', error });
+          return rejected(error);
+        }
+        return Promise.resolve(structuredClone(recorded.result));
+      };
+
+      Promise.resolve()
+        .then(() => compiled.load(callHostTool)(input))
+        .then(result => settle({ status: 'completed', result }), error => settle({ status: 'failed', error }));
+    });
+  }
+}
+
+// A rejection the task may never await (a call it fired and forgot) must not
+// surface as an unhandled rejection in the host process.
+function rejected(error) {
+  const promise = Promise.reject(error);
+  promise.catch(() => {});
+  return promise;
+}
+
+module.exports = { TaskRunner };
@@ -0,0 +1,63 @@
+-- Versioned publishing and run recording for the task registry
+-- (taskcode/registry/supabase.js). Safe to run on a deployment that already
+-- has task_functions, task_runs and stack_runs: existing tables only gain
+-- the columns the registry writes.
+
+create table if not exists task_functions (
+  name text primary key,
+  code text not null,
+  description text
+);
+
+alter table task_functions add column if not exists current_hash text;
+alter table task_functions add column if not exists updated_at timestamptz not null default now();
+
+-- One row per published code, keyed by the SHA-256 of the code. Rows are
+-- never updated; publishing unchanged code is a no-op and a rollback only
+-- moves task_functions.current_hash.
+create table if not exists task_function_versions (
+  name text not null,
+  hash text not null,
+  code text not null,
+  description text,
+  created_at timestamptz not null default now(),
+  primary key (name, hash)
+);
+
+create index if not exists task_function_versions_name_created_at_idx
+  on task_function_versions (name, created_at desc);
+
+create table if not exists task_runs (
+  id text primary key,
+  task_name text not null,
+  status text not null,
+  input jsonb,
+  result jsonb,
+  error jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table task_runs add column if not exists task_version text;
+
+create index if not exists task_runs_task_name_created_at_idx
+  on task_runs (task_name, created_at desc);
+
+-- Host calls are recorded as they happen, which can be before their run's
+-- row is first written, so parent_task_run_id is not a foreign key.
+create table if not exists stack_runs (
+  id text primary key,
+  parent_task_run_id text not null,
+  service_name text not null,
+  method_name text not null,
+  args jsonb,
+  result jsonb,
+  status text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table stack_runs add column if not exists seq integer;
+
+create index if not exists stack_runs_parent_seq_idx
+  on stack_runs (parent_task_run_id, seq);
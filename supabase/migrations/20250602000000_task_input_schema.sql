@@ -0,0 +1,5 @@
+-- Input schemas published with each task version (taskcode/registry/base.js)
+-- and used to validate run inputs before execution.
+
+alter table task_functions add column if not exists input_schema jsonb;
+alter table task_function_versions add column if not exists input_schema jsonb;
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TEMP_DIR = '.tmp';
+
+class DiskBackend {
+  constructor(root) {
+    this.type = 'disk';
+    this.root = root;
+  }
+
+  locate(key) {
+    return path.join(this.root, key);
+  }
+
+  // Writes go to a temporary file and are renamed into place, so readers
+  // (and a process killed mid-write) never observe a partially written file.
+  // Temporary files live under the root's .tmp directory, outside every
+  // scope, so one left behind by a crash never shows up in listings or usage.
+  // Exclusive writes create the file directly and fail with EEXIST instead.
+  async writeFile(key, data, options = {}) {
+    const fullPath = this.locate(key);
+
+    if (options.exclusive) {
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, data, { flag: 'wx' });
+      return;
+    }
+
+    const tempDir = path.join(this.root, TEMP_DIR);
+    const tempPath = path.join(tempDir, `${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.mkdir(tempDir, { recursive: true });
+
+    try {
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, fullPath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  // Appends are not atomic the way writeFile is, but a reader only ever sees
+  // a prefix of the final content.
+  async appendFile(key, data) {
+    const fullPath = this.locate(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.appendFile(fullPath, data);
+  }
+
+  async readFile(key) {
+    return fs.promises.readFile(this.locate(key));
+  }
+
+  async readRange(key, start, end) {
+    const handle = await fs.promises.open(this.locate(key), 'r');
+    try {
+      const length = Math.max(0, end - start);
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, start);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async listFiles(key) {
+    const fullPath = this.locate(key);
+    let entries;
+    try {
+      entries = await fs.promises.readdir(fullPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const items = [];
+    for (const entry of entries) {
+      const stat = await fs.promises.stat(path.join(fullPath, entry.name));
+      items.push({
+        name: entry.name,
+        isDirectory: entry.isDirectory(),
+        size: stat.size,
+        modified: stat.mtime,
+        created: stat.birthtime
+      });
+    }
+    return items;
+  }
+
+  async deleteFile(key) {
+    await fs.promises.rm(this.locate(key), { recursive: true });
+  }
+
+  async stat(key) {
+    try {
+      const stat = await fs.promises.stat(this.locate(key));
+      return {
+        size: stat.size,
+        modified: stat.mtime,
+        created: stat.birthtime,
+        accessed: stat.atime,
+        isDirectory: stat.isDirectory(),
+        isFile: stat.isFile()
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async mkdir(key) {
+    await fs.promises.mkdir(this.locate(key), { recursive: true });
+  }
+
+  watch(key, options, callback) {
+    const watcher = fs.watch(this.locate(key), {
+      recursive: !!options.recursive,
+      persistent: options.persistent !== false
+    }, callback);
+    return {
+      close: () => watcher.close()
+    };
+  }
+}
+
+module.exports = { DiskBackend };
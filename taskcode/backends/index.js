@@ -0,0 +1,38 @@
+const { DiskBackend } = require('./disk.js');
+const { MemoryBackend } = require('./memory.js');
+const { S3Backend } = require('./s3.js');
+
+// Storage backends implement: locate, writeFile, readFile, listFiles,
+// deleteFile, stat, mkdir and watch. Keys are posix paths relative to the
+// ecosystem root (e.g. `tasks/<taskId>/fs/report.json`). writeFile must
+// replace the object atomically: readers see the old or the new content only.
+// writeFile(key, data, { exclusive: true }) must fail with code EEXIST when the
+// key already exists.
+// Backends may also implement appendFile(key, data), which creates a missing
+// key, and readRange(key, start, end) (end exclusive); TaskVFS falls back to
+// readFile/writeFile without them.
+// watch(key, { recursive, persistent }, callback) returns { close }; with
+// persistent: false a watcher must not keep the process alive.
+function createBackend(backend, ecosystemPath, options = {}) {
+  if (backend && typeof backend === 'object') {
+    return backend;
+  }
+
+  switch (backend || 'disk') {
+    case 'disk':
+      return new DiskBackend(options.root || ecosystemPath);
+    case 'memory':
+      return new MemoryBackend(options);
+    case 's3':
+      return new S3Backend(options);
+    default:
+      throw new Error(`Unknown VFS backend: ${backend}. Valid backends: disk, memory, s3`);
+  }
+}
+
+module.exports = {
+  createBackend,
+  DiskBackend,
+  MemoryBackend,
+  S3Backend
+};
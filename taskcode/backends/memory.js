@@ -0,0 +1,163 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { notFound, alreadyExists, normalizeKey, watchEmitter } = require('./util.js');
+
+class MemoryBackend extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.type = 'memory';
+    this.name = options.name || 'memory';
+    this.files = new Map();
+    this.dirs = new Map([['', this._times()]]);
+  }
+
+  locate(key) {
+    return `memory://${this.name}/${normalizeKey(key)}`;
+  }
+
+  _times() {
+    const now = new Date();
+    return { created: now, modified: now, accessed: now };
+  }
+
+  _ensureDirs(key) {
+    let current = key;
+    while (current && current !== '.' && !this.dirs.has(current)) {
+      this.dirs.set(current, this._times());
+      current = path.posix.dirname(current);
+    }
+  }
+
+  _notify(eventType, key) {
+    this.emit('change', { eventType, key });
+  }
+
+  async writeFile(key, data, options = {}) {
+    key = normalizeKey(key);
+    const existing = this.files.get(key);
+    if (existing && options.exclusive) throw alreadyExists(key);
+    const times = this._times();
+
+    this._ensureDirs(path.posix.dirname(key));
+    this.files.set(key, {
+      data: Buffer.from(data),
+      created: existing ? existing.created : times.created,
+      modified: times.modified,
+      accessed: times.accessed
+    });
+    this._notify(existing ? 'change' : 'rename', key);
+  }
+
+  async appendFile(key, data) {
+    key = normalizeKey(key);
+    const existing = this.files.get(key);
+    if (!existing) {
+      await this.writeFile(key, data);
+      return;
+    }
+
+    existing.data = Buffer.concat([existing.data, Buffer.from(data)]);
+    existing.modified = new Date();
+    this._notify('change', key);
+  }
+
+  async readFile(key) {
+    key = normalizeKey(key);
+    const file = this.files.get(key);
+    if (!file) throw notFound(key);
+
+    file.accessed = new Date();
+    return Buffer.from(file.data);
+  }
+
+  async readRange(key, start, end) {
+    key = normalizeKey(key);
+    const file = this.files.get(key);
+    if (!file) throw notFound(key);
+
+    file.accessed = new Date();
+    return Buffer.from(file.data.subarray(start, end));
+  }
+
+  async listFiles(key) {
+    key = normalizeKey(key);
+    const prefix = key ? `${key}/` : '';
+    const items = [];
+
+    for (const [dirKey, times] of this.dirs) {
+      if (!dirKey || !dirKey.startsWith(prefix)) continue;
+      const name = dirKey.slice(prefix.length);
+      if (name.includes('/')) continue;
+      items.push({ name, isDirectory: true, size: 0, modified: times.modified, created: times.created });
+    }
+
+    for (const [fileKey, file] of this.files) {
+      if (!fileKey.startsWith(prefix)) continue;
+      const name = fileKey.slice(prefix.length);
+      if (name.includes('/')) continue;
+      items.push({ name, isDirectory: false, size: file.data.length, modified: file.modified, created: file.created });
+    }
+
+    return items;
+  }
+
+  async deleteFile(key) {
+    key = normalizeKey(key);
+
+    if (this.files.delete(key)) {
+      this._notify('rename', key);
+      return;
+    }
+
+    if (!key || !this.dirs.has(key)) throw notFound(key);
+
+    const prefix = `${key}/`;
+    for (const fileKey of [...this.files.keys()]) {
+      if (fileKey.startsWith(prefix)) this.files.delete(fileKey);
+    }
+    for (const dirKey of [...this.dirs.keys()]) {
+      if (dirKey === key || dirKey.startsWith(prefix)) this.dirs.delete(dirKey);
+    }
+    this._notify('rename', key);
+  }
+
+  async stat(key) {
+    key = normalizeKey(key);
+    const file = this.files.get(key);
+
+    if (file) {
+      return {
+        size: file.data.length,
+        modified: file.modified,
+        created: file.created,
+        accessed: file.accessed,
+        isDirectory: false,
+        isFile: true
+      };
+    }
+
+    const dir = this.dirs.get(key);
+    if (dir) {
+      return {
+        size: 0,
+        modified: dir.modified,
+        created: dir.created,
+        accessed: dir.accessed,
+        isDirectory: true,
+        isFile: false
+      };
+    }
+
+    return null;
+  }
+
+  async mkdir(key) {
+    this._ensureDirs(normalizeKey(key));
+  }
+
+  watch(key, options, callback) {
+    return watchEmitter(this, key, options, callback);
+  }
+}
+
+module.exports = { MemoryBackend };
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { notFound, alreadyExists, normalizeKey, watchEmitter } = require('./util.js');
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function encodeRFC3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXML(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function xmlBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+function xmlValue(xml, tag) {
+  const [block] = xmlBlocks(xml, tag);
+  return block === undefined ? null : decodeXML(block);
+}
+
+// S3-compatible object store backend (AWS S3, MinIO, R2, localstack...).
+// Directories are virtual: a prefix with objects under it, or an empty
+// `<dir>/` marker object written by mkdir. Requests are signed with SigV4
+// when credentials are configured and sent unsigned otherwise, which is
+// enough for local stand-ins.
+class S3Backend extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    if (!options.endpoint) throw new Error('S3 backend requires an endpoint');
+    if (!options.bucket) throw new Error('S3 backend requires a bucket');
+
+    this.type = 's3';
+    this.endpoint = options.endpoint.replace(/\/+$/, '');
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.prefix = normalizeKey(options.prefix || '');
+    this.accessKeyId = options.accessKeyId || process.env.AWS_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  locate(key) {
+    return `s3://${this.bucket}/${this._objectKey(key)}`;
+  }
+
+  _objectKey(key) {
+    const normalized = normalizeKey(key);
+    if (!this.prefix) return normalized;
+    return normalized ? `${this.prefix}/${normalized}` : this.prefix;
+  }
+
+  _sign(method, url, headers, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+
+    headers['x-amz-date'] = amzDate;
+    headers['x-amz-content-sha256'] = payloadHash;
+    headers.host = url.host;
+
+    const signedHeaders = Object.keys(headers).map(h => h.toLowerCase()).sort();
+    const canonicalHeaders = signedHeaders
+      .map(h => `${h}:${String(headers[h]).trim()}\n`)
+      .join('');
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([k, v]) => [encodeRFC3986(k), encodeRFC3986(v)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([k, v]) => `${k}=${v}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const credentialScope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      credentialScope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+    delete headers.host;
+  }
+
+  async _request(method, objectKey, { query = {}, body, headers = {} } = {}) {
+    const encodedKey = objectKey.split('/').map(encodeRFC3986).join('/');
+    const url = new URL(`${this.endpoint}/${this.bucket}${objectKey ? `/${encodedKey}` : ''}`);
+    for (const [k, v] of Object.entries(query)) {
+      if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+    }
+
+    const requestHeaders = { ...headers };
+    if (this.accessKeyId && this.secretAccessKey) {
+      const payloadHash = body
+        ? crypto.createHash('sha256').update(body).digest('hex')
+        : EMPTY_HASH;
+      this._sign(method, url, requestHeaders, payloadHash);
+    }
+
+    const response = await this.fetch(url.toString(), { method, headers: requestHeaders, body });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const text = await response.text();
+      const message = xmlValue(text, 'Message') || text || response.statusText;
+      const error = new Error(`S3 ${method} ${objectKey} failed (${response.status}): ${message}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  async _list(prefix, { delimiter = '/', maxKeys } = {}) {
+    const objects = [];
+    const prefixes = [];
+    let token;
+
+    do {
+      const response = await this._request('GET', '', {
+        query: {
+          'list-type': 2,
+          prefix,
+          delimiter,
+          'max-keys': maxKeys,
+          'continuation-token': token
+        }
+      });
+      if (!response) throw new Error(`S3 bucket not found: ${this.bucket}`);
+      const xml = await response.text();
+
+      for (const block of xmlBlocks(xml, 'Contents')) {
+        objects.push({
+          key: xmlValue(block, 'Key'),
+          size: Number(xmlValue(block, 'Size') || 0),
+          modified: new Date(xmlValue(block, 'LastModified'))
+        });
+      }
+      for (const block of xmlBlocks(xml, 'CommonPrefixes')) {
+        prefixes.push(xmlValue(block, 'Prefix'));
+      }
+
+      token = xmlValue(xml, 'IsTruncated') === 'true' && !maxKeys
+        ? xmlValue(xml, 'NextContinuationToken')
+        : null;
+    } while (token);
+
+    return { objects, prefixes };
+  }
+
+  async writeFile(key, data, options = {}) {
+    key = normalizeKey(key);
+    const existed = await this.stat(key);
+    if (existed && options.exclusive) throw alreadyExists(key);
+
+    // If-None-Match makes exclusive creates safe against concurrent writers
+    // on stores that support conditional PUTs.
+    const headers = options.exclusive ? { 'if-none-match': '*' } : {};
+    try {
+      await this._request('PUT', this._objectKey(key), { body: Buffer.from(data), headers });
+    } catch (error) {
+      if (options.exclusive && error.status === 412) throw alreadyExists(key);
+      throw error;
+    }
+    this.emit('change', { eventType: existed ? 'change' : 'rename', key });
+  }
+
+  async readFile(key) {
+    const response = await this._request('GET', this._objectKey(key));
+    if (!response) throw notFound(key);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  // Objects cannot be appended to in place, so S3 has no appendFile and
+  // TaskVFS falls back to rewriting the object; ranged GETs are native.
+  async readRange(key, start, end) {
+    if (end <= start) return Buffer.alloc(0);
+
+    let response;
+    try {
+      response = await this._request('GET', this._objectKey(key), {
+        headers: { range: `bytes=${start}-${end - 1}` }
+      });
+    } catch (error) {
+      if (error.status === 416) return Buffer.alloc(0);
+      throw error;
+    }
+    if (!response) throw notFound(key);
+
+    const data = Buffer.from(await response.arrayBuffer());
+    // A server that ignores Range answers 200 with the whole object.
+    return response.status === 206 ? data : data.subarray(start, end);
+  }
+
+  async listFiles(key) {
+    const objectKey = this._objectKey(key);
+    const prefix = objectKey ? `${objectKey}/` : '';
+    const { objects, prefixes } = await this._list(prefix);
+
+    const items = prefixes.map(p => ({
+      name: p.slice(prefix.length).replace(/\/$/, ''),
+      isDirectory: true,
+      size: 0,
+      modified: null,
+      created: null
+    }));
+
+    for (const object of objects) {
+      if (object.key === prefix) continue;
+      items.push({
+        name: object.key.slice(prefix.length),
+        isDirectory: false,
+        size: object.size,
+        modified: object.modified,
+        created: object.modified
+      });
+    }
+
+    return items;
+  }
+
+  async deleteFile(key) {
+    key = normalizeKey(key);
+    const objectKey = this._objectKey(key);
+
+    if (await this._request('HEAD', objectKey)) {
+      await this._request('DELETE', objectKey);
+      this.emit('change', { eventType: 'rename', key });
+      return;
+    }
+
+    const { objects } = await this._list(`${objectKey}/`, { delimiter: null });
+    if (objects.length === 0) throw notFound(key);
+
+    for (const object of objects) {
+      await this._request('DELETE', object.key);
+    }
+    this.emit('change', { eventType: 'rename', key });
+  }
+
+  async stat(key) {
+    key = normalizeKey(key);
+    const objectKey = this._objectKey(key);
+
+    if (key) {
+      const response = await this._request('HEAD', objectKey);
+      if (response) {
+        const modified = new Date(response.headers.get('last-modified'));
+        return {
+          size: Number(response.headers.get('content-length') || 0),
+          modified,
+          created: modified,
+          accessed: modified,
+          isDirectory: false,
+          isFile: true
+        };
+      }
+    }
+
+    const { objects, prefixes } = await this._list(objectKey ? `${objectKey}/` : '', { maxKeys: 1 });
+    if (!key || objects.length > 0 || prefixes.length > 0) {
+      return {
+        size: 0,
+        modified: null,
+        created: null,
+        accessed: null,
+        isDirectory: true,
+        isFile: false
+      };
+    }
+
+    return null;
+  }
+
+  async mkdir(key) {
+    key = normalizeKey(key);
+    if (!key) return;
+    await this._request('PUT', `${this._objectKey(key)}/`, { body: Buffer.alloc(0) });
+  }
+
+  watch(key, options, callback) {
+    return watchEmitter(this, key, options, callback);
+  }
+}
+
+module.exports = { S3Backend };
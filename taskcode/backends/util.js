@@ -0,0 +1,46 @@
+const path = require('path');
+
+function notFound(key) {
+  const error = new Error(`ENOENT: no such file or directory, '${key}'`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+function alreadyExists(key) {
+  const error = new Error(`EEXIST: file already exists, '${key}'`);
+  error.code = 'EEXIST';
+  return error;
+}
+
+function normalizeKey(key = '') {
+  return key.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+// Backends without native change notifications (memory, s3) emit a 'change'
+// event for every mutation made through them; this adapts those events to the
+// fs.watch-style (eventType, filename) callback used by TaskVFS.
+function watchEmitter(emitter, key, options, callback) {
+  const target = normalizeKey(key);
+
+  const listener = ({ eventType, key: changed }) => {
+    if (changed === target) {
+      callback(eventType, path.posix.basename(changed));
+      return;
+    }
+
+    const prefix = target ? `${target}/` : '';
+    if (!changed.startsWith(prefix)) return;
+
+    const relative = changed.slice(prefix.length);
+    if (options.recursive || !relative.includes('/')) {
+      callback(eventType, relative);
+    }
+  };
+
+  emitter.on('change', listener);
+  return {
+    close: () => emitter.off('change', listener)
+  };
+}
+
+module.exports = { notFound, alreadyExists, normalizeKey, watchEmitter };
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { ToolError } = require('./errors.js');
+
+const CASSETTE_VERSION = 1;
+const MODES = ['auto', 'record', 'replay'];
+const MATCHES = ['strict', 'lenient'];
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach a cassette file, compared case-insensitively.
+const DEFAULT_REDACT_KEYS = [
+  'authorization', 'cookie', 'set-cookie', 'password', 'secret', 'client_secret', 'clientSecret',
+  'token', 'access_token', 'accessToken', 'refresh_token', 'refreshToken', 'id_token', 'idToken',
+  'apiKey', 'api_key', 'private_key', 'privateKey'
+];
+
+function redactor({ keys, values }) {
+  const names = new Set(keys.filter(key => typeof key === 'string').map(key => key.toLowerCase()));
+  const patterns = keys.filter(key => key instanceof RegExp);
+  const secrets = values.filter(value => typeof value === 'string' && value.length > 0);
+  const redactKey = key => names.has(key.toLowerCase()) || patterns.some(pattern => pattern.test(key));
+
+  const walk = value => {
+    if (typeof value === 'string') {
+      return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+    }
+    if (Array.isArray(value)) return value.map(walk);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactKey(key) ? REDACTED : walk(item)]));
+    }
+    return value;
+  };
+  return value => walk(value === undefined ? null : JSON.parse(JSON.stringify(value)));
+}
+
+function describe(call) {
+  const params = JSON.stringify(call.params);
+  return `${call.service}.${call.method}(${params.length > 200 ? `${params.slice(0, 200)}...` : params})`;
+}
+
+// A fixture file of host tool calls and their results. In `record` mode every
+// call goes through and is written to the file, which starts out empty. In
+// `replay` mode calls are answered from the file and a call it does not hold
+// fails with FAILED_PRECONDITION. `auto` replays when the file exists and
+// records when it does not.
+//
+// `strict` matching serves interactions in recorded order and requires the
+// same service, method and params. `lenient` matching takes any unused
+// interaction for the same service and method, preferring equal params, and
+// reuses the last one once they are used up. Params and results are redacted
+// before they are written or compared.
+class Cassette {
+  constructor(file, options = {}) {
+    const {
+      mode = 'auto',
+      match = 'strict',
+      services = null,
+      exclude = ['vfs', 'host'],
+      redact = [],
+      redactValues = []
+    } = options;
+
+    if (!file) {
+      throw new Error('Cassette requires a file path');
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid cassette mode: ${mode}. Valid modes: ${MODES.join(', ')}`);
+    }
+    if (typeof match !== 'function' && !MATCHES.includes(match)) {
+      throw new Error(`Invalid cassette match: ${match}. Use ${MATCHES.join(', ')} or a function`);
+    }
+
+    this.file = path.resolve(file);
+    this.mode = mode;
+    this.match = match;
+    this.services = services;
+    this.exclude = exclude;
+    this.redact = redactor({ keys: [...DEFAULT_REDACT_KEYS, ...redact], values: redactValues });
+    this.interactions = [];
+    this.used = new Set();
+    this.recording = null;
+    this._loading = null;
+    this._saving = Promise.resolve();
+  }
+
+  // Whether calls to a service go through the cassette; by default
+  // everything except the local vfs tools and host.batch, whose items are
+  // recorded one by one.
+  covers(service) {
+    if (this.services) return this.services.includes(service);
+    return !this.exclude.includes(service);
+  }
+
+  load() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        let text = null;
+        if (this.mode !== 'record') {
+          text = await fs.promises.readFile(this.file, 'utf8').catch(error => {
+            if (error.code === 'ENOENT' && this.mode === 'auto') return null;
+            throw new Error(`Failed to read cassette ${this.file}: ${error.message}`);
+          });
+        }
+
+        this.recording = text === null;
+        if (text !== null) {
+          const data = JSON.parse(text);
+          if (data.version !== CASSETTE_VERSION || !Array.isArray(data.interactions)) {
+            throw new Error(`Invalid cassette ${this.file}: expected version ${CASSETTE_VERSION} with an interactions list`);
+          }
+          this.interactions = data.interactions;
+        }
+      })();
+    }
+    return this._loading;
+  }
+
+  _matches(call, interaction) {
+    if (typeof this.match === 'function') return this.match(call, interaction);
+    return call.service === interaction.service && call.method === interaction.method &&
+      (this.match === 'lenient' || isDeepStrictEqual(call.params, interaction.params));
+  }
+
+  _find(call) {
+    if (this.match === 'strict') {
+      const next = this.interactions.findIndex((interaction, index) => !this.used.has(index));
+      return next !== -1 && this._matches(call, this.interactions[next]) ? next : -1;
+    }
+
+    const candidates = this.interactions
+      .map((interaction, index) => index)
+      .filter(index => this._matches(call, this.interactions[index]));
+    const unused = candidates.filter(index => !this.used.has(index));
+    const exact = unused.find(index => isDeepStrictEqual(call.params, this.interactions[index].params));
+    if (exact !== undefined) return exact;
+    if (unused.length > 0) return unused[0];
+    return candidates.length > 0 ? candidates[candidates.length - 1] : -1;
+  }
+
+  _unmatched(call) {
+    const next = this.interactions.find((interaction, index) => !this.used.has(index));
+    const sameMethod = this.interactions.filter(interaction => interaction.service === call.service && interaction.method === call.method);
+    let hint;
+    if (this.interactions.length === 0) {
+      hint = 'the cassette is empty';
+    } else if (this.match === 'strict' && next) {
+      hint = `the next recorded call is ${describe(next)}`;
+    } else if (this.match === 'strict') {
+      hint = `all ${this.interactions.length} recorded calls were already used`;
+    } else if (sameMethod.length > 0) {
+      hint = `${sameMethod.length} recorded ${call.service}.${call.method} calls did not match`;
+    } else {
+      hint = `no ${call.service}.${call.method} call was recorded`;
+    }
+
+    return new ToolError(
+      `Cassette ${path.basename(this.file)} has no match for ${describe(call)}: ${hint}. Re-record it with mode: 'record'`,
+      'FAILED_PRECONDITION',
+      { cassette: { file: this.file, mode: this.mode, match: typeof this.match === 'function' ? 'custom' : this.match, call } }
+    );
+  }
+
+  // Answers a call from the cassette, or runs `perform` and records it.
+  async handle(service, method, params, perform) {
+    await this.load();
+    const call = { service, method, params: this.redact(params) };
+
+    if (!this.recording) {
+      const index = this._find(call);
+      if (index === -1) throw this._unmatched(call);
+      this.used.add(index);
+      return structuredClone(this.interactions[index].result);
+    }
+
+    const result = await perform();
+    this.interactions.push({ ...call, result: this.redact(result), recordedAt: new Date().toISOString() });
+    await this.save();
+    return result;
+  }
+
+  // Interactions a replay has not used yet, to assert a task made every call.
+  unused() {
+    return this.interactions.filter((interaction, index) => !this.used.has(index));
+  }
+
+  save() {
+    this._saving = this._saving.then(async () => {
+      const data = `${JSON.stringify({ version: CASSETTE_VERSION, interactions: this.interactions }, null, 2)}\n`;
+      const tempPath = `${this.file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      try {
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.file);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw new Error(`Failed to write cassette ${this.file}: ${error.message}`);
+      }
+    });
+    return this._saving;
+  }
+}
+
+// Middleware that records host tool calls to, or replays them from, a
+// cassette file. Pass the file path or an existing Cassette; the returned
+// middleware exposes it as `.cassette`.
+function cassette(file, options = {}) {
+  const tape = file instanceof Cassette ? file : new Cassette(file, options);
+
+  const middleware = async (ctx, next) => {
+    if (!tape.covers(ctx.service)) return next();
+    // Calls served from the tape never reach dispatch, so they are checked
+    // against the allow-list, permissions and params schema here.
+    if (ctx.hostTools) {
+      const prepared = await ctx.hostTools._prepare(ctx, { unregistered: true });
+      if (prepared.failure) return prepared.failure;
+    }
+    return tape.handle(ctx.service, ctx.method, ctx.params, next);
+  };
+  middleware.cassette = tape;
+  return middleware;
+}
+
+module.exports = { Cassette, cassette, DEFAULT_REDACT_KEYS, REDACTED };
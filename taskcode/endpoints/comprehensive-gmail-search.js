@@ -10,13 +10,29 @@ import logger from '@sequential/sequential-logging';
  *
  * @param {Object} input
  * @param {string} [input.gmailSearchQuery=""] - Gmail search query (empty = all emails)
- * @param {number} [input.maxResultsPerUser=3] - Maximum email results per user
- * @param {number} [input.maxUsersPerDomain=5] - Maximum users to process per domain
+ * @param {number} [input.maxResultsPerUser=10] - Maximum email results per user
+ * @param {number} [input.maxUsersPerDomain=500] - Maximum users to process per domain
  * @returns {Object} Comprehensive search results with domain breakdown
  */
 
 import { nowISO } from '@sequential/sequential-utils/timestamps';
 
+// host.batch accepts at most this many calls; each batch is one suspension
+const BATCH_SIZE = 1000;
+
+async function callBatched(calls, concurrency) {
+  const results = [];
+  for (let i = 0; i < calls.length; i += BATCH_SIZE) {
+    const chunk = calls.slice(i, i + BATCH_SIZE);
+    const response = await __callHostTool__("host", "batch", { calls: chunk, concurrency: concurrency });
+    if (!response || !Array.isArray(response.results)) {
+      throw new Error('host.batch failed: ' + (response && response.error ? response.error : 'no results returned'));
+    }
+    results.push.apply(results, response.results);
+  }
+  return results;
+}
+
 module.exports = async function({ gmailSearchQuery = "", maxResultsPerUser = 10, maxUsersPerDomain = 500 }) {
   // CRITICAL FIX: Enforce Google API limits to prevent errors
   // Google Admin API limits: maxResults must be between 1 and 500
@@ -60,24 +76,29 @@ module.exports = async function({ gmailSearchQuery = "", maxResultsPerUser = 10,
   
   logger.info('✅ Found ' + domains.length + ' domains: ' + domains.map(function(d) { return d.domain; }).join(', '));
 
-  // Step 2: For each domain, list users (with suspend/resume)
+  // Step 2: List users of every domain in one batch (one suspend/resume)
   logger.info('👥 Step 2: Listing users for each domain...');
   
   const allDomainUsers = [];
+
+  // CRITICAL: Don't catch TASK_SUSPENDED - let suspend/resume work
+  const usersResponses = await callBatched(domains.map(function(domainInfo) {
+    return {
+      service: "gapi",
+      method: ["admin", "users", "list"],
+      params: [{
+        customer: "my_customer",
+        domain: domainInfo.domain,
+        maxResults: maxUsersPerDomain,
+        orderBy: "email"
+      }]
+    };
+  }), 4);
   
   for (let i = 0; i < domains.length; i++) {
     const domainInfo = domains[i];
     const domain = domainInfo.domain;
-    
-    logger.info('👥 Listing users for domain: ' + domain + ' (' + (i + 1) + '/' + domains.length + ')');
-    
-    // CRITICAL: Don't catch TASK_SUSPENDED - let suspend/resume work
-    const usersResponse = await __callHostTool__("gapi", ["admin", "users", "list"], [{
-      customer: "my_customer",
-      domain: domain,
-      maxResults: maxUsersPerDomain,
-      orderBy: "email"
-    }]);
+    const usersResponse = usersResponses[i];
 
     if (usersResponse && usersResponse.users && Array.isArray(usersResponse.users)) {
       const users = usersResponse.users.map(function(user) {
@@ -106,11 +127,13 @@ module.exports = async function({ gmailSearchQuery = "", maxResultsPerUser = 10,
   
   logger.info('✅ User discovery completed for all domains');
 
-  // Step 3: Search Gmail for each user (with suspend/resume)
+  // Step 3: Search Gmail for each user, one batch of searches and one batch of
+  // message details per domain
   logger.info('📧 Step 3: Searching Gmail for each user...');
   const searchResults = [];
   let totalUsers = 0;
   let totalMessages = 0;
+  let totalDetailCalls = 0;
 
   for (let i = 0; i < allDomainUsers.length; i++) {
     const domainUserGroup = allDomainUsers[i];
@@ -128,19 +151,50 @@ module.exports = async function({ gmailSearchQuery = "", maxResultsPerUser = 10,
 
     // Process all users (removed testing limitation)
     const usersToProcess = users;
+
+    // CRITICAL: Don't catch TASK_SUSPENDED - let suspend/resume work
+    // Search Gmail messages for every user of the domain
+    const gmailResponses = await callBatched(usersToProcess.map(function(user) {
+      return {
+        service: "gapi",
+        method: ["gmail", "users", "messages", "list"],
+        params: [{
+          userId: user.email,
+          q: gmailSearchQuery,
+          maxResults: maxResultsPerUser
+        }]
+      };
+    }), 8);
+
+    // Get details for all messages found in the domain
+    const detailCalls = [];
+    for (let j = 0; j < usersToProcess.length; j++) {
+      const gmailResponse = gmailResponses[j];
+      if (gmailResponse && gmailResponse.messages && Array.isArray(gmailResponse.messages)) {
+        for (let k = 0; k < gmailResponse.messages.length; k++) {
+          detailCalls.push({
+            service: "gapi",
+            method: ["gmail", "users", "messages", "get"],
+            params: [{
+              userId: usersToProcess[j].email,
+              id: gmailResponse.messages[k].id,
+              format: 'metadata',
+              metadataHeaders: ['Subject', 'From', 'Date']
+            }]
+          });
+        }
+      }
+    }
+    const messageDetails = await callBatched(detailCalls, 8);
+    totalDetailCalls += detailCalls.length;
+    let detailIndex = 0;
     
     for (let j = 0; j < usersToProcess.length; j++) {
       const user = usersToProcess[j];
       logger.info('📧 Searching Gmail for user: ' + user.email);
       totalUsers++;
       
-      // CRITICAL: Don't catch TASK_SUSPENDED - let suspend/resume work
-      // Search Gmail messages for this user
-      const gmailResponse = await __callHostTool__("gapi", ["gmail", "users", "messages", "list"], [{
-        userId: user.email,
-        q: gmailSearchQuery,
-        maxResults: maxResultsPerUser
-      }]);
+      const gmailResponse = gmailResponses[j];
 
       let messageCount = 0;
       let messages = [];
@@ -150,17 +204,10 @@ module.exports = async function({ gmailSearchQuery = "", maxResultsPerUser = 10,
         totalMessages += messageCount;
         domainResult.totalMessages += messageCount;
 
-        // Get details for all messages
         for (let k = 0; k < gmailResponse.messages.length; k++) {
-          const messageId = gmailResponse.messages[k].id;
-          const messageDetail = await __callHostTool__("gapi", ["gmail", "users", "messages", "get"], [{
-            userId: user.email,
-            id: messageId,
-            format: 'metadata',
-            metadataHeaders: ['Subject', 'From', 'Date']
-          }]);
-
-          if (messageDetail) {
+          const messageDetail = messageDetails[detailIndex++];
+
+          if (messageDetail && messageDetail.success !== false) {
             const headers = messageDetail.payload ? messageDetail.payload.headers : [];
             const getHeaderValue = function(headers, name) {
               if (!headers || !Array.isArray(headers)) return null;
@@ -233,8 +280,8 @@ module.exports = async function({ gmailSearchQuery = "", maxResultsPerUser = 10,
     sampleMessages: sampleMessages.slice(0, 10), // Limit to first 10 sample messages
     executionInfo: {
       completedAt: nowISO(),
-      totalApiCalls: 1 + domains.length + totalUsers + Math.min(totalMessages, totalUsers),
-      description: "Task completed using automatic suspend/resume on each external module call"
+      totalApiCalls: 1 + domains.length + totalUsers + totalDetailCalls,
+      description: "Task completed using automatic suspend/resume on each batch of external module calls"
     }
   };
 
@@ -0,0 +1,95 @@
+// Stable codes for host tool failures. Every failure a HostTools call returns
+// carries one of these as `code`, plus `retryable` so callers (and the retry
+// middleware) can tell a transient failure from one that will fail again.
+
+const ERROR_CODES = {
+  INVALID_PARAMS: { retryable: false, description: 'Params are missing or do not match the tool schema' },
+  INVALID_RESULT: { retryable: false, description: 'The tool returned a result that does not match its schema' },
+  INVALID_CONTENT: { retryable: false, description: 'Stored content could not be decoded as requested' },
+  UNKNOWN_TOOL: { retryable: false, description: 'No provider or method is registered under that name' },
+  TOOL_NOT_ALLOWED: { retryable: false, description: 'The task allow-list does not include the tool' },
+  PERMISSION_DENIED: { retryable: false, description: 'A policy or the storage backend refused the operation' },
+  NOT_FOUND: { retryable: false, description: 'The file, version, snapshot or session does not exist' },
+  ALREADY_EXISTS: { retryable: false, description: 'The target exists and overwriting was not requested' },
+  CONFLICT: { retryable: false, description: 'A precondition such as ifMatch or a stream offset failed' },
+  LOCKED: { retryable: true, description: 'Another holder has the path locked' },
+  QUOTA_EXCEEDED: { retryable: false, description: 'The write would exceed a scope quota' },
+  FAILED_PRECONDITION: { retryable: false, description: 'The VFS is not in a state that allows the operation' },
+  RATE_LIMITED: { retryable: true, description: 'The backend or provider is throttling calls' },
+  TIMEOUT: { retryable: true, description: 'The operation did not finish in time' },
+  UNAVAILABLE: { retryable: true, description: 'The backend or provider could not be reached' },
+  CANCELLED: { retryable: false, description: 'The call was skipped, e.g. after an earlier call in its batch failed' },
+  INTERNAL: { retryable: false, description: 'Anything not classified above' }
+};
+
+const ERRNO_CODES = {
+  ENOENT: 'NOT_FOUND',
+  ENOTDIR: 'NOT_FOUND',
+  EEXIST: 'ALREADY_EXISTS',
+  EACCES: 'PERMISSION_DENIED',
+  EPERM: 'PERMISSION_DENIED',
+  EROFS: 'PERMISSION_DENIED',
+  ETIMEDOUT: 'TIMEOUT',
+  ECONNRESET: 'UNAVAILABLE',
+  ECONNREFUSED: 'UNAVAILABLE',
+  EAI_AGAIN: 'UNAVAILABLE',
+  EPIPE: 'UNAVAILABLE'
+};
+
+// The VFS and host tools throw errors carrying one of the codes above (or
+// wrap a cause with its errno/status intact), so these patterns only see
+// errors without a code: custom providers, third-party libraries and code
+// that predates the codes. They match the cause anywhere in the message.
+const MESSAGE_CODES = [
+  [/(^|: )Invalid parameters for /, 'INVALID_PARAMS'],
+  [/(^|: )Missing required parameters/, 'INVALID_PARAMS'],
+  [/(^|: )Unknown (writeStream action|transaction operation|content format)/, 'INVALID_PARAMS'],
+  [/Path traversal/i, 'PERMISSION_DENIED'],
+  [/not valid (JSON|base64)|Unsupported encoding/i, 'INVALID_CONTENT'],
+  [/(^|: )Invalid |not supported|Cannot \w+ directory/, 'INVALID_PARAMS'],
+  [/already exists/i, 'ALREADY_EXISTS'],
+  [/not found|non-existent|does not exist|no such file/i, 'NOT_FOUND'],
+  [/not enabled|Transaction \S+ is \w+|has expired/i, 'FAILED_PRECONDITION'],
+  [/timed? ?out/i, 'TIMEOUT']
+];
+
+function statusCode(status) {
+  if (status === 429) return 'RATE_LIMITED';
+  if (status === 401 || status === 403) return 'PERMISSION_DENIED';
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 409 || status === 412) return 'CONFLICT';
+  if (status === 408 || status === 504) return 'TIMEOUT';
+  if (status >= 500) return 'UNAVAILABLE';
+  return null;
+}
+
+function classify(error) {
+  if (!error) return 'INTERNAL';
+  if (typeof error.code === 'string' && ERROR_CODES[error.code]) return error.code;
+  if (typeof error.code === 'string' && ERRNO_CODES[error.code]) return ERRNO_CODES[error.code];
+
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  const byStatus = typeof status === 'number' ? statusCode(status) : null;
+  if (byStatus) return byStatus;
+
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return 'TIMEOUT';
+
+  const message = String(error.message || '');
+  const match = MESSAGE_CODES.find(([pattern]) => pattern.test(message));
+  return match ? match[1] : 'INTERNAL';
+}
+
+// Maps any thrown value to { code, retryable, message }. An explicit
+// `retryable` on the error wins over the default for its code.
+function normalizeError(error) {
+  const code = classify(error);
+  const retryable = error && typeof error.retryable === 'boolean' ? error.retryable : ERROR_CODES[code].retryable;
+  const message = error && error.message ? error.message : String(error);
+  return { code, retryable, message };
+}
+
+function isRetryable(code) {
+  return !!(ERROR_CODES[code] && ERROR_CODES[code].retryable);
+}
+
+module.exports = { ERROR_CODES, normalizeError, isRetryable };
@@ -0,0 +1,63 @@
+class VFSError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+class VFSQuotaError extends VFSError {
+  constructor(message, details = {}) {
+    super(message, 'QUOTA_EXCEEDED', details);
+  }
+}
+
+class VFSConflictError extends VFSError {
+  constructor(message, details = {}) {
+    super(message, 'CONFLICT', details);
+  }
+}
+
+class VFSLockError extends VFSError {
+  constructor(message, details = {}) {
+    super(message, 'LOCKED', details);
+  }
+}
+
+class VFSPermissionError extends VFSError {
+  constructor(message, details = {}) {
+    super(message, 'PERMISSION_DENIED', details);
+  }
+}
+
+// Thrown by host tool dispatch and available to custom providers; `code` is
+// one of the ERROR_CODES in error-codes.js.
+class ToolError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// Adds context to a lower-level failure ("Failed to write file a.txt: EACCES:
+// ...") while keeping the `code` and `status` that classify it, so an errno
+// or HTTP status from a backend still maps to the right ERROR_CODES entry.
+function wrapError(message, cause) {
+  const error = new Error(`${message}: ${cause && cause.message ? cause.message : cause}`, { cause });
+  if (cause && cause.code !== undefined) error.code = cause.code;
+  if (cause && cause.status !== undefined) error.status = cause.status;
+  return error;
+}
+
+module.exports = {
+  VFSError,
+  VFSQuotaError,
+  VFSConflictError,
+  VFSLockError,
+  VFSPermissionError,
+  ToolError,
+  wrapError
+};
@@ -1,9 +1,16 @@
 const { TaskVFS } = require('./vfs.js');
+const { VFSQuotaError, VFSConflictError, VFSLockError, VFSPermissionError, ToolError } = require('./errors.js');
+const { normalizeError } = require('./error-codes.js');
 const { validator } = require('@sequential/core-config');
+const { validate, formatErrors } = require('./schema.js');
+const { TOOL_SCHEMAS, HOST_TOOL_SCHEMAS, FAILURE_SCHEMA } = require('./tool-schemas.js');
+const { ToolRegistry, methodKey, matchesAllowList } = require('./tool-registry.js');
 
 class HostTools {
-  constructor(ecosystemPath, taskId, runId) {
-    this.vfs = new TaskVFS(ecosystemPath, taskId, runId);
+  constructor(ecosystemPath, taskId, runId, options = {}) {
+    // A task's `config` export may carry its permission policy.
+    const permissions = options.permissions || (options.config && options.config.permissions) || null;
+    this.vfs = new TaskVFS(ecosystemPath, taskId, runId, { ...options, permissions });
     try {
       validator.validate(process.env, false);
       this.debug = validator.get('DEBUG');
@@ -11,106 +18,296 @@ class HostTools {
       this.debug = process.env.DEBUG === '1';
     }
     
-    this.tools = {
-      writeFile: this.writeFile.bind(this),
-      readFile: this.readFile.bind(this),
-      listFiles: this.listFiles.bind(this),
-      deleteFile: this.deleteFile.bind(this),
-      fileExists: this.fileExists.bind(this),
-      fileStat: this.fileStat.bind(this),
-      mkdir: this.mkdir.bind(this),
-      watchFile: this.watchFile.bind(this),
-      vfsTree: this.vfsTree.bind(this)
+    // With strictResults a result that does not match its schema is turned
+    // into an INVALID_RESULT failure; otherwise the mismatch is only logged.
+    this.strictResults = !!options.strictResults;
+
+    // Providers come from a shared registry unless one is passed in; the
+    // built-in VFS tools are always available as the `vfs` service, and
+    // cross-provider tools such as batch as the `host` service.
+    this.registry = options.registry || HostTools.registry;
+    if (!this.registry.getProvider('vfs')) {
+      this.registry.register('vfs', vfsProvider());
+    }
+    if (!this.registry.getProvider('host')) {
+      this.registry.register('host', hostProvider());
+    }
+    this.allow = options.allow || null;
+    this._providerStates = new Map();
+    this.middleware = [];
+    for (const middleware of options.middleware || []) this.use(middleware);
+
+    this.tools = {};
+    for (const name of Object.keys(TOOL_SCHEMAS)) {
+      this.tools[name] = params => this.call('vfs', name, params);
+    }
+  }
+
+  _allowList() {
+    return this.allow || this.registry.getAllowList(this.vfs.taskId);
+  }
+
+  _context(provider, key, params) {
+    return {
+      hostTools: this,
+      vfs: this.vfs,
+      taskId: this.vfs.taskId,
+      runId: this.vfs.runId,
+      service: provider.service,
+      method: key,
+      params,
+      state: null
     };
   }
 
+  // Runs a provider's init hook once per HostTools; the value it returns is
+  // handed to every later call as context.state.
+  async _providerState(provider) {
+    if (!this._providerStates.has(provider.service)) {
+      const init = provider.hooks.init
+        ? Promise.resolve(provider.hooks.init(this._context(provider, null, null)))
+        : Promise.resolve(null);
+      this._providerStates.set(provider.service, init);
+      init.catch(() => this._providerStates.delete(provider.service));
+    }
+    return this._providerStates.get(provider.service);
+  }
+
+  // Adds a middleware around every call. Middleware is Koa-style,
+  // async (ctx, next) => result, and the first one added runs outermost.
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function (ctx, next) => result');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // Entry point for __callHostTool__(service, method, params). Failures are
+  // returned, not thrown, with a stable `code` from error-codes.js.
+  async call(service, methodPath, params = {}) {
+    const ctx = {
+      hostTools: this,
+      vfs: this.vfs,
+      taskId: this.vfs.taskId,
+      runId: this.vfs.runId,
+      service,
+      method: Array.isArray(methodPath) ? methodPath.join('.') : String(methodPath),
+      params: params ?? {},
+      attempt: 1,
+      startedAt: Date.now()
+    };
+
+    const run = index => index < this.middleware.length
+      ? this.middleware[index](ctx, () => run(index + 1))
+      : this._dispatch(ctx);
+
+    try {
+      return await run(0);
+    } catch (error) {
+      return this._failure(ctx, error);
+    }
+  }
+
+  // Resolves a call and runs the checks that come before its handler: the
+  // allow-list, the permission policy and the params schema. Returns
+  // { failure } for a call that may not run. Middleware that answers calls
+  // itself (the cassette) runs this first, so a replayed call is refused
+  // exactly as a live one would be; it passes `unregistered` because a tape
+  // is replayed without its provider, and such calls skip only the schema.
+  async _prepare(ctx, options = {}) {
+    let resolved;
+    try {
+      resolved = this.registry.resolve(ctx.service, ctx.method);
+    } catch (error) {
+      if (!options.unregistered) {
+        return { failure: this._failure(ctx, new ToolError(error.message, 'UNKNOWN_TOOL')) };
+      }
+      resolved = { provider: null, method: null };
+    }
+
+    const { provider, method } = resolved;
+    let key;
+    try {
+      key = method ? method.key : methodKey(ctx.method);
+    } catch (error) {
+      return { failure: this._failure(ctx, new ToolError(error.message, 'INVALID_PARAMS')) };
+    }
+    ctx.method = key;
+    const allowList = this._allowList();
+
+    if (allowList && !matchesAllowList(allowList, ctx.service, key)) {
+      return { failure: this._failure(ctx, new ToolError(
+        `Tool ${ctx.service}.${key} is not allowed for task ${this.vfs.taskId}`,
+        'TOOL_NOT_ALLOWED'
+      )) };
+    }
+
+    try {
+      await this.vfs.permissions.assertTool(ctx.service, key);
+    } catch (error) {
+      return { failure: this._failure(ctx, error) };
+    }
+
+    if (!method) return {};
+
+    const context = this._context(provider, key, ctx.params);
+
+    if (method.schema && method.schema.params) {
+      const errors = validate(method.schema.params, context.params);
+      if (errors.length > 0) {
+        return { failure: this._failure(ctx, new ToolError(
+          `Invalid parameters for ${key}: ${formatErrors(errors)}`,
+          'INVALID_PARAMS',
+          { validation: errors }
+        )) };
+      }
+    }
+
+    return { provider, method, key, context };
+  }
+
+  // The innermost step of a call: the checks in _prepare, then the provider
+  // hooks and handler.
+  async _dispatch(ctx) {
+    const prepared = await this._prepare(ctx);
+    if (prepared.failure) return prepared.failure;
+
+    const { provider, method, key, context } = prepared;
+    const schema = method.schema;
+    let result;
+    try {
+      context.state = await this._providerState(provider);
+      if (provider.hooks.beforeCall) await provider.hooks.beforeCall(context);
+
+      result = await method.handler(context.params, context);
+
+      if (provider.hooks.afterCall) {
+        const replaced = await provider.hooks.afterCall(context, result);
+        if (replaced !== undefined) result = replaced;
+      }
+    } catch (error) {
+      const handled = provider.hooks.onError ? await provider.hooks.onError(context, error) : undefined;
+      if (handled !== undefined) return handled;
+      return this._failure(ctx, error);
+    }
+
+    if (schema && schema.result && result && result.success !== false) {
+      const errors = validate(schema.result, result);
+      if (errors.length > 0) {
+        this.vfs._log('Tool result does not match its schema', { service: ctx.service, tool: key, errors });
+        if (this.strictResults) {
+          return this._failure(ctx, new ToolError(
+            `Invalid result from ${key}: ${formatErrors(errors)}`,
+            'INVALID_RESULT',
+            { validation: errors }
+          ));
+        }
+      }
+    }
+
+    return result;
+  }
+
+  _failure(ctx, error) {
+    const { code, retryable, message } = normalizeError(error);
+    return {
+      success: false,
+      error: message,
+      code,
+      retryable,
+      ...this._errorDetails(error),
+      service: ctx.service,
+      tool: ctx.method,
+      params: ctx.params
+    };
+  }
+
+  // Runs the dispose hook of every provider this HostTools initialized, stops
+  // this process's watchers (subscriptions stay pollable) and flushes the
+  // event journal.
+  async dispose() {
+    this.vfs.watches.closeAll();
+    await this.vfs.journal.flush();
+    for (const [service, statePromise] of this._providerStates) {
+      const provider = this.registry.getProvider(service);
+      if (!provider || !provider.hooks.dispose) continue;
+      const context = this._context(provider, null, null);
+      context.state = await statePromise.catch(() => null);
+      await provider.hooks.dispose(context);
+    }
+    this._providerStates.clear();
+  }
+
   _validateParams(params, required) {
     const missing = required.filter(key => !(key in params));
     if (missing.length > 0) {
-      throw new Error(`Missing required parameters: ${missing.join(', ')}`);
+      throw new ToolError(`Missing required parameters: ${missing.join(', ')}`, 'INVALID_PARAMS');
     }
   }
 
   async writeFile(params) {
     this._validateParams(params, ['path', 'content']);
     
-    const { path, content, scope = 'run', encoding = 'utf8', append = false } = params;
+    const { path, content, scope = 'run', encoding = 'utf8', append = false, ifMatch, lockToken, contentType, ttl, expiresAt } = params;
     
-    try {
-      return await this.vfs.writeFile(path, content, scope, { encoding, append });
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'writeFile',
-        params: { path, scope }
-      };
-    }
+    return await this.vfs.writeFile(path, content, scope, { encoding, append, ifMatch, lockToken, contentType, ttl, expiresAt });
+  }
+
+  async appendFile(params) {
+    this._validateParams(params, ['path', 'content']);
+
+    const { path, content, scope = 'run', encoding = 'utf8', ifMatch, lockToken, contentType, ttl, expiresAt } = params;
+
+    return await this.vfs.appendFile(path, content, scope, { encoding, ifMatch, lockToken, contentType, ttl, expiresAt });
   }
 
   async readFile(params) {
     this._validateParams(params, ['path']);
     
-    const { path, scope = 'auto', encoding = 'utf8' } = params;
+    const { path, scope = 'auto', encoding = 'utf8', as, version, offset, length, startLine, endLine } = params;
     
-    try {
-      return await this.vfs.readFile(path, scope, { encoding });
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'readFile',
-        params: { path, scope }
-      };
-    }
+    return await this.vfs.readFile(path, scope, { encoding, as, version, offset, length, startLine, endLine });
   }
 
   async listFiles(params = {}) {
     const { path = '/', scope = 'run', recursive = false } = params;
     
-    try {
-      const result = await this.vfs.listFiles(path, scope);
-      
-      if (recursive && result.directories.length > 0) {
-        for (const dir of result.directories) {
-          const subResult = await this.listFiles({ 
-            path: dir.path, 
-            scope, 
-            recursive: true 
-          });
-          if (subResult.success) {
-            result.files.push(...subResult.files);
-            result.directories.push(...subResult.directories);
-          }
-        }
-      }
-      
-      return { ...result, success: true };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'listFiles',
-        params: { path, scope }
-      };
-    }
+    const result = await this.vfs.listFiles(path, scope, { recursive });
+    return { ...result, success: true };
+  }
+
+  async glob(params) {
+    this._validateParams(params, ['pattern']);
+
+    const { pattern, scope = 'run', limit, cursor, includeDirectories = false } = params;
+
+    return await this.vfs.glob(pattern, { scope, limit, cursor, includeDirectories });
+  }
+
+  async grep(params) {
+    this._validateParams(params, ['query']);
+
+    const {
+      query,
+      glob,
+      scope = 'run',
+      regex = false,
+      ignoreCase = false,
+      maxMatches,
+      maxMatchesPerFile,
+      cursor
+    } = params;
+
+    return await this.vfs.grep(query, { glob, scope, regex, ignoreCase, maxMatches, maxMatchesPerFile, cursor });
   }
 
   async deleteFile(params) {
     this._validateParams(params, ['path']);
     
-    const { path, scope = 'run' } = params;
+    const { path, scope = 'run', ifMatch, lockToken } = params;
     
-    try {
-      return await this.vfs.deleteFile(path, scope);
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'deleteFile',
-        params: { path, scope }
-      };
-    }
+    return await this.vfs.deleteFile(path, scope, { ifMatch, lockToken });
   }
 
   async fileExists(params) {
@@ -118,34 +315,33 @@ class HostTools {
     
     const { path, scope = 'run' } = params;
     
-    try {
-      const exists = await this.vfs.exists(path, scope);
-      return { success: true, exists, path, scope };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'fileExists',
-        params: { path, scope }
-      };
-    }
+    const exists = await this.vfs.exists(path, scope);
+    return { success: true, exists, path, scope };
   }
 
   async fileStat(params) {
     this._validateParams(params, ['path']);
     
-    const { path, scope = 'run' } = params;
+    const { path, scope = 'run', version } = params;
     
-    try {
-      return await this.vfs.stat(path, scope);
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'fileStat',
-        params: { path, scope }
-      };
-    }
+    const stat = await this.vfs.stat(path, scope, { version });
+    return { success: true, ...stat };
+  }
+
+  async listVersions(params) {
+    this._validateParams(params, ['path']);
+
+    const { path, scope = 'run' } = params;
+
+    return await this.vfs.listVersions(path, scope);
+  }
+
+  async revertFile(params) {
+    this._validateParams(params, ['path', 'version']);
+
+    const { path, version, scope = 'run' } = params;
+
+    return await this.vfs.revertFile(path, version, scope);
   }
 
   async mkdir(params) {
@@ -153,55 +349,339 @@ class HostTools {
     
     const { path, scope = 'run' } = params;
     
-    try {
-      return await this.vfs.mkdir(path, scope);
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'mkdir',
-        params: { path, scope }
-      };
-    }
+    return await this.vfs.mkdir(path, scope);
   }
 
   async watchFile(params) {
     this._validateParams(params, ['path']);
     
-    const { path, scope = 'run' } = params;
-    
-    try {
-      return await new Promise((resolve) => {
-        this.vfs.watch(path, scope, (event) => {
-          resolve({ success: true, event, path, scope });
-        });
-      });
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'watchFile',
-        params: { path, scope }
+    const { path, scope = 'run', timeoutMs = 30000 } = params;
+
+    // Resolves on the first change or after timeoutMs, and always closes the
+    // watcher; use the watch tool to follow changes across a suspension.
+    return await new Promise((resolve, reject) => {
+      let watcher = null;
+      let settled = false;
+
+      const finish = result => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (watcher) watcher.close();
+        resolve(result);
       };
+      const timer = setTimeout(() => finish({ success: true, event: null, timedOut: true, path, scope }), timeoutMs);
+
+      this.vfs.watch(path, scope, event => finish({ success: true, event, timedOut: false, path, scope }))
+        .then(handle => {
+          watcher = handle;
+          if (settled) handle.close();
+        })
+        .catch(error => {
+          settled = true;
+          clearTimeout(timer);
+          reject(error);
+        });
+    });
+  }
+
+  async watch(params) {
+    this._validateParams(params, ['action']);
+
+    const {
+      action,
+      subscriptionId,
+      path,
+      scope = 'run',
+      recursive = false,
+      glob,
+      debounceMs,
+      ttl,
+      expiresAt,
+      cursor,
+      limit,
+      waitMs,
+      rescan = false
+    } = params;
+
+    switch (action) {
+      case 'subscribe':
+        this._validateParams(params, ['path']);
+        return await this.vfs.subscribe(path, scope, { recursive, glob, debounceMs, ttl, expiresAt });
+      case 'poll':
+        this._validateParams(params, ['subscriptionId']);
+        return await this.vfs.pollSubscription(subscriptionId, { cursor, limit, waitMs, rescan });
+      case 'unsubscribe':
+        this._validateParams(params, ['subscriptionId']);
+        return await this.vfs.unsubscribe(subscriptionId);
+      case 'status':
+        this._validateParams(params, ['subscriptionId']);
+        return await this.vfs.getSubscription(subscriptionId);
+      case 'list':
+        return await this.vfs.listSubscriptions();
+      default:
+        throw new ToolError(`Unknown watch action: ${action}. Valid actions: subscribe, poll, unsubscribe, status, list`, 'INVALID_PARAMS');
+    }
+  }
+
+  async journal(params) {
+    const { journal = 'run', from, to, type, path, scope, runId, limit, cursor } = params;
+    return await this.vfs.queryJournal({ journal, from, to, type, path, scope, runId, limit, cursor });
+  }
+
+  async vfsTree() {
+    const tree = await this.vfs.getVFSTree();
+    return { success: true, tree };
+  }
+
+  async transaction(params) {
+    this._validateParams(params, ['action']);
+
+    const { action, txId, path, content, scope = 'run', encoding = 'utf8', description, operations } = params;
+
+    switch (action) {
+      case 'begin':
+        return await this.vfs.beginTransaction({ description });
+      case 'write':
+        this._validateParams(params, ['txId', 'path', 'content']);
+        return await this.vfs.stageWrite(txId, path, content, scope, { encoding });
+      case 'delete':
+        this._validateParams(params, ['txId', 'path']);
+        return await this.vfs.stageDelete(txId, path, scope);
+      case 'commit':
+        if (!txId && Array.isArray(operations)) {
+          return await this._commitOperations(operations, description);
+        }
+        this._validateParams(params, ['txId']);
+        return await this.vfs.commitTransaction(txId);
+      case 'abort':
+        this._validateParams(params, ['txId']);
+        return await this.vfs.abortTransaction(txId);
+      case 'status':
+        this._validateParams(params, ['txId']);
+        return await this.vfs.getTransaction(txId);
+      default:
+        throw new ToolError(`Unknown transaction action: ${action}. Valid actions: begin, write, delete, commit, abort, status`, 'INVALID_PARAMS');
+    }
+  }
+
+  async writeStream(params) {
+    this._validateParams(params, ['action']);
+
+    const { action, streamId, path, content, scope = 'run', encoding = 'utf8', offset, append = false, ifMatch, lockToken, contentType, ttl, expiresAt } = params;
+
+    switch (action) {
+      case 'open':
+        this._validateParams(params, ['path']);
+        return await this.vfs.openWriteStream(path, scope, { append, ifMatch, lockToken, contentType, ttl, expiresAt });
+      case 'write':
+        this._validateParams(params, ['streamId', 'content']);
+        return await this.vfs.writeStreamChunk(streamId, content, { encoding, offset });
+      case 'close':
+        this._validateParams(params, ['streamId']);
+        return await this.vfs.closeWriteStream(streamId);
+      case 'abort':
+        this._validateParams(params, ['streamId']);
+        return await this.vfs.abortWriteStream(streamId);
+      case 'status':
+        this._validateParams(params, ['streamId']);
+        return await this.vfs.getWriteStream(streamId);
+      case 'list':
+        return await this.vfs.listWriteStreams();
+      default:
+        throw new ToolError(`Unknown writeStream action: ${action}. Valid actions: open, write, close, abort, status, list`, 'INVALID_PARAMS');
     }
   }
 
-  vfsTree() {
+  // Each call goes through call(), so allow-lists, permissions, validation and
+  // middleware apply per item and one failure does not fail the batch.
+  async batch(params) {
+    this._validateParams(params, ['calls']);
+
+    const { calls, concurrency = 4, stopOnError = false } = params;
+    const results = new Array(calls.length);
+    let next = 0;
+    let stopped = false;
+
+    const worker = async () => {
+      while (next < calls.length) {
+        const index = next++;
+        const { service = 'vfs', method, params: callParams } = calls[index];
+        const ctx = { service, method: Array.isArray(method) ? method.join('.') : String(method), params: callParams ?? {} };
+
+        if (stopped) {
+          results[index] = this._failure(ctx, new ToolError('Skipped because an earlier call in the batch failed', 'CANCELLED'));
+        } else if (service === 'host' && ctx.method === 'batch') {
+          results[index] = this._failure(ctx, new ToolError('Batches cannot be nested', 'INVALID_PARAMS'));
+        } else {
+          results[index] = await this.call(service, method, callParams);
+        }
+
+        if (stopOnError && results[index] && results[index].success === false) stopped = true;
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, calls.length) }, worker));
+
+    const failed = results.filter(result => result && result.success === false).length;
+    return { success: true, results, total: results.length, succeeded: results.length - failed, failed };
+  }
+
+  // Stages and commits a list of operations in one call, so task code can
+  // apply a whole transaction with a single suspend/resume round trip.
+  async _commitOperations(operations, description) {
+    const { txId } = await this.vfs.beginTransaction({ description });
+
     try {
-      const tree = this.vfs.getVFSTree();
-      return { success: true, tree };
+      for (const op of operations) {
+        const { type = 'write', path, content, scope = 'run', encoding = 'utf8' } = op;
+        if (type === 'write') {
+          await this.vfs.stageWrite(txId, path, content, scope, { encoding });
+        } else if (type === 'delete') {
+          await this.vfs.stageDelete(txId, path, scope);
+        } else {
+          throw new ToolError(`Unknown transaction operation: ${type}. Valid operations: write, delete`, 'INVALID_PARAMS');
+        }
+      }
+      return await this.vfs.commitTransaction(txId);
     } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        tool: 'vfsTree'
+      // A commit that failed validation leaves the transaction open; a
+      // one-shot transaction has no later call that could retry it.
+      await this.vfs.abortTransaction(txId).catch(() => {});
+      throw error;
+    }
+  }
+
+  async acquireLock(params) {
+    this._validateParams(params, ['path']);
+
+    const { path, scope = 'run', ttlMs, waitMs } = params;
+
+    return await this.vfs.acquireLock(path, scope, { ttlMs, waitMs });
+  }
+
+  async renewLock(params) {
+    this._validateParams(params, ['path', 'token']);
+
+    const { path, token, scope = 'run', ttlMs } = params;
+
+    return await this.vfs.renewLock(path, token, scope, ttlMs);
+  }
+
+  async releaseLock(params) {
+    this._validateParams(params, ['path', 'token']);
+
+    const { path, token, scope = 'run' } = params;
+
+    return await this.vfs.releaseLock(path, token, scope);
+  }
+
+  async getLock(params) {
+    this._validateParams(params, ['path']);
+
+    const { path, scope = 'run' } = params;
+
+    return await this.vfs.getLock(path, scope);
+  }
+
+  async createSnapshot(params) {
+    this._validateParams(params, ['name']);
+
+    const { name, scope = 'run', description, overwrite = false } = params;
+
+    return await this.vfs.createSnapshot(name, scope, { description, overwrite });
+  }
+
+  async listSnapshots(params = {}) {
+    const { scope = 'run' } = params;
+
+    return await this.vfs.listSnapshots(scope);
+  }
+
+  async diffSnapshots(params) {
+    this._validateParams(params, ['from']);
+
+    const { from, to = null, scope = 'run' } = params;
+
+    return await this.vfs.diffSnapshots(from, to, scope);
+  }
+
+  async restoreSnapshot(params) {
+    this._validateParams(params, ['name']);
+
+    const { name, scope = 'run' } = params;
+
+    return await this.vfs.restoreSnapshot(name, scope);
+  }
+
+  async deleteSnapshot(params) {
+    this._validateParams(params, ['name']);
+
+    const { name, scope = 'run' } = params;
+
+    return await this.vfs.deleteSnapshot(name, scope);
+  }
+
+  // Task code collects the expired files of its own scopes. Other runs of its
+  // task and the content store, which every task shares, need `gc: true` in
+  // its permission policy; the host can collect anything with vfs.gc().
+  async gc(params = {}) {
+    const { dryRun = false, runs = false, objects = false } = params;
+
+    if (runs) await this.vfs.permissions.assertCollect('runs');
+    if (objects) await this.vfs.permissions.assertCollect('objects');
+    return await this.vfs.gc({ dryRun, runs, objects });
+  }
+
+  async listRuns() {
+    return await this.vfs.listRuns();
+  }
+
+  async pinRun(params = {}) {
+    const { runId = this.vfs.runId, reason } = params;
+
+    return await this.vfs.pinRun(runId, { reason });
+  }
+
+  async unpinRun(params = {}) {
+    const { runId = this.vfs.runId } = params;
+
+    return await this.vfs.unpinRun(runId);
+  }
+
+  _errorDetails(error) {
+    const details = {};
+
+    if (error instanceof ToolError && error.validation) {
+      details.validation = error.validation;
+    } else if (error instanceof ToolError && error.cassette) {
+      details.cassette = error.cassette;
+    } else if (error instanceof VFSQuotaError) {
+      details.quota = {
+        scope: error.scope,
+        limit: error.limit,
+        max: error.max,
+        usage: error.usage,
+        requested: error.requested
+      };
+    } else if (error instanceof VFSConflictError) {
+      details.conflict = {
+        expected: error.expected,
+        etag: error.etag
       };
+      if (error.received !== undefined) details.conflict.received = error.received;
+    } else if (error instanceof VFSLockError) {
+      details.lock = error.holder;
+    } else if (error instanceof VFSPermissionError) {
+      details.permission = { access: error.access, scope: error.scope, path: error.path, tool: error.tool };
     }
+
+    return details;
   }
 
   getTool(toolName) {
     if (!this.tools[toolName]) {
-      throw new Error(`Unknown host tool: ${toolName}. Available: ${Object.keys(this.tools).join(', ')}`);
+      throw new ToolError(`Unknown host tool: ${toolName}. Available: ${Object.keys(this.tools).join(', ')}`, 'UNKNOWN_TOOL');
     }
     return this.tools[toolName];
   }
@@ -210,27 +690,75 @@ class HostTools {
     return this.vfs;
   }
 
+  // Lists every tool this task may call. The VFS tools keep their bare names;
+  // tools from other providers are named service.method.path.
   getAvailableTools() {
-    return Object.keys(this.tools).map(name => ({
-      name,
-      description: this._getToolDescription(name)
-    }));
-  }
-
-  _getToolDescription(name) {
-    const descriptions = {
-      writeFile: 'Write content to a file (params: path, content, scope?, encoding?, append?)',
-      readFile: 'Read content from a file (params: path, scope?, encoding?)',
-      listFiles: 'List files in a directory (params: path?, scope?, recursive?)',
-      deleteFile: 'Delete a file or directory (params: path, scope?)',
-      fileExists: 'Check if a file exists (params: path, scope?)',
-      fileStat: 'Get file metadata (params: path, scope?)',
-      mkdir: 'Create a directory (params: path, scope?)',
-      watchFile: 'Watch a file for changes (params: path, scope?)',
-      vfsTree: 'Get VFS directory tree (no params)'
-    };
-    return descriptions[name] || 'No description available';
+    const allowList = this._allowList();
+    return this.registry.list()
+      .filter(({ service, method }) => !allowList || matchesAllowList(allowList, service, method))
+      .filter(({ service, method }) => this.vfs.permissions.allowsTool(service, method))
+      .map(({ service, method, path, schema }) => ({
+        name: service === 'vfs' ? method : `${service}.${method}`,
+        service,
+        method: path,
+        description: this._getToolDescription(schema),
+        params: (schema && schema.params) || null,
+        result: (schema && schema.result) || null,
+        error: FAILURE_SCHEMA
+      }));
+  }
+
+  getToolSchema(toolName) {
+    this.getTool(toolName);
+    return this.registry.resolve('vfs', toolName).method.schema;
+  }
+
+  // Keeps the one-line "(params: a, b?)" summary the descriptions have always
+  // had, now derived from the params schema.
+  _getToolDescription(schema) {
+    if (typeof schema === 'string') {
+      schema = this.registry.has('vfs', schema) ? this.registry.resolve('vfs', schema).method.schema : null;
+    }
+    if (!schema) return 'No description available';
+
+    const description = schema.description || 'No description available';
+    const properties = Object.keys((schema.params && schema.params.properties) || {});
+    if (properties.length === 0) return `${description} (no params)`;
+
+    const required = new Set(schema.params.required || []);
+    const summary = properties.map(property => {
+      const spec = schema.params.properties[property];
+      const label = `${property}${required.has(property) ? '' : '?'}`;
+      return spec.enum ? `${label} [${spec.enum.join('|')}]` : label;
+    });
+    return `${description} (params: ${summary.join(', ')})`;
   }
 }
 
+// The built-in VFS tools as a provider. Handlers run the HostTools method of
+// the same name on whichever HostTools made the call.
+function vfsProvider() {
+  return {
+    description: 'Task virtual file system',
+    methods: Object.entries(TOOL_SCHEMAS).map(([name, schema]) => ({
+      path: [name],
+      handler: (params, context) => context.hostTools[name](params),
+      schema
+    }))
+  };
+}
+
+function hostProvider() {
+  return {
+    description: 'Host tools that work across providers',
+    methods: Object.entries(HOST_TOOL_SCHEMAS).map(([name, schema]) => ({
+      path: [name],
+      handler: (params, context) => context.hostTools[name](params),
+      schema
+    }))
+  };
+}
+
+HostTools.registry = new ToolRegistry();
+
 module.exports = { HostTools };
@@ -0,0 +1,120 @@
+// Built-in middleware for HostTools#use. Each factory returns an
+// async (ctx, next) => result function; ctx carries service, method, params,
+// taskId, runId, vfs, hostTools, attempt and startedAt.
+
+const { cassette } = require('./cassette.js');
+
+function toolName(ctx) {
+  return ctx.service === 'vfs' ? ctx.method : `${ctx.service}.${ctx.method}`;
+}
+
+// Params worth keeping in a log line: bulk content is replaced by its size.
+function summarizeParams(params) {
+  const summary = {};
+  for (const [key, value] of Object.entries(params || {})) {
+    if (key === 'content' && value !== undefined && value !== null) {
+      summary.contentBytes = Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+    } else if (key === 'operations' && Array.isArray(value)) {
+      summary.operations = value.map(({ type = 'write', path, scope }) => ({ type, path, scope }));
+    } else {
+      summary[key] = value;
+    }
+  }
+  return summary;
+}
+
+// Appends one JSON line per call to a file in the VFS, by default
+// .audit/host-tools.jsonl in the run scope. Audit failures are logged and
+// never fail the call itself.
+function audit(options = {}) {
+  const { path = '.audit/host-tools.jsonl', scope = 'run', includeParams = true } = options;
+
+  return async (ctx, next) => {
+    const result = await next();
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      taskId: ctx.taskId,
+      runId: ctx.runId,
+      tool: toolName(ctx),
+      attempt: ctx.attempt,
+      durationMs: Date.now() - ctx.startedAt,
+      success: !!result && result.success !== false
+    };
+    if (result && result.success === false) {
+      entry.code = result.code;
+      entry.error = result.error;
+    }
+    if (includeParams) entry.params = summarizeParams(ctx.params);
+
+    try {
+      await ctx.vfs.appendFile(path, `${JSON.stringify(entry)}\n`, scope);
+    } catch (error) {
+      ctx.vfs._log('Failed to write audit entry', { tool: entry.tool, error: error.message });
+    }
+    return result;
+  };
+}
+
+// Collects call counts and durations per tool. The returned middleware has
+// snapshot() and reset(); onMetric, if given, receives every measurement.
+function timing(options = {}) {
+  const { onMetric } = options;
+  let stats = {};
+
+  const middleware = async (ctx, next) => {
+    const started = process.hrtime.bigint();
+    const result = await next();
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    const name = toolName(ctx);
+    const entry = stats[name] || (stats[name] = { calls: 0, failures: 0, totalMs: 0, minMs: Infinity, maxMs: 0, lastMs: 0 });
+    entry.calls++;
+    if (!result || result.success === false) entry.failures++;
+    entry.totalMs += durationMs;
+    entry.minMs = Math.min(entry.minMs, durationMs);
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    entry.lastMs = durationMs;
+
+    if (onMetric) {
+      onMetric({ tool: name, durationMs, success: !!result && result.success !== false, code: result && result.code });
+    }
+    return result;
+  };
+
+  middleware.snapshot = () => Object.fromEntries(Object.entries(stats).map(([name, entry]) => [name, {
+    ...entry,
+    avgMs: entry.totalMs / entry.calls
+  }]));
+  middleware.reset = () => {
+    stats = {};
+  };
+
+  return middleware;
+}
+
+// Retries calls that fail with a retryable code (LOCKED, RATE_LIMITED,
+// TIMEOUT, UNAVAILABLE), backing off exponentially between attempts.
+function retry(options = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 100,
+    maxDelayMs = 2000,
+    factor = 2,
+    jitter = true,
+    shouldRetry = result => !!result && result.success === false && result.retryable === true
+  } = options;
+
+  return async (ctx, next) => {
+    for (let attempt = 1; ; attempt++) {
+      ctx.attempt = attempt;
+      const result = await next();
+      if (attempt > retries || !shouldRetry(result, ctx)) return result;
+
+      const delay = Math.min(maxDelayMs, baseDelayMs * factor ** (attempt - 1));
+      await new Promise(resolve => setTimeout(resolve, jitter ? delay / 2 + Math.random() * delay / 2 : delay));
+    }
+  };
+}
+
+module.exports = { audit, timing, retry, cassette };
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// The same hash compileTask gives a task's code.
+function contentHash(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Where published tasks and their runs are kept. Implementations store rows
+// shaped like the Supabase tables:
+//
+//   task_functions          { name, code, description, input_schema, current_hash, updated_at }
+//   task_function_versions  { name, hash, code, description, input_schema, created_at }
+//   task_runs               { id, task_name, task_version, status, input, result, error, created_at, updated_at }
+//   stack_runs              { id, parent_task_run_id, seq, service_name, method_name, args, result, status, created_at, updated_at }
+//
+// and implement getTask, listTasks, saveTask, getVersions, saveVersion,
+// saveRun, getRun, listRuns, saveStackRun and listStackRuns. Publishing,
+// version lookup and rollback are built on those here.
+class TaskRegistry {
+  // Stores the code as a version and makes it current; unchanged code is a no-op.
+  // inputSchema is the JSON Schema from extractInputSchema, or null.
+  async publish({ name, code, description = null, inputSchema = null }) {
+    const hash = contentHash(code);
+    const task = await this.getTask(name);
+    const previous = task ? task.current_hash : null;
+    if (previous === hash) {
+      return { name, hash, previous, changed: false };
+    }
+
+    await this.saveVersion({ name, hash, code, description, input_schema: inputSchema, created_at: new Date().toISOString() });
+    await this.saveTask({ name, code, description, input_schema: inputSchema, current_hash: hash, updated_at: new Date().toISOString() });
+    return { name, hash, previous, changed: true };
+  }
+
+  // `ref` is a unique prefix of a version hash, or 'current'.
+  async resolveVersion(name, ref = 'current') {
+    let hash = String(ref).toLowerCase();
+    if (ref === 'current') {
+      const task = await this.getTask(name);
+      if (!task || !task.current_hash) {
+        throw new Error(`Task ${name} has no current version`);
+      }
+      hash = task.current_hash;
+    }
+
+    const versions = await this.getVersions(name, hash);
+    if (versions.length === 0) {
+      throw new Error(`Task ${name} has no version ${ref}`);
+    }
+    if (versions.length > 1) {
+      throw new Error(`Version ${ref} of ${name} is ambiguous: ${versions.map(version => version.hash.slice(0, 12)).join(', ')}`);
+    }
+    return versions[0];
+  }
+
+  // Points the task at an earlier version; no version is ever deleted.
+  async rollback(name, ref) {
+    const version = await this.resolveVersion(name, ref);
+    const task = await this.getTask(name);
+    const previous = task ? task.current_hash : null;
+    if (previous === version.hash) {
+      return { name, hash: version.hash, previous, changed: false };
+    }
+
+    await this.saveTask({
+      name,
+      code: version.code,
+      description: version.description,
+      input_schema: version.input_schema || null,
+      current_hash: version.hash,
+      updated_at: new Date().toISOString()
+    });
+    return { name, hash: version.hash, previous, changed: true };
+  }
+
+  // The code of one version, for TaskRunner's loadVersion.
+  async loadVersion(name, hash) {
+    const [version] = await this.getVersions(name, hash);
+    return version && version.hash === hash ? version.code : null;
+  }
+}
+
+module.exports = { TaskRegistry, contentHash };
@@ -0,0 +1,27 @@
+const { TaskRegistry, contentHash } = require('./base.js');
+const { LocalRegistry } = require('./local.js');
+const { SupabaseRegistry } = require('./supabase.js');
+
+// createRegistry('local', { path, backend }) or createRegistry('supabase', { client }).
+function createRegistry(type, options = {}) {
+  if (type && typeof type === 'object') {
+    return type;
+  }
+
+  switch (type || 'local') {
+    case 'local':
+      return new LocalRegistry(options);
+    case 'supabase':
+      return new SupabaseRegistry(options.client);
+    default:
+      throw new Error(`Unknown task registry: ${type}. Valid registries: local, supabase`);
+  }
+}
+
+module.exports = {
+  createRegistry,
+  TaskRegistry,
+  LocalRegistry,
+  SupabaseRegistry,
+  contentHash
+};
@@ -0,0 +1,105 @@
+const path = require('path');
+const { createBackend } = require('../backends/index.js');
+const { TaskRegistry } = require('./base.js');
+
+// A registry kept as JSON files under a directory (or any storage backend),
+// for development and offline CI:
+//
+//   task_functions/<name>.json
+//   task_function_versions/<name>/<hash>.json
+//   task_runs/<id>.json
+//   stack_runs/<task run id>/<id>.json
+class LocalRegistry extends TaskRegistry {
+  constructor(options = {}) {
+    super();
+    this.root = path.resolve(options.path || '.sequential/registry');
+    this.backend = createBackend(options.backend || 'disk', this.root, options);
+  }
+
+  _key(...segments) {
+    return path.posix.join(...segments.map(segment => encodeURIComponent(String(segment))));
+  }
+
+  async _read(key) {
+    if (!(await this.backend.stat(key))) return null;
+    return JSON.parse((await this.backend.readFile(key)).toString('utf8'));
+  }
+
+  async _write(key, row) {
+    await this.backend.writeFile(key, Buffer.from(JSON.stringify(row, null, 2)));
+    return row;
+  }
+
+  async _list(dir) {
+    const rows = [];
+    for (const entry of await this.backend.listFiles(dir)) {
+      if (entry.isDirectory || !entry.name.endsWith('.json')) continue;
+      const row = await this._read(path.posix.join(dir, entry.name));
+      if (row) rows.push(row);
+    }
+    return rows;
+  }
+
+  async getTask(name) {
+    return this._read(this._key('task_functions', `${name}.json`));
+  }
+
+  async listTasks() {
+    const tasks = await this._list('task_functions');
+    return tasks
+      .map(({ name, description, input_schema, current_hash, updated_at }) => ({ name, description, input_schema, current_hash, updated_at }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async saveTask(task) {
+    const existing = await this.getTask(task.name);
+    return this._write(this._key('task_functions', `${task.name}.json`), { ...existing, ...task });
+  }
+
+  async getVersions(name, hashPrefix = '') {
+    const versions = await this._list(this._key('task_function_versions', name));
+    return versions
+      .filter(version => version.hash.startsWith(hashPrefix))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async saveVersion(version) {
+    const key = this._key('task_function_versions', version.name, `${version.hash}.json`);
+    // Versions are immutable; the first copy stored wins.
+    try {
+      await this.backend.writeFile(key, Buffer.from(JSON.stringify(version, null, 2)), { exclusive: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    return this._read(key);
+  }
+
+  async saveRun(run) {
+    const existing = await this.getRun(run.id);
+    return this._write(this._key('task_runs', `${run.id}.json`), { ...existing, ...run });
+  }
+
+  async getRun(id) {
+    return this._read(this._key('task_runs', `${id}.json`));
+  }
+
+  async listRuns(filter = {}) {
+    const runs = (await this._list('task_runs'))
+      .filter(run => !filter.taskName || run.task_name === filter.taskName)
+      .filter(run => !filter.status || run.status === filter.status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    return filter.limit ? runs.slice(0, filter.limit) : runs;
+  }
+
+  async saveStackRun(stackRun) {
+    const key = this._key('stack_runs', stackRun.parent_task_run_id, `${stackRun.id}.json`);
+    return this._write(key, { ...(await this._read(key)), ...stackRun });
+  }
+
+  async listStackRuns(taskRunId) {
+    const stackRuns = await this._list(this._key('stack_runs', taskRunId));
+    return stackRuns.sort((a, b) => a.seq - b.seq);
+  }
+}
+
+module.exports = { LocalRegistry };
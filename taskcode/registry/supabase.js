@@ -0,0 +1,91 @@
+const { TaskRegistry } = require('./base.js');
+
+// The registry in Supabase. `client` is anything with the supabase-js query
+// builder (`from(table).select()...`), such as the service proxy publish.ts
+// creates.
+class SupabaseRegistry extends TaskRegistry {
+  constructor(client) {
+    super();
+    if (!client || typeof client.from !== 'function') {
+      throw new Error('SupabaseRegistry requires a client with a from() query builder');
+    }
+    this.client = client;
+  }
+
+  async _query(query, action) {
+    const result = await query;
+    if (result && result.error) {
+      throw new Error(`Failed to ${action}: ${result.error.message}`);
+    }
+    return (result && result.data) || [];
+  }
+
+  async getTask(name) {
+    const rows = await this._query(
+      this.client.from('task_functions').select('name, code, description, input_schema, current_hash, updated_at').eq('name', name),
+      `fetch task ${name}`
+    );
+    return rows[0] || null;
+  }
+
+  async listTasks() {
+    return this._query(
+      this.client.from('task_functions').select('name, description, input_schema, current_hash, updated_at').order('name', { ascending: true }),
+      'list tasks'
+    );
+  }
+
+  async saveTask(task) {
+    await this._query(this.client.from('task_functions').upsert([task], { onConflict: 'name' }), `save task ${task.name}`);
+    return task;
+  }
+
+  async getVersions(name, hashPrefix = '') {
+    let query = this.client.from('task_function_versions')
+      .select('name, hash, code, description, input_schema, created_at')
+      .eq('name', name);
+    if (hashPrefix) query = query.like('hash', `${hashPrefix}%`);
+    return this._query(query.order('created_at', { ascending: false }), `fetch versions of ${name}`);
+  }
+
+  async saveVersion(version) {
+    await this._query(
+      this.client.from('task_function_versions').upsert([version], { onConflict: 'name,hash', ignoreDuplicates: true }),
+      `store version ${version.hash.slice(0, 12)} of ${version.name}`
+    );
+    return version;
+  }
+
+  async saveRun(run) {
+    await this._query(this.client.from('task_runs').upsert([run], { onConflict: 'id' }), `save run ${run.id}`);
+    return run;
+  }
+
+  async getRun(id) {
+    const rows = await this._query(this.client.from('task_runs').select('*').eq('id', id), `fetch run ${id}`);
+    return rows[0] || null;
+  }
+
+  async listRuns(filter = {}) {
+    let query = this.client.from('task_runs').select('*');
+    if (filter.taskName) query = query.eq('task_name', filter.taskName);
+    if (filter.status) query = query.eq('status', filter.status);
+    query = query.order('created_at', { ascending: false });
+    if (filter.limit) query = query.limit(filter.limit);
+    return this._query(query, 'list runs');
+  }
+
+  async saveStackRun(stackRun) {
+    await this._query(this.client.from('stack_runs').upsert([stackRun], { onConflict: 'id' }), `save stack run ${stackRun.id}`);
+    return stackRun;
+  }
+
+  async listStackRuns(taskRunId) {
+    return this._query(
+      this.client.from('stack_runs').select('*').eq('parent_task_run_id', taskRunId).order('seq', { ascending: true }),
+      `list stack runs of ${taskRunId}`
+    );
+  }
+}
+
+module.exports = { SupabaseRegistry };
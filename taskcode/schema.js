@@ -0,0 +1,126 @@
+// A small JSON Schema validator covering the subset the host tool schemas
+// use: type, enum, const, properties, required, additionalProperties, items,
+// oneOf/anyOf, numeric and length bounds, pattern and format: date-time.
+// Errors are collected rather than thrown, each with a JSON-pointer path.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Buffer.isBuffer(value)) return 'buffer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    case 'buffer':
+      return Buffer.isBuffer(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function pointer(base, key) {
+  return `${base}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function describe(value) {
+  const type = typeOf(value);
+  return type === 'string' || type === 'number' || type === 'boolean' ? `${type} ${JSON.stringify(value)}` : type;
+}
+
+function validate(schema, value, path = '') {
+  const errors = [];
+  const fail = (keyword, message, at = path) => errors.push({ path: at || '/', keyword, message });
+
+  if (!schema || schema === true) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}, got ${describe(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${describe(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      fail('format', 'must be a date-time');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, pointer(path, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) fail('required', `is required`, pointer(path, name));
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[name]) {
+        errors.push(...validate(properties[name], item, pointer(path, name)));
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', 'is not allowed', pointer(path, name));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, item, pointer(path, name)));
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, path).length === 0)) {
+    fail('anyOf', 'does not match any allowed schema');
+  }
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => validate(option, value, path).length === 0).length;
+    if (matching !== 1) fail('oneOf', `must match exactly one allowed schema, matched ${matching}`);
+  }
+
+  return errors;
+}
+
+function formatErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+module.exports = { validate, formatErrors };
@@ -0,0 +1,132 @@
+const { validate, formatErrors } = require('./schema.js');
+const { ToolError } = require('./errors.js');
+
+// A task's inputs as a JSON Schema object, declared either in
+// `config.inputs` or, for tasks without one, in JSDoc @param tags:
+//
+//   export const config = { inputs: [{ name: 'limit', type: 'integer', default: 10 }] };
+//   * @param {number} [input.limit=10] - Maximum results
+//
+// Config inputs are optional unless they say `required: true`; JSDoc params
+// are required unless written in [brackets].
+
+const INPUT_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+const SCHEMA_KEYWORDS = ['enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'format', 'items'];
+
+const JSDOC_BLOCK = /\/\*\*[\s\S]*?\*\//g;
+const PARAM_TAG = /@param[ \t]+(?:\{([^}]*)\}[ \t]*)?(\[[^\]]*\]|[\w$.]+)(?:[ \t]*-?[ \t]*(.*))?/g;
+
+function fromConfig(inputs) {
+  const schema = { type: 'object', properties: {}, required: [] };
+  for (const input of inputs) {
+    if (!input || typeof input.name !== 'string') continue;
+    const property = {};
+    if (INPUT_TYPES.includes(input.type)) property.type = input.type;
+    if (input.description) property.description = input.description;
+    for (const keyword of SCHEMA_KEYWORDS) {
+      if (input[keyword] !== undefined) property[keyword] = input[keyword];
+    }
+    if (input.default !== undefined) property.default = input.default;
+    schema.properties[input.name] = property;
+    if (input.required === true && input.default === undefined) schema.required.push(input.name);
+  }
+  return schema;
+}
+
+// {string} → string, {string[]} and {Array<...>} → array, {*} → any
+function jsdocType(type) {
+  const name = (type || '').trim().replace(/^\?|=$/g, '');
+  if (/\[\]$|^Array\b/i.test(name)) return 'array';
+  const lower = name.toLowerCase();
+  if (lower === 'int') return 'integer';
+  return INPUT_TYPES.includes(lower) ? lower : null;
+}
+
+function jsdocDefault(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text.replace(/^(['"])(.*)\1$/, '$2');
+  }
+}
+
+function fromJSDoc(code) {
+  const schema = { type: 'object', properties: {}, required: [] };
+  for (const block of code.match(JSDOC_BLOCK) || []) {
+    const text = block.replace(/^\s*\/?\*+\/?/gm, '');
+    for (const [, type, target, description] of text.matchAll(PARAM_TAG)) {
+      const optional = target.startsWith('[');
+      const [param, defaultText] = optional ? target.slice(1, -1).split(/=(.*)/s) : [target];
+      // Only direct properties of the input object: input.limit, not input or input.a.b
+      const parts = param.trim().split('.');
+      if (parts.length !== 2) continue;
+
+      const name = parts[1];
+      const property = {};
+      const propertyType = jsdocType(type);
+      if (propertyType) property.type = propertyType;
+      if (description && description.trim()) property.description = description.trim();
+      if (defaultText !== undefined && defaultText.trim() !== '') {
+        property.default = coerce(jsdocDefault(defaultText.trim()), property);
+      }
+      schema.properties[name] = property;
+      if (!optional) schema.required.push(name);
+    }
+  }
+  return Object.keys(schema.properties).length > 0 ? schema : null;
+}
+
+// config.inputs wins over JSDoc; null when the task declares neither.
+function extractInputSchema({ inputs = null, code = '' } = {}) {
+  if (Array.isArray(inputs)) return fromConfig(inputs);
+  return fromJSDoc(code || '');
+}
+
+// Inputs often arrive as strings (query strings, CLI flags, form fields), so
+// strings are converted to the declared type where that is unambiguous.
+function coerce(value, property) {
+  const type = Array.isArray(property.type) ? null : property.type;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if ((type === 'number' || type === 'integer') && text !== '' && !Number.isNaN(Number(text))) return Number(text);
+    if (type === 'boolean' && ['true', 'false', '1', '0'].includes(text)) return text === 'true' || text === '1';
+    if ((type === 'object' && text.startsWith('{')) || (type === 'array' && text.startsWith('['))) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return value;
+      }
+    }
+  }
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) return String(value);
+  return value;
+}
+
+// Applies defaults and coercions, then validates. Returns the input the task
+// should receive, or throws INVALID_PARAMS listing every bad field.
+function prepareInput(schema, input, taskName = 'task') {
+  if (!schema) return input;
+  const source = input === undefined || input === null ? {} : input;
+  if (typeof source !== 'object' || Array.isArray(source)) {
+    throw new ToolError(`Invalid input for task ${taskName}: must be an object`, 'INVALID_PARAMS', {
+      fields: [{ path: '/', keyword: 'type', message: 'must be object' }]
+    });
+  }
+
+  const prepared = { ...source };
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (prepared[name] === undefined && property.default !== undefined) {
+      prepared[name] = structuredClone(property.default);
+    } else if (prepared[name] !== undefined) {
+      prepared[name] = coerce(prepared[name], property);
+    }
+  }
+
+  const errors = validate(schema, prepared);
+  if (errors.length > 0) {
+    throw new ToolError(`Invalid input for task ${taskName}: ${formatErrors(errors)}`, 'INVALID_PARAMS', { fields: errors });
+  }
+  return prepared;
+}
+
+module.exports = { extractInputSchema, prepareInput, INPUT_TYPES };
@@ -0,0 +1,140 @@
+// Registry of namespaced host tool providers. A provider is a service name
+// (what tasks pass as the first argument to __callHostTool__) with a set of
+// methods, each addressed by a path such as ['gmail', 'users', 'messages',
+// 'list'] or 'gmail.users.messages.list':
+//
+//   registry.register('gapi', {
+//     description: 'Google APIs',
+//     methods: [
+//       { path: ['gmail', 'users', 'messages', 'list'], handler, schema: { description, params, result } }
+//     ],
+//     hooks: { init, beforeCall, afterCall, onError, dispose }
+//   });
+//
+// Handlers receive (params, context) where context carries the calling
+// HostTools, its vfs, taskId and runId, and whatever the provider's init hook
+// returned as `state`. Hooks are optional:
+//   init(context)                 once per HostTools, before its first call
+//   beforeCall(context)           may replace context.params
+//   afterCall(context, result)    may return a replacement result
+//   onError(context, error)       may return a result instead of failing
+//   dispose(context)              when the HostTools is disposed
+
+function methodKey(methodPath) {
+  const segments = Array.isArray(methodPath) ? methodPath : String(methodPath || '').split('.');
+  const cleaned = segments.map(segment => String(segment).trim());
+  if (cleaned.length === 0 || cleaned.some(segment => !segment)) {
+    throw new Error(`Invalid method path: ${JSON.stringify(methodPath)}`);
+  }
+  return cleaned.join('.');
+}
+
+// Allow-list entries are `service`, `service.method.path`, or a prefix ending
+// in `.*` (`gapi.gmail.*`); a lone `*` allows everything.
+function matchesAllowList(patterns, service, key) {
+  const full = `${service}.${key}`;
+  return patterns.some(pattern => {
+    if (pattern === '*' || pattern === service || pattern === full) return true;
+    if (pattern.endsWith('.*')) return full.startsWith(pattern.slice(0, -1));
+    return false;
+  });
+}
+
+class ToolRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.allowLists = new Map();
+  }
+
+  register(service, provider = {}) {
+    if (!/^[A-Za-z][A-Za-z0-9_-]*$/.test(service || '')) {
+      throw new Error(`Invalid service name: ${service}`);
+    }
+    if (this.providers.has(service)) {
+      throw new Error(`Service already registered: ${service}`);
+    }
+
+    const entry = {
+      service,
+      description: provider.description || '',
+      hooks: provider.hooks || {},
+      methods: new Map()
+    };
+    this.providers.set(service, entry);
+
+    for (const method of provider.methods || []) {
+      this.registerMethod(service, method.path, method.handler, method.schema);
+    }
+    return this;
+  }
+
+  registerMethod(service, methodPath, handler, schema = null) {
+    const provider = this.providers.get(service);
+    if (!provider) {
+      throw new Error(`Unknown service: ${service}. Register it before adding methods`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${service}.${methodKey(methodPath)} must be a function`);
+    }
+
+    const key = methodKey(methodPath);
+    if (provider.methods.has(key)) {
+      throw new Error(`Method already registered: ${service}.${key}`);
+    }
+    provider.methods.set(key, { key, path: key.split('.'), handler, schema });
+    return this;
+  }
+
+  unregister(service) {
+    return this.providers.delete(service);
+  }
+
+  has(service, methodPath) {
+    const provider = this.providers.get(service);
+    return !!provider && provider.methods.has(methodKey(methodPath));
+  }
+
+  getProvider(service) {
+    return this.providers.get(service) || null;
+  }
+
+  resolve(service, methodPath) {
+    const provider = this.providers.get(service);
+    if (!provider) {
+      throw new Error(`Unknown service: ${service}. Available: ${[...this.providers.keys()].join(', ')}`);
+    }
+
+    const key = methodKey(methodPath);
+    const method = provider.methods.get(key);
+    if (!method) {
+      throw new Error(`Unknown method ${service}.${key}. Available: ${[...provider.methods.keys()].join(', ')}`);
+    }
+    return { provider, method };
+  }
+
+  list() {
+    const methods = [];
+    for (const provider of this.providers.values()) {
+      for (const method of provider.methods.values()) {
+        methods.push({ service: provider.service, method: method.key, path: method.path, schema: method.schema });
+      }
+    }
+    return methods;
+  }
+
+  // null (the default) means every registered tool is allowed for the task.
+  setAllowList(taskId, patterns) {
+    if (patterns === null || patterns === undefined) {
+      this.allowLists.delete(taskId);
+    } else {
+      this.allowLists.set(taskId, [...patterns]);
+    }
+    return this;
+  }
+
+  getAllowList(taskId) {
+    return this.allowLists.get(taskId) || null;
+  }
+}
+
+module.exports = { ToolRegistry, methodKey, matchesAllowList };
@@ -0,0 +1,517 @@
+// JSON Schemas for the built-in host tools. `params` describes what a
+// task may pass and is enforced before the tool runs; `result` describes the
+// success payload. Every tool can also return FAILURE_SCHEMA instead.
+
+const SCOPES = ['run', 'task', 'global'];
+
+const scope = { type: 'string', enum: SCOPES, default: 'run', description: 'VFS scope' };
+const readScope = { type: 'string', enum: [...SCOPES, 'auto'], default: 'auto', description: "VFS scope; 'auto' searches run, then task, then global" };
+const searchScope = { type: 'string', enum: [...SCOPES, 'all'], default: 'run', description: "VFS scope, or 'all' for every scope" };
+const filePath = { type: 'string', minLength: 1, description: 'Path relative to the scope root' };
+const content = { description: 'String, JSON value, serialized Buffer, or base64 text with encoding: "base64"' };
+const encoding = { type: 'string', default: 'utf8', description: 'Text encoding of content, e.g. utf8 or base64' };
+const etag = { type: 'string' };
+const ifMatch = { type: 'string', description: 'Only proceed if the file still has this etag' };
+const lockToken = { type: 'string', description: 'Token of a lease that must be held on the path' };
+const contentType = { type: 'string', description: 'MIME type to record instead of detecting one' };
+const ttl = { type: ['number', 'string'], description: "Expire the file after this long: milliseconds or '30m', '12h', '7d'" };
+const expiresAt = { type: 'string', format: 'date-time', description: 'Expire the file at this time' };
+const version = { type: 'integer', minimum: 1 };
+const timestamp = { type: ['string', 'object', 'null'], description: 'ISO timestamp' };
+
+function params(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function ok(properties = {}) {
+  return {
+    type: 'object',
+    properties: { success: { const: true }, ...properties },
+    required: ['success'],
+    additionalProperties: true
+  };
+}
+
+const FAILURE_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { const: false },
+    error: { type: 'string' },
+    code: { type: 'string' },
+    tool: { type: 'string' },
+    params: { type: 'object' }
+  },
+  required: ['success', 'error'],
+  additionalProperties: true
+};
+
+const fileEntry = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    path: { type: 'string' },
+    scope: { type: 'string' },
+    size: { type: 'number' },
+    modified: timestamp
+  },
+  required: ['name', 'path']
+};
+
+const writeResult = ok({
+  path: { type: 'string' },
+  scope: { type: 'string', enum: SCOPES },
+  size: { type: 'integer', minimum: 0 },
+  etag,
+  contentType: { type: 'string' },
+  expiresAt: { type: 'string' },
+  version
+});
+
+const lockInfo = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    scope: { type: 'string' },
+    owner: { type: 'string' },
+    token: { type: 'string' },
+    acquiredAt: { type: 'string' },
+    expiresAt: { type: 'string' },
+    expired: { type: 'boolean' }
+  }
+};
+
+const TOOL_SCHEMAS = {
+  writeFile: {
+    description: 'Write content to a file; send binary data as base64 with encoding: "base64"',
+    params: params({
+      path: filePath, content, scope, encoding, contentType, ttl, expiresAt,
+      append: { type: 'boolean', default: false },
+      ifMatch, lockToken
+    }, ['path', 'content']),
+    result: writeResult
+  },
+
+  appendFile: {
+    description: 'Append content to the end of a file without rewriting it',
+    params: params({ path: filePath, content, scope, encoding, contentType, ttl, expiresAt, ifMatch, lockToken }, ['path', 'content']),
+    result: writeResult
+  },
+
+  readFile: {
+    description: 'Read content from a file, optionally a byte range or line range; as: "auto" parses JSON and returns binary files as base64',
+    params: params({
+      path: filePath,
+      scope: readScope,
+      encoding,
+      as: { type: 'string', enum: ['text', 'base64', 'json', 'auto'] },
+      version,
+      offset: { type: 'integer', description: 'Byte offset; negative counts from the end' },
+      length: { type: 'integer', minimum: 0 },
+      startLine: { type: 'integer', minimum: 1 },
+      endLine: { type: 'integer', minimum: 1 }
+    }, ['path']),
+    result: ok({
+      content: {},
+      encoding: { type: 'string' },
+      contentType: { type: 'string' },
+      path: { type: 'string' },
+      scope: { type: 'string', enum: SCOPES },
+      size: { type: 'integer', minimum: 0 },
+      modified: timestamp,
+      etag,
+      version,
+      totalSize: { type: 'integer' },
+      range: { type: 'object' },
+      lines: { type: 'object' }
+    })
+  },
+
+  listFiles: {
+    description: 'List files in a directory',
+    params: params({ path: { type: 'string', default: '/' }, scope, recursive: { type: 'boolean', default: false } }),
+    result: ok({
+      path: { type: 'string' },
+      scope: { type: 'string' },
+      files: { type: 'array', items: fileEntry },
+      directories: { type: 'array', items: fileEntry },
+      total: { type: 'integer' }
+    })
+  },
+
+  glob: {
+    description: 'Find files matching a glob such as reports/**/*.json',
+    params: params({
+      pattern: { type: 'string', minLength: 1 },
+      scope: searchScope,
+      limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      cursor: { type: ['string', 'null'] },
+      includeDirectories: { type: 'boolean', default: false }
+    }, ['pattern']),
+    result: ok({
+      matches: { type: 'array', items: { type: 'object', required: ['path', 'scope'] } },
+      total: { type: 'integer' },
+      nextCursor: { type: ['string', 'null'] },
+      truncated: { type: 'boolean' }
+    })
+  },
+
+  grep: {
+    description: 'Search file contents line by line',
+    params: params({
+      query: { type: 'string', minLength: 1 },
+      glob: { type: 'string' },
+      scope: searchScope,
+      regex: { type: 'boolean', default: false },
+      ignoreCase: { type: 'boolean', default: false },
+      maxMatches: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      maxMatchesPerFile: { type: 'integer', minimum: 1, default: 20 },
+      cursor: { type: ['string', 'null'] }
+    }, ['query']),
+    result: ok({
+      matches: { type: 'array', items: { type: 'object', required: ['path', 'scope', 'line', 'column', 'text'] } },
+      total: { type: 'integer' },
+      filesSearched: { type: 'integer' },
+      skipped: { type: 'array' },
+      nextCursor: { type: ['string', 'null'] },
+      truncated: { type: 'boolean' }
+    })
+  },
+
+  deleteFile: {
+    description: 'Delete a file or directory',
+    params: params({ path: filePath, scope, ifMatch, lockToken }, ['path']),
+    result: ok({ path: { type: 'string' }, scope: { type: 'string' } })
+  },
+
+  fileExists: {
+    description: 'Check if a file exists',
+    params: params({ path: filePath, scope }, ['path']),
+    result: ok({ exists: { type: 'boolean' }, path: { type: 'string' }, scope: { type: 'string' } })
+  },
+
+  fileStat: {
+    description: 'Get file metadata',
+    params: params({ path: filePath, scope, version }, ['path']),
+    result: ok({
+      path: { type: 'string' },
+      scope: { type: 'string' },
+      size: { type: 'integer' },
+      modified: timestamp,
+      isDirectory: { type: 'boolean' },
+      isFile: { type: 'boolean' },
+      etag,
+      contentType: { type: 'string' },
+      version: { type: ['integer', 'null'] }
+    })
+  },
+
+  listVersions: {
+    description: 'List stored versions of a file in a versioned scope',
+    params: params({ path: filePath, scope }, ['path']),
+    result: ok({
+      versions: {
+        type: 'array',
+        items: { type: 'object', properties: { version, size: { type: 'integer' }, current: { type: 'boolean' } } }
+      }
+    })
+  },
+
+  revertFile: {
+    description: 'Restore a file to a previous version',
+    params: params({ path: filePath, version, scope }, ['path', 'version']),
+    result: ok({ revertedFrom: version, version })
+  },
+
+  mkdir: {
+    description: 'Create a directory',
+    params: params({ path: filePath, scope }, ['path']),
+    result: ok({ path: { type: 'string' }, scope: { type: 'string' } })
+  },
+
+  watchFile: {
+    description: 'Wait up to timeoutMs for the next change to a file',
+    params: params({ path: filePath, scope, timeoutMs: { type: 'integer', minimum: 1, maximum: 300000, default: 30000 } }, ['path']),
+    result: ok({
+      event: { type: ['object', 'null'] },
+      timedOut: { type: 'boolean' },
+      path: { type: 'string' },
+      scope: { type: 'string' }
+    })
+  },
+
+  watch: {
+    description: 'Subscribe to changes under a path and poll them, across suspend/resume',
+    params: params({
+      action: { type: 'string', enum: ['subscribe', 'poll', 'unsubscribe', 'status', 'list'] },
+      subscriptionId: { type: 'string' },
+      path: filePath,
+      scope,
+      recursive: { type: 'boolean', default: false },
+      glob: { type: 'string', description: 'Only report files matching this pattern, relative to path' },
+      debounceMs: { type: 'integer', minimum: 0, default: 100 },
+      ttl,
+      expiresAt,
+      cursor: { type: 'integer', minimum: 0, description: 'Return events after this sequence number instead of after the last poll' },
+      limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      waitMs: { type: 'integer', minimum: 0, maximum: 300000, default: 0 },
+      rescan: { type: 'boolean', default: false, description: 'Compare the files with the last known state before reading events' }
+    }, ['action']),
+    result: ok({
+      subscriptionId: { type: 'string' },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            seq: { type: 'integer' },
+            type: { type: 'string', enum: ['created', 'modified', 'deleted'] },
+            path: { type: 'string' },
+            scope: { type: 'string' },
+            size: { type: 'integer' },
+            modified: timestamp,
+            timestamp
+          },
+          required: ['seq', 'type', 'path']
+        }
+      },
+      cursor: { type: 'integer' },
+      more: { type: 'boolean' },
+      timedOut: { type: 'boolean' },
+      subscriptions: { type: 'array' }
+    })
+  },
+
+  journal: {
+    description: 'Query the durable journal of VFS events for this run or task',
+    params: params({
+      journal: { type: 'string', enum: ['run', 'task'], default: 'run', description: 'task covers every run of the task' },
+      from: { type: 'string', description: 'ISO timestamp, inclusive' },
+      to: { type: 'string', description: 'ISO timestamp, inclusive' },
+      type: { type: ['string', 'array'], items: { type: 'string' }, description: 'Event type or list of types, e.g. file:write' },
+      path: { type: 'string', description: 'Path prefix, or a glob when it contains * or ?' },
+      scope,
+      runId: { type: 'string' },
+      limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      cursor: { type: 'integer', minimum: 0, description: 'nextCursor of the previous page' }
+    }),
+    result: ok({
+      journal: { type: 'string' },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            timestamp,
+            type: { type: 'string' },
+            taskId: { type: 'string' },
+            runId: { type: 'string' },
+            path: { type: 'string' },
+            scope: { type: 'string' }
+          },
+          required: ['timestamp', 'type']
+        }
+      },
+      total: { type: 'integer' },
+      nextCursor: { type: ['integer', 'null'] },
+      truncated: { type: 'boolean' }
+    })
+  },
+
+  vfsTree: {
+    description: 'Get VFS directory tree',
+    params: params({}),
+    result: ok({ tree: { type: 'object' } })
+  },
+
+  writeStream: {
+    description: 'Chunked writes that survive suspend/resume',
+    params: params({
+      action: { type: 'string', enum: ['open', 'write', 'close', 'abort', 'status', 'list'] },
+      streamId: { type: 'string' },
+      path: filePath,
+      content,
+      offset: { type: 'integer', minimum: 0 },
+      scope,
+      encoding,
+      contentType,
+      ttl,
+      expiresAt,
+      append: { type: 'boolean', default: false },
+      ifMatch,
+      lockToken
+    }, ['action']),
+    result: ok({
+      streamId: { type: 'string' },
+      state: { type: 'string' },
+      size: { type: 'integer' },
+      duplicate: { type: 'boolean' },
+      streams: { type: 'array' }
+    })
+  },
+
+  transaction: {
+    description: 'Atomic multi-file writes',
+    params: params({
+      action: { type: 'string', enum: ['begin', 'write', 'delete', 'commit', 'abort', 'status'] },
+      txId: { type: 'string' },
+      path: filePath,
+      content,
+      scope,
+      encoding,
+      description: { type: 'string' },
+      operations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['write', 'delete'], default: 'write' },
+            path: filePath,
+            content,
+            scope,
+            encoding
+          },
+          required: ['path'],
+          additionalProperties: false
+        }
+      }
+    }, ['action']),
+    result: ok({
+      txId: { type: 'string' },
+      state: { type: 'string' },
+      operations: { type: 'array' }
+    })
+  },
+
+  acquireLock: {
+    description: 'Take an advisory lease on a path',
+    params: params({
+      path: filePath,
+      scope,
+      ttlMs: { type: 'integer', minimum: 1 },
+      waitMs: { type: 'integer', minimum: 0 }
+    }, ['path']),
+    result: ok(lockInfo.properties)
+  },
+
+  renewLock: {
+    description: 'Extend a held lease',
+    params: params({ path: filePath, token: { type: 'string' }, scope, ttlMs: { type: 'integer', minimum: 1 } }, ['path', 'token']),
+    result: ok(lockInfo.properties)
+  },
+
+  releaseLock: {
+    description: 'Release a held lease',
+    params: params({ path: filePath, token: { type: 'string' }, scope }, ['path', 'token']),
+    result: ok({ released: { type: 'boolean' } })
+  },
+
+  getLock: {
+    description: 'Show who holds the lease on a path',
+    params: params({ path: filePath, scope }, ['path']),
+    result: ok({ locked: { type: 'boolean' }, lock: { anyOf: [lockInfo, { type: 'null' }] } })
+  },
+
+  createSnapshot: {
+    description: 'Snapshot the current state of a scope',
+    params: params({
+      name: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$' },
+      scope,
+      description: { type: 'string' },
+      overwrite: { type: 'boolean', default: false }
+    }, ['name']),
+    result: ok({ name: { type: 'string' }, fileCount: { type: 'integer' }, size: { type: 'integer' } })
+  },
+
+  listSnapshots: {
+    description: 'List snapshots of a scope',
+    params: params({ scope }),
+    result: ok({ snapshots: { type: 'array' }, total: { type: 'integer' } })
+  },
+
+  diffSnapshots: {
+    description: 'Compare two snapshots, or a snapshot with the live scope',
+    params: params({ from: { type: 'string' }, to: { type: ['string', 'null'] }, scope }, ['from']),
+    result: ok({ added: { type: 'array' }, removed: { type: 'array' }, modified: { type: 'array' } })
+  },
+
+  restoreSnapshot: {
+    description: 'Restore a scope to a snapshot',
+    params: params({ name: { type: 'string' }, scope }, ['name']),
+    result: ok({ name: { type: 'string' } })
+  },
+
+  deleteSnapshot: {
+    description: 'Delete a snapshot',
+    params: params({ name: { type: 'string' }, scope }, ['name']),
+    result: ok({ name: { type: 'string' } })
+  },
+
+  gc: {
+    description: 'Remove expired files of the caller\'s scopes and, with the gc permission, expired runs of the task and unreferenced stored objects; dryRun reports without deleting',
+    params: params({
+      dryRun: { type: 'boolean', default: false },
+      runs: { type: 'boolean', default: false, description: 'Also remove expired runs of this task (needs gc: true in the permission policy)' },
+      objects: { type: 'boolean', default: false, description: 'Also remove unreferenced stored objects (needs gc: true in the permission policy)' }
+    }),
+    result: ok({
+      dryRun: { type: 'boolean' },
+      runs: { type: ['array', 'null'] },
+      files: { type: 'array' },
+      objects: { type: ['object', 'null'] },
+      freed: { type: 'object', properties: { bytes: { type: 'integer' }, files: { type: 'integer' } } },
+      errors: { type: 'array' }
+    })
+  },
+
+  listRuns: {
+    description: 'List runs of this task with size, last activity, pin and expiry',
+    params: params({}),
+    result: ok({ runs: { type: 'array' }, total: { type: 'integer' } })
+  },
+
+  pinRun: {
+    description: 'Keep a run from being garbage collected',
+    params: params({ runId: { type: 'string', description: 'Defaults to the current run' }, reason: { type: 'string' } }),
+    result: ok({ runId: { type: 'string' }, pinned: { const: true } })
+  },
+
+  unpinRun: {
+    description: 'Allow a pinned run to be garbage collected again',
+    params: params({ runId: { type: 'string', description: 'Defaults to the current run' } }),
+    result: ok({ runId: { type: 'string' }, pinned: { const: false } })
+  }
+};
+
+// Tools of the built-in `host` service, which work across providers.
+const HOST_TOOL_SCHEMAS = {
+  batch: {
+    description: 'Run several host tool calls in one round trip; results come back in call order',
+    params: params({
+      calls: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 1000,
+        items: {
+          type: 'object',
+          properties: {
+            service: { type: 'string', default: 'vfs' },
+            method: { type: ['string', 'array'], description: "Method name or path, e.g. 'readFile' or ['gmail', 'users', 'messages', 'list']" },
+            params: { description: 'Params for the call' }
+          },
+          required: ['method'],
+          additionalProperties: false
+        }
+      },
+      concurrency: { type: 'integer', minimum: 1, maximum: 64, default: 4 },
+      stopOnError: { type: 'boolean', default: false, description: 'Skip the remaining calls once one fails' }
+    }, ['calls']),
+    result: ok({
+      results: { type: 'array' },
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' }
+    })
+  }
+};
+
+module.exports = { TOOL_SCHEMAS, HOST_TOOL_SCHEMAS, FAILURE_SCHEMA };
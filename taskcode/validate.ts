@@ -0,0 +1,325 @@
+import * as acorn from "npm:acorn@8.11.3";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { extractInputSchema, INPUT_TYPES } = require("./task-inputs.js");
+
+// Static checks run before a task is published: the file parses, exports
+// something callable, has a well-formed `config` if it has one, imports only
+// what the runtime provides, and the host calls it makes are listed.
+
+export type HostCall = {
+  service: string;
+  method: string;
+  line: number;
+  via?: string;
+};
+
+export type TaskReport = {
+  name: string;
+  file: string;
+  errors: string[];
+  warnings: string[];
+  hostCalls: HostCall[];
+  inputSchema: any | null;
+};
+
+// Only the task file itself is published; the executor provides these.
+const SUPPORTED_IMPORTS = [/^@sequential\//, /^sequential-/];
+const DYNAMIC = "<dynamic>";
+const NOT_STATIC = Symbol("not static");
+
+type Node = { type: string; start: number; loc?: { start: { line: number } }; [key: string]: any };
+
+function line(node: Node): number {
+  return node.loc?.start.line ?? 0;
+}
+
+function walk(node: any, visit: (node: Node) => void) {
+  if (!node || typeof node.type !== "string") return;
+  visit(node);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "loc") continue;
+    if (Array.isArray(value)) {
+      for (const child of value) walk(child, visit);
+    } else if (value && typeof value === "object") {
+      walk(value, visit);
+    }
+  }
+}
+
+function literalString(node: Node | undefined): string | null {
+  if (!node) return null;
+  if (node.type === "Literal" && typeof node.value === "string") return node.value;
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// The value of a literal, array or object expression, or NOT_STATIC
+function literalValue(node: Node | undefined): any {
+  if (!node) return NOT_STATIC;
+  if (node.type === "Literal" && !node.regex) return node.value;
+  if (node.type === "TemplateLiteral") return literalString(node) ?? NOT_STATIC;
+  if (node.type === "UnaryExpression" && node.operator === "-" && typeof literalValue(node.argument) === "number") {
+    return -literalValue(node.argument);
+  }
+  if (node.type === "ArrayExpression") {
+    const items = node.elements.map((element: Node) => literalValue(element));
+    return items.includes(NOT_STATIC) ? NOT_STATIC : items;
+  }
+  if (node.type === "ObjectExpression") {
+    const object: Record<string, any> = {};
+    for (const property of node.properties) {
+      if (property.type !== "Property" || property.computed) return NOT_STATIC;
+      const value = literalValue(property.value);
+      if (value === NOT_STATIC) return NOT_STATIC;
+      object[property.key.name ?? String(property.key.value)] = value;
+    }
+    return object;
+  }
+  return NOT_STATIC;
+}
+
+// 'readFile' or ['gmail', 'users', 'messages', 'list'] as a dotted path
+function methodPath(node: Node | undefined): string | null {
+  const single = literalString(node);
+  if (single !== null) return single;
+  if (node?.type === "ArrayExpression") {
+    const parts = node.elements.map((element: Node) => literalString(element));
+    return parts.every((part: string | null) => part !== null) ? parts.join(".") : null;
+  }
+  return null;
+}
+
+function isFunction(node: Node | undefined): boolean {
+  return !!node && ["FunctionExpression", "ArrowFunctionExpression", "FunctionDeclaration"].includes(node.type);
+}
+
+// module.exports / exports / module.exports.<name>
+function exportTarget(node: Node): { whole: boolean; name?: string } | null {
+  if (node.type !== "MemberExpression") return null;
+  const isModuleExports = (member: Node) =>
+    member.type === "MemberExpression" && member.object.type === "Identifier" && member.object.name === "module" &&
+    !member.computed && member.property.name === "exports";
+
+  if (isModuleExports(node)) return { whole: true };
+  const owner = node.object;
+  const name = node.computed ? literalString(node.property) : node.property.name;
+  if (name && (isModuleExports(owner) || (owner.type === "Identifier" && owner.name === "exports"))) {
+    return { whole: false, name };
+  }
+  return null;
+}
+
+// Returns config.inputs when it is written out literally, NOT_STATIC when
+// it cannot be read without running the task
+function checkConfig(config: Node, report: TaskReport): any {
+  if (config.type !== "ObjectExpression") {
+    report.warnings.push(`config (line ${line(config)}) is not an object literal, so it cannot be checked before publishing`);
+    return NOT_STATIC;
+  }
+
+  const fields = new Map<string, Node>();
+  for (const property of config.properties) {
+    if (property.type !== "Property") continue;
+    const key = property.computed ? literalString(property.key) : property.key.name ?? literalString(property.key);
+    if (key) fields.set(key, property.value);
+  }
+
+  const name = fields.get("name");
+  if (name && literalString(name) === null) report.errors.push("config.name must be a string");
+  const description = fields.get("description");
+  if (description && literalString(description) === null) report.errors.push("config.description must be a string");
+
+  const inputs = fields.get("inputs");
+  if (!inputs) return null;
+  if (inputs.type !== "ArrayExpression") {
+    report.errors.push("config.inputs must be an array");
+    return null;
+  }
+  inputs.elements.forEach((input: Node, index: number) => {
+    if (!input || input.type !== "ObjectExpression") {
+      report.errors.push(`config.inputs[${index}] must be an object`);
+      return;
+    }
+    const props = new Map<string, Node>(input.properties
+      .filter((property: Node) => property.type === "Property" && !property.computed)
+      .map((property: Node) => [property.key.name ?? literalString(property.key), property.value]));
+    if (literalString(props.get("name")) === null) {
+      report.errors.push(`config.inputs[${index}].name must be a string`);
+    }
+    const type = literalString(props.get("type"));
+    if (props.has("type") && (type === null || !INPUT_TYPES.includes(type))) {
+      report.errors.push(`config.inputs[${index}].type must be one of ${INPUT_TYPES.join(", ")}`);
+    }
+    if (props.has("required") && typeof literalValue(props.get("required")) !== "boolean") {
+      report.errors.push(`config.inputs[${index}].required must be true or false`);
+    }
+  });
+
+  const value = literalValue(inputs);
+  if (value === NOT_STATIC) {
+    report.warnings.push("config.inputs is not written out literally, so its input schema is not published");
+  }
+  return value;
+}
+
+function checkImport(specifier: string | null, node: Node, report: TaskReport) {
+  if (specifier === null) {
+    report.errors.push(`Line ${line(node)}: dynamic import or require cannot be checked and is not supported`);
+  } else if (specifier.startsWith(".") || specifier.startsWith("/")) {
+    report.errors.push(`Line ${line(node)}: "${specifier}" is a local file; only the task file itself is published`);
+  } else if (!SUPPORTED_IMPORTS.some(pattern => pattern.test(specifier))) {
+    report.errors.push(`Line ${line(node)}: "${specifier}" is not provided by the task runtime`);
+  }
+}
+
+export function validateTask(code: string, file: string, name: string): TaskReport {
+  const report: TaskReport = { name, file, errors: [], warnings: [], hostCalls: [], inputSchema: null };
+
+  let ast: Node;
+  try {
+    ast = acorn.parse(code, {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      locations: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true
+    }) as unknown as Node;
+  } catch (error) {
+    report.errors.push(`Syntax error: ${error instanceof Error ? error.message : String(error)}`);
+    return report;
+  }
+
+  // Exported functions by name ("default" and "module.exports" included)
+  const functions = new Set<string>();
+  const declared = new Map<string, Node>();
+  let config: Node | null = null;
+
+  for (const statement of ast.body) {
+    if (statement.type === "FunctionDeclaration") declared.set(statement.id.name, statement);
+    if (statement.type === "VariableDeclaration") {
+      for (const declaration of statement.declarations) {
+        if (declaration.id.type === "Identifier" && declaration.init) declared.set(declaration.id.name, declaration.init);
+      }
+    }
+  }
+  const resolve = (node: Node | undefined): Node | undefined =>
+    node?.type === "Identifier" && declared.has(node.name) ? declared.get(node.name) : node;
+
+  for (const statement of ast.body) {
+    if (statement.type === "ExportDefaultDeclaration" && isFunction(resolve(statement.declaration))) {
+      functions.add("default");
+    } else if (statement.type === "ExportNamedDeclaration" && statement.declaration) {
+      const declaration = statement.declaration;
+      if (declaration.type === "FunctionDeclaration") functions.add(declaration.id.name);
+      if (declaration.type === "VariableDeclaration") {
+        for (const item of declaration.declarations) {
+          if (item.id.type !== "Identifier") continue;
+          if (item.id.name === "config") config = item.init;
+          else if (isFunction(item.init)) functions.add(item.id.name);
+        }
+      }
+    } else if (statement.type === "ExportNamedDeclaration") {
+      for (const specifier of statement.specifiers) {
+        const local = declared.get(specifier.local.name);
+        if (specifier.exported.name === "config" && local) config = local;
+        else if (isFunction(local)) functions.add(specifier.exported.name);
+      }
+    }
+  }
+
+  walk(ast, node => {
+    if (node.type === "ImportDeclaration") {
+      checkImport(literalString(node.source), node, report);
+    } else if (node.type === "ImportExpression") {
+      checkImport(literalString(node.source), node, report);
+    } else if (node.type === "AssignmentExpression") {
+      const target = exportTarget(node.left);
+      if (target?.whole) {
+        if (isFunction(resolve(node.right))) functions.add("module.exports");
+        if (node.right.type === "ObjectExpression") {
+          for (const property of node.right.properties) {
+            const key = property.type === "Property" && !property.computed ? property.key.name : null;
+            if (key === "config") config = resolve(property.value) ?? null;
+            else if (key && isFunction(resolve(property.value))) functions.add(key);
+          }
+        }
+      } else if (target?.name === "config") {
+        config = resolve(node.right) ?? null;
+      } else if (target?.name && isFunction(resolve(node.right))) {
+        functions.add(target.name === "default" ? "default" : target.name);
+      }
+    } else if (node.type === "CallExpression") {
+      if (node.callee.type === "Identifier" && node.callee.name === "require") {
+        checkImport(literalString(node.arguments[0]), node, report);
+      }
+      if (node.callee.type === "Identifier" && node.callee.name === "__callHostTool__") {
+        const service = literalString(node.arguments[0]);
+        const method = methodPath(node.arguments[1]);
+        report.hostCalls.push({ service: service ?? DYNAMIC, method: method ?? DYNAMIC, line: line(node) });
+        if (service === null || method === null) {
+          report.warnings.push(`Line ${line(node)}: __callHostTool__ with a computed service or method cannot be listed`);
+        }
+      }
+    } else if (node.type === "ObjectExpression") {
+      // { service, method, params } items handed to host.batch
+      const props = new Map<string, Node>(node.properties
+        .filter((property: Node) => property.type === "Property" && !property.computed && property.key.type === "Identifier")
+        .map((property: Node) => [property.key.name, property.value]));
+      const service = literalString(props.get("service"));
+      const method = methodPath(props.get("method"));
+      if (service !== null && method !== null) {
+        report.hostCalls.push({ service, method, line: line(node), via: "host.batch" });
+      }
+    }
+  });
+
+  const configName = config?.type === "ObjectExpression"
+    ? literalString(config.properties.find((property: Node) => property.type === "Property" && property.key.name === "name")?.value)
+    : null;
+  const entry = (configName || name).replace(/[^\w$]/g, "_");
+  if (functions.size === 0) {
+    report.errors.push("No callable export: export a function, a default export, or assign one to module.exports");
+  } else if (!functions.has("module.exports") && !functions.has("default") && !functions.has(entry) && functions.size > 1) {
+    report.errors.push(`Several exported functions (${[...functions].join(", ")}) and none named ${entry}; the runtime cannot pick an entry point`);
+  }
+
+  const inputs = config ? checkConfig(config, report) : null;
+  report.inputSchema = extractInputSchema({ inputs: inputs === NOT_STATIC ? null : inputs, code });
+  if (!report.inputSchema && inputs !== NOT_STATIC) {
+    report.warnings.push(config ? "No inputs declared in config.inputs or JSDoc @param tags" : "No config export or JSDoc @param tags; inputs are not declared");
+  }
+
+  report.hostCalls.sort((a, b) => a.line - b.line);
+  return report;
+}
+
+export function formatReport(report: TaskReport): string {
+  const lines = [`${report.errors.length > 0 ? "✗" : "✓"} ${report.name} (${report.file})`];
+  for (const error of report.errors) lines.push(`  error: ${error}`);
+  for (const warning of report.warnings) lines.push(`  warning: ${warning}`);
+
+  const properties = Object.entries(report.inputSchema?.properties || {});
+  if (properties.length > 0) {
+    const required = new Set(report.inputSchema.required || []);
+    const describe = ([name, property]: [string, any]) => {
+      const notes = [property.type || "any"];
+      if (required.has(name)) notes.push("required");
+      if (property.default !== undefined) notes.push(`default ${JSON.stringify(property.default)}`);
+      return `${name} (${notes.join(", ")})`;
+    };
+    lines.push(`  inputs: ${properties.map(describe).join(", ")}`);
+  }
+
+  const calls = new Map<string, number[]>();
+  for (const call of report.hostCalls) {
+    const key = `${call.service}.${call.method}${call.via ? ` (via ${call.via})` : ""}`;
+    calls.set(key, [...(calls.get(key) || []), call.line]);
+  }
+  if (calls.size > 0) {
+    lines.push("  host calls:");
+    for (const [key, callLines] of calls) lines.push(`    ${key}  line ${callLines.join(", ")}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,61 @@
+const path = require('path');
+
+// Per-file attributes (content type and the like) kept in the scope's meta
+// directory next to versions and locks, one small record per file, so the
+// backends only ever store raw bytes.
+class AttributeStore {
+  constructor(vfs) {
+    this.vfs = vfs;
+  }
+
+  _dir(scope) {
+    return this.vfs._metaKey(scope, 'attrs');
+  }
+
+  _key(scope, relative) {
+    return path.posix.join(this._dir(scope), `${encodeURIComponent(relative)}.json`);
+  }
+
+  async get(scope, relative) {
+    return this.vfs._readJSON(this._key(scope, relative), {});
+  }
+
+  // Merges into the stored attributes; a null value removes that attribute.
+  async set(scope, relative, attrs) {
+    const current = await this.get(scope, relative);
+    const next = { ...current };
+
+    for (const [name, value] of Object.entries(attrs)) {
+      if (value === null || value === undefined) {
+        delete next[name];
+      } else {
+        next[name] = value;
+      }
+    }
+
+    if (Object.keys(next).length === 0) {
+      await this.remove(scope, relative);
+    } else {
+      await this.vfs._writeJSON(this._key(scope, relative), next);
+    }
+    return next;
+  }
+
+  async remove(scope, relative) {
+    await this.vfs.backend.deleteFile(this._key(scope, relative)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  // Drops the attributes of every file under a deleted directory.
+  async removeTree(scope, relative) {
+    const prefix = encodeURIComponent(`${relative}/`);
+    for (const entry of await this.vfs.backend.listFiles(this._dir(scope))) {
+      if (!entry.isDirectory && entry.name.startsWith(prefix)) {
+        await this.vfs.backend.deleteFile(path.posix.join(this._dir(scope), entry.name)).catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = { AttributeStore };
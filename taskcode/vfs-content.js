@@ -0,0 +1,203 @@
+const path = require('path');
+const { VFSError } = require('./errors.js');
+
+const DEFAULT_TYPE = 'application/octet-stream';
+
+const SIGNATURES = [
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+  { type: 'audio/wav', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x41, 0x56, 0x45] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { type: 'font/woff2', bytes: [0x77, 0x4f, 0x46, 0x32] },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] }
+];
+
+const EXTENSIONS = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.ndjson': 'application/x-ndjson',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.svg': 'image/svg+xml',
+  '.eml': 'message/rfc822',
+  '.ics': 'text/calendar',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.woff2': 'font/woff2',
+  '.wasm': 'application/wasm',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const TEXT_TYPES = new Set([
+  'application/json',
+  'application/x-ndjson',
+  'application/xml',
+  'application/yaml',
+  'application/javascript',
+  'image/svg+xml',
+  'message/rfc822'
+]);
+
+function startsWith(data, bytes, offset = 0) {
+  if (data.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => data[offset + index] === byte);
+}
+
+function isTextType(contentType) {
+  const base = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return base.startsWith('text/') || TEXT_TYPES.has(base) || base.endsWith('+json') || base.endsWith('+xml');
+}
+
+function isJSONType(contentType) {
+  const base = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return base === 'application/json' || base.endsWith('+json');
+}
+
+function looksLikeText(data) {
+  const sample = data.subarray(0, 8000);
+  if (sample.includes(0)) return false;
+  // A multi-byte character cut off at the sample boundary is still text.
+  const decoded = sample.toString('utf8');
+  const replacements = (decoded.match(/\uFFFD/g) || []).length;
+  return replacements <= (sample.length < data.length ? 1 : 0);
+}
+
+// Magic bytes win over the extension, so a PDF saved as `attachment.bin`
+// is still reported as application/pdf. Zip-based office formats share the
+// zip signature, so for those the extension is more specific.
+function detectContentType(filepath, data) {
+  const byExtension = EXTENSIONS[path.extname(filepath || '').toLowerCase()];
+  const signature = SIGNATURES.find(sig => startsWith(data, sig.bytes) && (!sig.at8 || startsWith(data, sig.at8, 8)));
+
+  if (signature) {
+    if (signature.type === 'application/zip' && byExtension && byExtension.includes('openxmlformats')) {
+      return byExtension;
+    }
+    return signature.type;
+  }
+
+  if (data.length >= 12 && startsWith(data, [0x66, 0x74, 0x79, 0x70], 4)) return 'video/mp4';
+  if (byExtension) return byExtension;
+  if (data.length === 0 || looksLikeText(data)) return 'text/plain';
+  return DEFAULT_TYPE;
+}
+
+// Content crossing the host-tool boundary as JSON loses its type: a Buffer
+// arrives as { type: 'Buffer', data: [...] }, which is turned back into bytes
+// here instead of being JSON-stringified like other objects. With base64
+// encoding a data: URL is accepted too, and its media type is returned.
+function toBuffer(content, encoding = 'utf8') {
+  if (Buffer.isBuffer(content)) return { data: content };
+  if (content instanceof ArrayBuffer) return { data: Buffer.from(content) };
+  if (ArrayBuffer.isView(content)) {
+    return { data: Buffer.from(content.buffer, content.byteOffset, content.byteLength) };
+  }
+
+  if (content && typeof content === 'object') {
+    if (content.type === 'Buffer' && Array.isArray(content.data)) {
+      return { data: Buffer.from(content.data) };
+    }
+    return { data: Buffer.from(JSON.stringify(content, null, 2), 'utf8') };
+  }
+
+  const text = String(content);
+  const dataURL = /^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,/.exec(text);
+  if (dataURL && encoding === 'base64') {
+    const body = text.slice(dataURL[0].length);
+    return {
+      data: dataURL[3] ? decodeBase64(body) : Buffer.from(decodeURIComponent(body), 'utf8'),
+      contentType: dataURL[1] ? `${dataURL[1]}${dataURL[2] || ''}` : undefined
+    };
+  }
+
+  if (encoding === 'base64' || encoding === 'base64url') return { data: decodeBase64(text) };
+  if (!Buffer.isEncoding(encoding)) throw new VFSError(`Unsupported encoding: ${encoding}`, 'INVALID_CONTENT');
+  return { data: Buffer.from(text, encoding) };
+}
+
+// Buffer.from(value, 'base64') silently skips characters it does not
+// recognise, which turns a truncated or mangled attachment into corrupt bytes.
+function decodeBase64(value) {
+  const compact = value.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact) || compact.length % 4 === 1) {
+    throw new VFSError('Content is not valid base64', 'INVALID_CONTENT');
+  }
+  return Buffer.from(compact, compact.includes('-') || compact.includes('_') ? 'base64url' : 'base64');
+}
+
+// `as` selects how readFile returns content: `text` (a string in the
+// requested encoding), `base64`, `json` (parsed), or `auto`, which parses
+// JSON files, decodes text files as utf8 and returns anything else as base64.
+function encodeContent(data, contentType, as, encoding = 'utf8') {
+  switch (as) {
+    case undefined:
+    case null:
+    case 'text':
+      if (!Buffer.isEncoding(encoding)) throw new VFSError(`Unsupported encoding: ${encoding}`, 'INVALID_CONTENT');
+      return { content: data.toString(encoding), encoding };
+    case 'base64':
+      return { content: data.toString('base64'), encoding: 'base64' };
+    case 'json':
+      try {
+        return { content: JSON.parse(data.toString('utf8')), encoding: 'json' };
+      } catch (error) {
+        throw new VFSError(`Content is not valid JSON: ${error.message}`, 'INVALID_CONTENT');
+      }
+    case 'auto':
+      if (isJSONType(contentType)) {
+        try {
+          return { content: JSON.parse(data.toString('utf8')), encoding: 'json' };
+        } catch {
+          return { content: data.toString('utf8'), encoding: 'utf8' };
+        }
+      }
+      if (isTextType(contentType)) return { content: data.toString('utf8'), encoding: 'utf8' };
+      return { content: data.toString('base64'), encoding: 'base64' };
+    default:
+      throw new VFSError(`Unknown content format: ${as}. Valid formats: auto, text, base64, json`, 'INVALID_PARAMS');
+  }
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  detectContentType,
+  isTextType,
+  isJSONType,
+  toBuffer,
+  encodeContent
+};
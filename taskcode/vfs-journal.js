@@ -0,0 +1,161 @@
+const { globToRegExp } = require('./vfs-search.js');
+const { VFSError } = require('./errors.js');
+
+const JOURNAL_EVENTS = ['file:write', 'file:read', 'file:delete', 'transaction:commit', 'permission:denied'];
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+const CHUNK_SIZE = 64 * 1024;
+
+// Durable copy of the events TaskVFS emits. Each event is appended as a JSON
+// line to the run's journal and, unless `task: false`, to the task's journal,
+// which collects every run. Appends are buffered and written together after
+// the current tick; query() flushes first, so it always sees its own events.
+//
+// Options: false disables the journal; an object may set `events` (the event
+// names to record) and `task`.
+class EventJournal {
+  constructor(vfs, options = {}) {
+    this.vfs = vfs;
+    const config = options === false ? { enabled: false } : options === true ? {} : options || {};
+    this.enabled = config.enabled !== false;
+    this.events = config.events || JOURNAL_EVENTS;
+    this.task = config.task !== false;
+    this.pending = [];
+    this.timer = null;
+    this.flushing = Promise.resolve();
+
+    if (this.enabled) {
+      for (const type of this.events) {
+        vfs.on(type, event => this._capture(type, event));
+      }
+    }
+  }
+
+  _key(journal) {
+    if (journal !== 'run' && journal !== 'task') {
+      throw new VFSError(`Invalid journal: ${journal}. Valid journals: run, task`, 'INVALID_PARAMS');
+    }
+    return this.vfs._metaKey(journal, 'journal', 'events.jsonl');
+  }
+
+  _capture(type, event) {
+    const { fullPath, timestamp, ...details } = event || {};
+    this.pending.push({
+      timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+      type,
+      taskId: this.vfs.taskId,
+      runId: this.vfs.runId,
+      ...details
+    });
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, 0);
+    }
+  }
+
+  flush() {
+    this.flushing = this.flushing.then(async () => {
+      if (this.pending.length === 0) return;
+      const entries = this.pending.splice(0);
+      const data = Buffer.from(`${entries.map(entry => JSON.stringify(entry)).join('\n')}\n`);
+
+      for (const journal of this.task ? ['run', 'task'] : ['run']) {
+        const key = this._key(journal);
+        await this.vfs._withPathLock(key, () => this.vfs._appendData(key, data));
+      }
+    }).catch(error => {
+      this.vfs._log('Failed to write event journal', { error: error.message });
+    });
+    return this.flushing;
+  }
+
+  // Filters: from/to (ISO time, inclusive), type (name or list), path (a
+  // prefix, or a glob when it contains * or ?), scope and runId. The cursor
+  // is the byte offset to continue from, so paging never rescans.
+  async query(options = {}) {
+    await this.flush();
+
+    const key = this._key(options.journal || 'run');
+    const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const matches = this._filter(options);
+    const events = [];
+    const stat = await this.vfs.backend.stat(key);
+    const size = stat ? stat.size : 0;
+
+    let offset = Number(options.cursor) || 0;
+    let nextCursor = null;
+    let carry = Buffer.alloc(0);
+
+    while (offset + carry.length < size && nextCursor === null) {
+      const start = offset + carry.length;
+      const chunk = Buffer.concat([carry, await this.vfs._readRange(key, start, Math.min(start + CHUNK_SIZE, size))]);
+      let from = 0;
+
+      // chunk[0] is at byte `offset` of the journal.
+      for (let newline = chunk.indexOf(0x0a); newline !== -1; newline = chunk.indexOf(0x0a, from)) {
+        const lineStart = from;
+        const line = chunk.subarray(lineStart, newline).toString('utf8');
+        from = newline + 1;
+        if (!line) continue;
+
+        const entry = JSON.parse(line);
+        if (!matches(entry)) continue;
+
+        if (events.length === limit) {
+          nextCursor = offset + lineStart;
+          break;
+        }
+        events.push(entry);
+      }
+
+      if (nextCursor === null) {
+        offset += from;
+        carry = chunk.subarray(from);
+      }
+    }
+
+    return {
+      journal: options.journal || 'run',
+      events,
+      total: events.length,
+      nextCursor,
+      truncated: nextCursor !== null
+    };
+  }
+
+  _filter(options) {
+    const types = options.type ? [].concat(options.type) : null;
+    const from = options.from ? Date.parse(options.from) : null;
+    const to = options.to ? Date.parse(options.to) : null;
+    if (Number.isNaN(from)) throw new VFSError(`Invalid from: ${options.from}`, 'INVALID_PARAMS');
+    if (Number.isNaN(to)) throw new VFSError(`Invalid to: ${options.to}`, 'INVALID_PARAMS');
+
+    let pathMatches = null;
+    if (options.path) {
+      const pattern = String(options.path).replace(/^\/+/, '');
+      if (/[*?]/.test(pattern)) {
+        const matcher = globToRegExp(pattern);
+        pathMatches = value => matcher.test(value);
+      } else {
+        const prefix = pattern.replace(/\/+$/, '');
+        pathMatches = value => !prefix || value === prefix || value.startsWith(`${prefix}/`);
+      }
+    }
+
+    return entry => {
+      if (types && !types.includes(entry.type)) return false;
+      if (options.scope && entry.scope !== options.scope) return false;
+      if (options.runId && entry.runId !== options.runId) return false;
+      const time = Date.parse(entry.timestamp);
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      if (pathMatches && (typeof entry.path !== 'string' || !pathMatches(entry.path.replace(/^\/+/, '')))) return false;
+      return true;
+    };
+  }
+}
+
+module.exports = { EventJournal, JOURNAL_EVENTS };
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const path = require('path');
+const { VFSLockError } = require('./errors.js');
+
+const DEFAULT_TTL_MS = 30000;
+const RETRY_INTERVAL_MS = 100;
+const GENERATION_DIGITS = 12;
+const GENERATION_NAME = new RegExp(`^\\d{${GENERATION_DIGITS}}\\.json$`);
+const READ_ATTEMPTS = 5;
+
+// Advisory leases on paths in a scope. A lock expires after ttlMs unless
+// renewed, so a run that dies cannot hold a path forever. Writers that do not
+// ask for the lock are not blocked.
+//
+// A lock is a series of numbered generation records, `<path>.<generation>.json`
+// in the namespace directory, and the highest generation is the current
+// holder. Acquiring and renewing exclusively create the next generation, so
+// two runs racing to take over an expired lease, or a holder renewing while
+// its lease is taken over, cannot both succeed, and nothing is deleted on the
+// strength of an earlier read. Superseded generations are pruned and
+// releasing deletes the holder's record, so a lock nobody holds leaves
+// nothing behind.
+//
+// Generations start over at 1 once a lock is released. A run that claims the
+// generation after a record that was released in the meantime finds that
+// record gone and backs off, so it never holds the lock alongside a run that
+// started over.
+class LockManager {
+  constructor(vfs, options = {}) {
+    this.vfs = vfs;
+    this.namespace = options.namespace || 'locks';
+    this.quiet = !!options.quiet;
+  }
+
+  _dir(scope) {
+    return this.vfs._metaKey(scope, this.namespace);
+  }
+
+  _prefix(relative) {
+    return `${encodeURIComponent(relative)}.`;
+  }
+
+  _generationKey(scope, relative, generation) {
+    return path.posix.join(this._dir(scope), `${this._prefix(relative)}${String(generation).padStart(GENERATION_DIGITS, '0')}.json`);
+  }
+
+  _log(message, lock) {
+    if (!this.quiet) this.vfs._log(message, this._info(lock));
+  }
+
+  _expired(lock) {
+    return Date.parse(lock.expiresAt) <= Date.now();
+  }
+
+  _live(lock) {
+    return !!lock && !this._expired(lock);
+  }
+
+  _info(lock, includeToken = false) {
+    const info = {
+      path: lock.path,
+      scope: lock.scope,
+      owner: lock.owner,
+      acquiredAt: lock.acquiredAt,
+      expiresAt: lock.expiresAt,
+      expired: this._expired(lock)
+    };
+    if (includeToken) info.token = lock.token;
+    return info;
+  }
+
+  async _generations(scope, relative) {
+    const prefix = this._prefix(relative);
+    const entries = await this.vfs.backend.listFiles(this._dir(scope));
+    return entries
+      .filter(entry => !entry.isDirectory && entry.name.startsWith(prefix) && GENERATION_NAME.test(entry.name.slice(prefix.length)))
+      .map(entry => Number.parseInt(entry.name.slice(prefix.length), 10))
+      .sort((a, b) => a - b);
+  }
+
+  // The latest generation record, or null for a path nobody holds. A record
+  // that cannot be read (pruned or released since the listing, or still being
+  // written) is looked up again after a short pause.
+  async _current(scope, relative) {
+    for (let attempt = 0; ; attempt++) {
+      const generations = await this._generations(scope, relative);
+      if (generations.length === 0) return null;
+      const generation = generations[generations.length - 1];
+      const key = this._generationKey(scope, relative, generation);
+      const lock = await this.vfs._readJSON(key);
+      if (lock) return { ...lock, generation };
+      if (attempt >= READ_ATTEMPTS) throw new Error(`Lock record ${key} is unreadable`);
+      await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL_MS / 5));
+    }
+  }
+
+  // Writes `lock` as the generation after `previous`; false if another run
+  // got there first, or if `previous` was released since it was read.
+  async _claim(scope, relative, previous, lock) {
+    const generation = previous ? previous.generation + 1 : 1;
+    const key = this._generationKey(scope, relative, generation);
+    try {
+      await this.vfs.backend.writeFile(key, Buffer.from(JSON.stringify(lock)), { exclusive: true });
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+
+    if (previous) {
+      if (!(await this.vfs.backend.stat(this._generationKey(scope, relative, previous.generation)))) {
+        await this._delete(key);
+        return false;
+      }
+      await this._prune(scope, relative, generation);
+    }
+    return true;
+  }
+
+  async _delete(key) {
+    await this.vfs.backend.deleteFile(key).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async _prune(scope, relative, current) {
+    for (const generation of await this._generations(scope, relative)) {
+      if (generation >= current) continue;
+      await this._delete(this._generationKey(scope, relative, generation)).catch(() => {});
+    }
+  }
+
+  _notHeld(scope, relative, lock) {
+    if (lock && this._expired(lock)) {
+      return new VFSLockError(
+        `Lock on ${relative} in ${scope} scope expired at ${lock.expiresAt}`,
+        { scope, path: relative, holder: this._info(lock), retryable: false }
+      );
+    }
+    return new VFSLockError(
+      `Lock on ${relative} in ${scope} scope is not held by this token`,
+      { scope, path: relative, holder: lock ? this._info(lock) : null, retryable: false }
+    );
+  }
+
+  async get(scope, relative) {
+    return this._current(scope, relative);
+  }
+
+  async acquire(scope, relative, options = {}) {
+    const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    const deadline = Date.now() + (options.waitMs || 0);
+
+    for (;;) {
+      const current = await this._current(scope, relative);
+
+      if (!this._live(current)) {
+        const now = Date.now();
+        const lock = {
+          path: relative,
+          scope,
+          owner: this.vfs.runId,
+          token: crypto.randomBytes(16).toString('hex'),
+          acquiredAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + ttlMs).toISOString()
+        };
+
+        if (await this._claim(scope, relative, current, lock)) {
+          if (current) this._log('Expired lock taken over', current);
+          this._log('Lock acquired', lock);
+          return this._info(lock, true);
+        }
+        // Another run claimed the next generation first; look again.
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new VFSLockError(
+          `${relative} in ${scope} scope is locked by run ${current.owner} until ${current.expiresAt}`,
+          { scope, path: relative, holder: this._info(current) }
+        );
+      }
+
+      await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL_MS));
+    }
+  }
+
+  async status(scope, relative) {
+    const lock = await this.get(scope, relative);
+    return {
+      locked: this._live(lock),
+      lock: lock ? this._info(lock) : null
+    };
+  }
+
+  async _held(scope, relative, token) {
+    const lock = await this._current(scope, relative);
+    if (!this._live(lock) || lock.token !== token) throw this._notHeld(scope, relative, lock);
+    return lock;
+  }
+
+  async renew(scope, relative, token, ttlMs = DEFAULT_TTL_MS) {
+    const current = await this._held(scope, relative, token);
+    const lock = { ...current, expiresAt: new Date(Date.now() + ttlMs).toISOString() };
+    delete lock.generation;
+
+    if (!(await this._claim(scope, relative, current, lock))) {
+      throw this._notHeld(scope, relative, await this._current(scope, relative));
+    }
+    return this._info(lock, true);
+  }
+
+  // A holder may release its lock after it expired, as long as nobody has
+  // taken it over.
+  async release(scope, relative, token) {
+    const current = await this._current(scope, relative);
+    if (!current || current.token !== token) {
+      throw this._notHeld(scope, relative, current);
+    }
+
+    await this._delete(this._generationKey(scope, relative, current.generation));
+    this._log('Lock released', current);
+    return { path: relative, scope, released: true };
+  }
+
+  async assertHeld(scope, relative, token) {
+    await this._held(scope, relative, token);
+  }
+
+  // Runs fn while holding the lock, waiting up to waitMs for it. The lock is
+  // renewed every third of its ttl until fn settles, so a slow fn keeps it.
+  async hold(scope, relative, fn, options = {}) {
+    const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    const { token } = await this.acquire(scope, relative, { ...options, ttlMs });
+
+    let renewing = Promise.resolve();
+    const renewal = setInterval(() => {
+      renewing = renewing
+        .then(() => this.renew(scope, relative, token, ttlMs))
+        .catch(error => this.vfs._log('Lock renewal failed', { scope, path: relative, error: error.message }));
+    }, Math.max(1, Math.floor(ttlMs / 3)));
+    renewal.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(renewal);
+      await renewing;
+      await this.release(scope, relative, token).catch(error => {
+        this.vfs._log('Lock release failed', { scope, path: relative, error: error.message });
+      });
+    }
+  }
+}
+
+module.exports = { LockManager };
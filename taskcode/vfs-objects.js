@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const path = require('path');
+const { VFSError } = require('./errors.js');
+
+// Content-addressed blob store shared by every task in the ecosystem.
+// Snapshots and file versions reference blobs by sha256, so identical
+// content is only ever stored once.
+class ContentStore {
+  constructor(backend, root = path.posix.join('vfs', 'objects')) {
+    this.backend = backend;
+    this.root = root;
+  }
+
+  static hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  _key(hash) {
+    return path.posix.join(this.root, hash.slice(0, 2), hash);
+  }
+
+  async has(hash) {
+    return !!(await this.backend.stat(this._key(hash)));
+  }
+
+  async put(data) {
+    const hash = ContentStore.hash(data);
+    if (!(await this.has(hash))) {
+      await this.backend.writeFile(this._key(hash), data);
+    }
+    return hash;
+  }
+
+  async get(hash) {
+    try {
+      return await this.backend.readFile(this._key(hash));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new VFSError(`Content object not found: ${hash}`, 'NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { ContentStore };
@@ -0,0 +1,167 @@
+const { VFSPermissionError } = require('./errors.js');
+const { matchesAllowList } = require('./tool-registry.js');
+
+// Per-task access policy, usually the `permissions` of a task's config export:
+//
+//   permissions: {
+//     scopes: {
+//       task: { read: true, write: ['reports/'] },
+//       global: { read: ['shared/'], write: false }
+//     },
+//     tools: ['vfs', 'gapi.gmail.*'],
+//     maxFileBytes: 10 * 1024 * 1024,
+//     maxReadBytes: 1024 * 1024,
+//     gc: true
+//   }
+//
+// Rules are true, false or a list of path prefixes within the scope. Scopes a
+// policy leaves out get DEFAULT_SCOPES; without a policy nothing is checked,
+// except `gc`, which is off unless granted.
+const DEFAULT_SCOPES = {
+  run: { read: true, write: true },
+  task: { read: true, write: true },
+  global: { read: true, write: false }
+};
+
+const AUDIT_FILE = 'audit/permissions.jsonl';
+
+function normalizePrefix(prefix) {
+  return String(prefix).replace(/\\/g, '/').replace(/^\/+/, '').replace(/\/+$/, '');
+}
+
+function normalizeRule(rule, fallback) {
+  if (rule === undefined || rule === null) return fallback;
+  if (rule === true || rule === false) return rule;
+  if (Array.isArray(rule)) return rule.map(normalizePrefix);
+  throw new Error(`Invalid permission rule: ${JSON.stringify(rule)}. Use true, false or a list of path prefixes`);
+}
+
+function underPrefix(relative, prefix) {
+  return prefix === '' || relative === prefix || relative.startsWith(`${prefix}/`);
+}
+
+class PermissionPolicy {
+  constructor(vfs, policy = null) {
+    this.vfs = vfs;
+    this.enabled = !!policy;
+    policy = policy || {};
+
+    const scopes = policy.scopes || {};
+    for (const scope of Object.keys(scopes)) {
+      if (!DEFAULT_SCOPES[scope]) {
+        throw new Error(`Invalid scope in permissions: ${scope}. Valid scopes: ${Object.keys(DEFAULT_SCOPES).join(', ')}`);
+      }
+    }
+
+    this.scopes = {};
+    for (const [scope, defaults] of Object.entries(DEFAULT_SCOPES)) {
+      const given = typeof scopes[scope] === 'boolean' ? { read: scopes[scope], write: scopes[scope] } : scopes[scope] || {};
+      this.scopes[scope] = {
+        read: normalizeRule(given.read, this.enabled ? defaults.read : true),
+        write: normalizeRule(given.write, this.enabled ? defaults.write : true)
+      };
+    }
+
+    this.tools = policy.tools ? [...policy.tools] : null;
+    this.maxFileBytes = policy.maxFileBytes ?? null;
+    this.maxReadBytes = policy.maxReadBytes ?? null;
+    this.gc = policy.gc === true;
+  }
+
+  allows(access, scope, relative) {
+    const rule = this.scopes[scope][access];
+    if (typeof rule === 'boolean') return rule;
+    return rule.some(prefix => underPrefix(relative, prefix));
+  }
+
+  // Directories leading to a readable prefix stay listable, so a task allowed
+  // `reports/2025` can still walk down from the scope root to it.
+  visible(scope, relative) {
+    if (this.allows('read', scope, relative)) return true;
+    const rule = this.scopes[scope].read;
+    return Array.isArray(rule) && rule.some(prefix => relative === '' || prefix.startsWith(`${relative}/`));
+  }
+
+  allowsTool(service, key) {
+    return !this.tools || matchesAllowList(this.tools, service, key);
+  }
+
+  // `size` is the resulting file size for writes and the bytes returned for
+  // reads; it is only checked when given.
+  async assert(access, scope, relative, { size } = {}) {
+    if (!this.enabled) return;
+
+    if (!this.allows(access, scope, relative)) {
+      await this._deny(`task ${this.vfs.taskId} may not ${access} ${relative || '/'} in ${scope} scope`, { access, scope, path: relative });
+    }
+
+    const limit = access === 'write' ? this.maxFileBytes : this.maxReadBytes;
+    if (limit !== null && size !== undefined && size > limit) {
+      const name = access === 'write' ? 'maxFileBytes' : 'maxReadBytes';
+      await this._deny(
+        `${access === 'write' ? 'writing' : 'reading'} ${size} bytes of ${relative} exceeds ${name} (${limit}) for task ${this.vfs.taskId}`,
+        { access, scope, path: relative, size, limit }
+      );
+    }
+  }
+
+  async assertVisible(scope, relative) {
+    if (this.enabled && !this.visible(scope, relative)) {
+      await this._deny(`task ${this.vfs.taskId} may not read ${relative || '/'} in ${scope} scope`, { access: 'read', scope, path: relative });
+    }
+  }
+
+  // Snapshots and usage totals cover a whole scope, which a prefix rule does
+  // not.
+  async assertScope(access, scope) {
+    if (this.enabled && this.scopes[scope][access] !== true) {
+      await this._deny(`task ${this.vfs.taskId} may not ${access} all of ${scope} scope`, { access, scope, path: '' });
+    }
+  }
+
+  // Collecting other runs or content-store blobs deletes data this run does
+  // not own, so task code needs the grant even without a policy.
+  async assertCollect(target) {
+    if (!this.gc) {
+      await this._deny(`task ${this.vfs.taskId} may not collect ${target}`, { access: 'gc', target });
+    }
+  }
+
+  async assertTool(service, key) {
+    if (this.enabled && !this.allowsTool(service, key)) {
+      await this._deny(`task ${this.vfs.taskId} may not call ${service}.${key}`, { access: 'call', tool: `${service}.${key}` });
+    }
+  }
+
+  // Every denial is appended to the run's meta area, where task code cannot
+  // write, and emitted as a `permission:denied` event before it is thrown.
+  async _deny(reason, details) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      taskId: this.vfs.taskId,
+      runId: this.vfs.runId,
+      ...details,
+      reason
+    };
+
+    try {
+      const key = this.vfs._metaKey('run', AUDIT_FILE);
+      await this.vfs._withPathLock(key, () => this.vfs._appendData(key, Buffer.from(`${JSON.stringify(entry)}\n`)));
+    } catch (error) {
+      this.vfs._log('Failed to record permission denial', { error: error.message });
+    }
+    this.vfs.emit('permission:denied', entry);
+    this.vfs._log('Permission denied', entry);
+
+    throw new VFSPermissionError(`Permission denied: ${reason}`, details);
+  }
+
+  async denials() {
+    const key = this.vfs._metaKey('run', AUDIT_FILE);
+    if (!(await this.vfs.backend.stat(key))) return [];
+    const text = (await this.vfs.backend.readFile(key)).toString('utf8');
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+}
+
+module.exports = { PermissionPolicy, DEFAULT_SCOPES };
@@ -0,0 +1,135 @@
+const { VFSQuotaError } = require('./errors.js');
+
+const LEDGER_FILE = 'usage.json';
+
+class UsageLedger {
+  constructor(vfs, quotas = {}) {
+    this.vfs = vfs;
+    this.quotas = quotas;
+    this.usage = {};
+  }
+
+  getQuota(scope) {
+    const quota = this.quotas[scope] || {};
+    return {
+      maxBytes: quota.maxBytes ?? null,
+      maxFiles: quota.maxFiles ?? null
+    };
+  }
+
+  async getUsage(scope) {
+    if (!this.usage[scope]) {
+      this.usage[scope] = await this._load(scope);
+    }
+    return { ...this.usage[scope] };
+  }
+
+  async check(scope, delta, filepath) {
+    const quota = this.getQuota(scope);
+    if (quota.maxBytes === null && quota.maxFiles === null) return;
+
+    const usage = await this.getUsage(scope);
+    const bytes = usage.bytes + (delta.bytes || 0);
+    const files = usage.files + (delta.files || 0);
+
+    if (quota.maxBytes !== null && delta.bytes > 0 && bytes > quota.maxBytes) {
+      throw new VFSQuotaError(
+        `Quota exceeded for ${scope} scope writing ${filepath}: ${bytes} bytes > ${quota.maxBytes} bytes`,
+        { scope, path: filepath, limit: 'maxBytes', max: quota.maxBytes, usage: usage.bytes, requested: delta.bytes }
+      );
+    }
+
+    if (quota.maxFiles !== null && delta.files > 0 && files > quota.maxFiles) {
+      throw new VFSQuotaError(
+        `Quota exceeded for ${scope} scope writing ${filepath}: ${files} files > ${quota.maxFiles} files`,
+        { scope, path: filepath, limit: 'maxFiles', max: quota.maxFiles, usage: usage.files, requested: delta.files }
+      );
+    }
+  }
+
+  async checkFull(scope, filepath) {
+    const quota = this.getQuota(scope);
+    if (quota.maxBytes === null && quota.maxFiles === null) return;
+
+    const usage = await this.getUsage(scope);
+
+    if (quota.maxBytes !== null && usage.bytes >= quota.maxBytes) {
+      throw new VFSQuotaError(
+        `Quota exceeded for ${scope} scope creating ${filepath}: scope is full (${usage.bytes}/${quota.maxBytes} bytes)`,
+        { scope, path: filepath, limit: 'maxBytes', max: quota.maxBytes, usage: usage.bytes, requested: 0 }
+      );
+    }
+
+    if (quota.maxFiles !== null && usage.files >= quota.maxFiles) {
+      throw new VFSQuotaError(
+        `Quota exceeded for ${scope} scope creating ${filepath}: scope is full (${usage.files}/${quota.maxFiles} files)`,
+        { scope, path: filepath, limit: 'maxFiles', max: quota.maxFiles, usage: usage.files, requested: 0 }
+      );
+    }
+  }
+
+  async record(scope, delta) {
+    if (!delta.bytes && !delta.files) return;
+
+    // Re-read the persisted ledger first so concurrent runs sharing the
+    // task/global scopes don't overwrite each other's accounting.
+    let usage = await this._read(scope);
+    if (!usage) {
+      // No ledger yet: measuring the scope now already includes this change.
+      if (!this.usage[scope]) {
+        await this.recalculate(scope);
+        return;
+      }
+      usage = { ...this.usage[scope] };
+    }
+    usage.bytes = Math.max(0, usage.bytes + (delta.bytes || 0));
+    usage.files = Math.max(0, usage.files + (delta.files || 0));
+
+    this.usage[scope] = usage;
+    await this._persist(scope, usage);
+  }
+
+  async recalculate(scope) {
+    const usage = await this.measure(this.vfs.scopeKeys[scope]);
+    this.usage[scope] = usage;
+    await this._persist(scope, usage);
+    this.vfs._log('Usage recalculated', { scope, ...usage });
+    return { ...usage };
+  }
+
+  async measure(key) {
+    const stat = await this.vfs.backend.stat(key);
+    if (!stat) return { bytes: 0, files: 0 };
+    if (!stat.isDirectory) return { bytes: stat.size, files: 1 };
+
+    const usage = { bytes: 0, files: 0 };
+    for await (const { entry } of this.vfs._walk(key)) {
+      if (entry.isDirectory) continue;
+      usage.bytes += entry.size;
+      usage.files += 1;
+    }
+    return usage;
+  }
+
+  async _load(scope) {
+    const persisted = await this._read(scope);
+    if (persisted) return persisted;
+    return this.recalculate(scope);
+  }
+
+  async _read(scope) {
+    const persisted = await this.vfs._readJSON(this._ledgerKey(scope));
+    if (!persisted) return null;
+    return { bytes: persisted.bytes, files: persisted.files };
+  }
+
+  async _persist(scope, usage) {
+    await this.vfs._writeJSON(this._ledgerKey(scope), { ...usage, updated: Date.now() });
+  }
+
+  _ledgerKey(scope) {
+    return this.vfs._metaKey(scope, LEDGER_FILE);
+  }
+}
+
+module.exports = { UsageLedger };
@@ -0,0 +1,301 @@
+const path = require('path');
+const { VFSError } = require('./errors.js');
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Blobs younger than this are never collected, so an object written by a
+// transaction or snapshot that has not saved its record yet is left alone.
+const OBJECT_GRACE_MS = 60 * 60 * 1000;
+
+// Set by whoever executes a run, through TaskVFS.setRunStatus. A suspended run
+// is waiting on a host call and is kept however long it has been idle; every
+// other run, including one that never set a status, expires with the ttl.
+const RUN_STATUS = 'status.json';
+const RUN_STATUSES = ['running', 'suspended', 'completed', 'failed'];
+
+function parseDuration(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/.exec(String(value).trim());
+  if (!match) {
+    throw new VFSError(`Invalid duration: ${value}. Use milliseconds or a string such as '30m', '12h' or '7d'`, 'INVALID_PARAMS');
+  }
+  return Math.round(Number(match[1]) * UNITS[match[2]]);
+}
+
+function latest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+// Retention config, one entry per scope:
+//   run    - { ttl } runs of the task are removed once they have been idle
+//            for ttl, unless suspended
+//   task   - { ttl } files not modified for ttl are removed
+//   global - { ttl } same as task
+// Files can also carry their own expiresAt (set with ttl/expiresAt on write).
+// Nothing is removed until gc() runs.
+class RetentionManager {
+  constructor(vfs, retention = {}) {
+    this.vfs = vfs;
+    this.ttl = {};
+
+    for (const [scope, setting] of Object.entries(retention)) {
+      const ttl = parseDuration(setting && typeof setting === 'object' ? setting.ttl : setting);
+      if (ttl !== null) this.ttl[scope] = ttl;
+    }
+  }
+
+  expiryFor(options = {}) {
+    if (options.expiresAt) {
+      const expiresAt = new Date(options.expiresAt);
+      if (Number.isNaN(expiresAt.getTime())) {
+        throw new VFSError(`Invalid expiresAt: ${options.expiresAt}`, 'INVALID_PARAMS');
+      }
+      return expiresAt.toISOString();
+    }
+
+    const ttl = parseDuration(options.ttl);
+    return ttl === null ? null : new Date(Date.now() + ttl).toISOString();
+  }
+
+  _runsKey(taskId) {
+    return path.posix.join('tasks', taskId, 'runs');
+  }
+
+  _pinKey(taskId, runId) {
+    return path.posix.join(this._runsKey(taskId), runId, 'meta', 'pin.json');
+  }
+
+  async _taskIds(allTasks) {
+    if (!allTasks) return [this.vfs.taskId];
+    const entries = await this.vfs.backend.listFiles('tasks');
+    return entries.filter(entry => entry.isDirectory).map(entry => entry.name).sort();
+  }
+
+  // A run's last activity is the newest modification anywhere under it;
+  // every write also updates the run's usage ledger, so meta counts too.
+  async _describeRun(taskId, runId) {
+    const root = path.posix.join(this._runsKey(taskId), runId);
+    const fsRoot = path.posix.join(root, 'fs');
+    let lastActivity = null;
+    let bytes = 0;
+    let files = 0;
+
+    for await (const { key, entry } of this.vfs._walk(root)) {
+      if (entry.modified) lastActivity = latest(lastActivity, new Date(entry.modified).toISOString());
+      if (!entry.isDirectory && key.startsWith(`${fsRoot}/`)) {
+        bytes += entry.size;
+        files++;
+      }
+    }
+
+    if (!lastActivity) {
+      const stat = await this.vfs.backend.stat(root);
+      if (stat && stat.modified) lastActivity = new Date(stat.modified).toISOString();
+    }
+
+    const pin = await this.vfs._readJSON(this._pinKey(taskId, runId));
+    const state = await this.vfs._readJSON(path.posix.join(root, 'meta', RUN_STATUS));
+    const ttl = this.ttl.run ?? null;
+    const current = taskId === this.vfs.taskId && runId === this.vfs.runId;
+
+    return {
+      taskId,
+      runId,
+      lastActivity,
+      bytes,
+      files,
+      current,
+      status: state ? state.status : null,
+      pinned: !!pin,
+      pin: pin || null,
+      expiresAt: ttl !== null && lastActivity ? new Date(Date.parse(lastActivity) + ttl).toISOString() : null
+    };
+  }
+
+  async listRuns(options = {}) {
+    const runs = [];
+    for (const taskId of await this._taskIds(options.allTasks)) {
+      for (const entry of await this.vfs.backend.listFiles(this._runsKey(taskId))) {
+        if (entry.isDirectory) runs.push(await this._describeRun(taskId, entry.name));
+      }
+    }
+    return runs.sort((a, b) => (a.lastActivity || '').localeCompare(b.lastActivity || ''));
+  }
+
+  async setStatus(status) {
+    if (!RUN_STATUSES.includes(status)) {
+      throw new VFSError(`Invalid run status: ${status}. Valid statuses: ${RUN_STATUSES.join(', ')}`, 'INVALID_PARAMS');
+    }
+    const record = { status, updatedAt: new Date().toISOString() };
+    await this.vfs._writeJSON(this.vfs._metaKey('run', RUN_STATUS), record);
+    return { taskId: this.vfs.taskId, runId: this.vfs.runId, ...record };
+  }
+
+  async pin(runId, options = {}) {
+    const taskId = options.taskId || this.vfs.taskId;
+    if (!(await this.vfs.backend.stat(path.posix.join(this._runsKey(taskId), runId)))) {
+      throw new VFSError(`Run not found: ${taskId}/${runId}`, 'NOT_FOUND');
+    }
+
+    const pin = { pinnedAt: new Date().toISOString(), pinnedBy: this.vfs.runId, reason: options.reason || null };
+    await this.vfs._writeJSON(this._pinKey(taskId, runId), pin);
+    this.vfs._log('Run pinned', { taskId, runId });
+    return { taskId, runId, pinned: true, pin };
+  }
+
+  async unpin(runId, options = {}) {
+    const taskId = options.taskId || this.vfs.taskId;
+    await this.vfs.backend.deleteFile(this._pinKey(taskId, runId)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    this.vfs._log('Run unpinned', { taskId, runId });
+    return { taskId, runId, pinned: false };
+  }
+
+  // Collects expired runs (unless { runs: false }), expired files in this
+  // VFS's scopes and, with { objects: true }, content-store blobs nothing
+  // references any more. With { dryRun: true } the report is built but
+  // nothing is deleted.
+  async gc(options = {}) {
+    const dryRun = !!options.dryRun;
+    const now = Date.now();
+    const report = {
+      dryRun,
+      startedAt: new Date(now).toISOString(),
+      runs: options.runs === false ? null : [],
+      files: [],
+      objects: null,
+      freed: { bytes: 0, files: 0 },
+      errors: []
+    };
+
+    if (report.runs && this.ttl.run !== undefined) {
+      for (const run of await this.listRuns({ allTasks: options.allTasks })) {
+        if (run.current || run.pinned || run.status === 'suspended') continue;
+        if (!run.expiresAt || Date.parse(run.expiresAt) > now) continue;
+
+        try {
+          if (!dryRun) {
+            await this.vfs.backend.deleteFile(path.posix.join(this._runsKey(run.taskId), run.runId));
+          }
+          report.runs.push({ taskId: run.taskId, runId: run.runId, lastActivity: run.lastActivity, bytes: run.bytes, files: run.files });
+          report.freed.bytes += run.bytes;
+          report.freed.files += run.files;
+        } catch (error) {
+          report.errors.push({ taskId: run.taskId, runId: run.runId, error: error.message });
+        }
+      }
+    }
+
+    for (const scope of Object.keys(this.vfs.scopeKeys)) {
+      for (const candidate of await this._expiredFiles(scope, now)) {
+        try {
+          if (!dryRun) await this.vfs.deleteFile(candidate.path, scope);
+          report.files.push(candidate);
+          report.freed.bytes += candidate.size;
+          report.freed.files += 1;
+        } catch (error) {
+          report.errors.push({ scope, path: candidate.path, error: error.message });
+        }
+      }
+    }
+
+    if (options.objects) {
+      report.objects = await this._collectObjects(now, dryRun);
+      report.freed.bytes += report.objects.bytes;
+    }
+
+    report.finishedAt = new Date().toISOString();
+    this.vfs._log('Garbage collection finished', {
+      dryRun,
+      runs: report.runs ? report.runs.length : 0,
+      files: report.files.length,
+      objects: report.objects ? report.objects.count : 0
+    });
+    return report;
+  }
+
+  async _expiredFiles(scope, now) {
+    const expired = [];
+    const ttl = scope === 'run' ? undefined : this.ttl[scope];
+
+    for await (const { relative, entry } of this.vfs._walk(this.vfs.scopeKeys[scope])) {
+      if (entry.isDirectory) continue;
+
+      const attrs = await this.vfs.attributes.get(scope, relative);
+      if (attrs.expiresAt && Date.parse(attrs.expiresAt) <= now) {
+        expired.push({ scope, path: relative, size: entry.size, reason: 'expired', expiresAt: attrs.expiresAt });
+        continue;
+      }
+
+      if (ttl !== undefined && entry.modified && new Date(entry.modified).getTime() + ttl <= now) {
+        expired.push({
+          scope,
+          path: relative,
+          size: entry.size,
+          reason: 'ttl',
+          expiresAt: new Date(new Date(entry.modified).getTime() + ttl).toISOString()
+        });
+      }
+    }
+
+    return expired;
+  }
+
+  // Every meta record that can hold a blob hash: snapshot manifests, version
+  // indexes, pending transactions. Anything else in the store is garbage.
+  async _referencedObjects() {
+    const referenced = new Set();
+    const metaRoots = [path.posix.join('vfs', 'meta')];
+
+    for (const taskId of await this._taskIds(true)) {
+      metaRoots.push(path.posix.join('tasks', taskId, 'meta'));
+      for (const entry of await this.vfs.backend.listFiles(this._runsKey(taskId))) {
+        if (entry.isDirectory) metaRoots.push(path.posix.join(this._runsKey(taskId), entry.name, 'meta'));
+      }
+    }
+
+    for (const root of metaRoots) {
+      for await (const { key, entry } of this.vfs._walk(root)) {
+        if (entry.isDirectory || !entry.name.endsWith('.json')) continue;
+        const record = await this.vfs._readJSON(key);
+        if (!record) continue;
+
+        for (const file of Object.values(record.files || {})) {
+          if (file && file.hash) referenced.add(file.hash);
+        }
+        for (const version of record.versions || []) {
+          if (version.hash) referenced.add(version.hash);
+        }
+        for (const op of record.operations || []) {
+          if (op.hash) referenced.add(op.hash);
+          if (op.before) referenced.add(op.before);
+        }
+      }
+    }
+
+    return referenced;
+  }
+
+  async _collectObjects(now, dryRun) {
+    const referenced = await this._referencedObjects();
+    const result = { count: 0, bytes: 0 };
+
+    for await (const { key, entry } of this.vfs._walk(this.vfs.objects.root)) {
+      if (entry.isDirectory || referenced.has(entry.name)) continue;
+      if (entry.modified && now - new Date(entry.modified).getTime() < OBJECT_GRACE_MS) continue;
+
+      if (!dryRun) await this.vfs.backend.deleteFile(key);
+      result.count++;
+      result.bytes += entry.size;
+    }
+
+    return result;
+  }
+}
+
+module.exports = { RetentionManager, parseDuration };
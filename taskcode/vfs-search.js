@@ -0,0 +1,266 @@
+const path = require('path');
+const { VFSError } = require('./errors.js');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DEFAULT_MATCHES_PER_FILE = 20;
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_LINE_LENGTH = 500;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Supports `**` (any depth), `*` and `?` (within a segment), `[abc]`/`[!abc]`
+// character classes and `{a,b}` alternation.
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        i++;
+        if (atSegmentStart && pattern[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (body.startsWith('!')) body = `^${body.slice(1)}`;
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup++;
+      source += '(?:';
+    } else if (char === '}' && inGroup > 0) {
+      inGroup--;
+      source += ')';
+    } else if (char === ',' && inGroup > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// The leading directories of a pattern that contain no glob characters; the
+// walk starts there instead of at the scope root.
+function staticPrefix(pattern) {
+  const segments = pattern.split('/');
+  const fixed = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (/[*?[{]/.test(segment)) break;
+    fixed.push(segment);
+  }
+  return fixed.join('/');
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new VFSError('Invalid cursor', 'INVALID_PARAMS');
+  }
+}
+
+// Paths are walked in lexicographic order (directories compare as `name/`),
+// so a cursor can be the last path returned: later pages skip whole subtrees
+// that sort before it instead of re-listing them.
+class VFSSearch {
+  constructor(vfs) {
+    this.vfs = vfs;
+  }
+
+  // `all` quietly leaves out scopes the task may not read at all; naming
+  // such a scope is a permission error.
+  async _scopes(scope = 'run') {
+    const { permissions } = this.vfs;
+    if (scope === 'all') return Object.keys(this.vfs.scopeKeys).filter(name => permissions.visible(name, ''));
+    this.vfs._assertScope(scope);
+    await permissions.assertVisible(scope, '');
+    return [scope];
+  }
+
+  _readable(scope, relative, entry) {
+    const { permissions } = this.vfs;
+    return entry.isDirectory ? permissions.visible(scope, relative) : permissions.allows('read', scope, relative);
+  }
+
+  _limit(value, fallback = DEFAULT_LIMIT) {
+    return Math.min(Math.max(Number(value) || fallback, 1), MAX_LIMIT);
+  }
+
+  async *_walk(scope, dir, after, prefix, inclusive = false) {
+    const key = dir ? path.posix.join(this.vfs.scopeKeys[scope], dir) : this.vfs.scopeKeys[scope];
+    const entries = (await this.vfs.backend.listFiles(key))
+      .map(entry => ({ ...entry, sortKey: entry.isDirectory ? `${entry.name}/` : entry.name }))
+      .sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0));
+
+    for (const entry of entries) {
+      const relative = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory) {
+        const subtree = `${relative}/`;
+        if (after && after > subtree && !after.startsWith(subtree)) continue;
+        if (prefix && !subtree.startsWith(prefix) && !prefix.startsWith(subtree)) continue;
+        if (!after || relative > after) yield { relative, entry };
+        yield* this._walk(scope, relative, after, prefix, inclusive);
+      } else {
+        if (after && (inclusive ? relative < after : relative <= after)) continue;
+        if (prefix && !relative.startsWith(prefix)) continue;
+        yield { relative, entry };
+      }
+    }
+  }
+
+  async glob(pattern, options = {}) {
+    const normalized = pattern.replace(/^\/+/, '');
+    const matcher = globToRegExp(normalized);
+    const prefix = staticPrefix(normalized);
+    const scopes = await this._scopes(options.scope);
+    const limit = this._limit(options.limit);
+    const cursor = decodeCursor(options.cursor);
+    const matches = [];
+    let nextCursor = null;
+
+    for (let index = cursor ? cursor.s : 0; index < scopes.length && !nextCursor; index++) {
+      const scope = scopes[index];
+      const after = cursor && cursor.s === index ? cursor.p : null;
+
+      for await (const { relative, entry } of this._walk(scope, '', after, prefix ? `${prefix}/` : '')) {
+        if (entry.isDirectory && !options.includeDirectories) continue;
+        if (!matcher.test(relative)) continue;
+        if (!this._readable(scope, relative, entry)) continue;
+
+        if (matches.length === limit) {
+          const last = matches[matches.length - 1];
+          nextCursor = encodeCursor({ s: scopes.indexOf(last.scope), p: last.path });
+          break;
+        }
+
+        matches.push({
+          path: relative,
+          scope,
+          size: entry.size,
+          modified: entry.modified,
+          isDirectory: entry.isDirectory
+        });
+      }
+    }
+
+    return {
+      pattern,
+      scopes,
+      matches,
+      total: matches.length,
+      nextCursor,
+      truncated: !!nextCursor
+    };
+  }
+
+  async grep(query, options = {}) {
+    const flags = options.ignoreCase ? 'i' : '';
+    const matcher = new RegExp(options.regex ? query : escapeRegExp(query), flags);
+    const pattern = (options.glob || '**').replace(/^\/+/, '');
+    const fileMatcher = globToRegExp(pattern);
+    const prefix = staticPrefix(pattern);
+    const scopes = await this._scopes(options.scope);
+    const limit = this._limit(options.maxMatches);
+    const perFile = Math.max(Number(options.maxMatchesPerFile) || DEFAULT_MATCHES_PER_FILE, 1);
+    const maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    const cursor = decodeCursor(options.cursor);
+    const matches = [];
+    const skipped = [];
+    let filesSearched = 0;
+    let nextCursor = null;
+
+    for (let index = cursor ? cursor.s : 0; index < scopes.length && !nextCursor; index++) {
+      const scope = scopes[index];
+      // A cursor that stopped inside a file resumes at that file's next line.
+      let resume = cursor && cursor.s === index ? cursor : null;
+      const after = resume ? resume.p : null;
+      const inFile = !!resume && typeof resume.l === 'number';
+
+      for await (const { relative, entry } of this._walk(scope, '', after, prefix ? `${prefix}/` : '', inFile)) {
+        if (entry.isDirectory || !fileMatcher.test(relative)) continue;
+        if (!this._readable(scope, relative, entry)) continue;
+
+        if (entry.size > maxFileSize) {
+          skipped.push({ path: relative, scope, reason: 'too large' });
+          continue;
+        }
+
+        const data = await this.vfs.backend.readFile(path.posix.join(this.vfs.scopeKeys[scope], relative));
+        if (data.subarray(0, 8000).includes(0)) {
+          skipped.push({ path: relative, scope, reason: 'binary' });
+          continue;
+        }
+
+        const startLine = inFile && resume && resume.p === relative ? resume.l : 0;
+        resume = null;
+        filesSearched++;
+
+        const lines = data.toString('utf8').split(/\r?\n/);
+        let fileMatches = 0;
+
+        for (let i = startLine; i < lines.length && fileMatches < perFile; i++) {
+          const match = matcher.exec(lines[i]);
+          if (!match) continue;
+
+          if (matches.length === limit) {
+            nextCursor = encodeCursor({ s: index, p: relative, l: i });
+            break;
+          }
+
+          matches.push({
+            path: relative,
+            scope,
+            line: i + 1,
+            column: match.index + 1,
+            text: lines[i].length > MAX_LINE_LENGTH ? `${lines[i].slice(0, MAX_LINE_LENGTH)}…` : lines[i]
+          });
+          fileMatches++;
+        }
+
+        if (nextCursor) break;
+      }
+    }
+
+    return {
+      query,
+      glob: pattern,
+      scopes,
+      matches,
+      total: matches.length,
+      filesSearched,
+      skipped,
+      nextCursor,
+      truncated: !!nextCursor
+    };
+  }
+}
+
+module.exports = { VFSSearch, globToRegExp };
@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { TaskVFS } = require('./vfs.js');
+const { createBackend } = require('./backends/index.js');
+const { globToRegExp } = require('./vfs-search.js');
+const { normalizeError } = require('./error-codes.js');
+
+const SCOPES = ['run', 'task', 'global'];
+const FILE_EVENTS = ['file:write', 'file:delete', 'file:read'];
+const DEFAULT_MAX_BODY_BYTES = 10 * 1024 * 1024;
+const HEARTBEAT_MS = 15000;
+const MAX_INSTANCES = 100;
+const ID_PATTERN = /^(?!\.{1,2}$)[\w.-]+$/;
+
+const STATUS_CODES = {
+  INVALID_PARAMS: 400,
+  INVALID_CONTENT: 400,
+  PERMISSION_DENIED: 403,
+  TOOL_NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  ALREADY_EXISTS: 409,
+  CONFLICT: 412,
+  QUOTA_EXCEEDED: 413,
+  LOCKED: 423,
+  FAILED_PRECONDITION: 409,
+  RATE_LIMITED: 429,
+  UNAVAILABLE: 503,
+  TIMEOUT: 504
+};
+
+class HttpError extends Error {
+  constructor(status, message, code = 'INVALID_PARAMS') {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// tokens: 'secret', ['a', 'b'], or { secret: { tasks: ['my-task'], write: false, global: true } }.
+// A plain token may read and write every task. The global scope is shared by
+// every task, so a token limited to some tasks can only read it unless it
+// also has `global: true`.
+function normalizeTokens(tokens) {
+  const grants = new Map();
+  const list = typeof tokens === 'string' ? [tokens] : tokens;
+  if (Array.isArray(list)) {
+    for (const token of list) grants.set(token, { tasks: '*', write: true, global: true });
+  } else if (list && typeof list === 'object') {
+    for (const [token, grant] of Object.entries(list)) {
+      const tasks = (grant && grant.tasks) || '*';
+      grants.set(token, {
+        tasks,
+        write: !grant || grant.write !== false,
+        global: tasks === '*' || (!!grant && grant.global === true)
+      });
+    }
+  }
+  return grants;
+}
+
+function sameToken(a, b) {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+// bytes=0-99, bytes=100- or bytes=-100 (the last 100 bytes); one range only.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : false;
+}
+
+// Serves the files of task runs over HTTP:
+//
+//   GET    /vfs/:taskId/:runId                         scope summary (getVFSTree)
+//   GET    /vfs/:taskId/:runId/events                  Server-Sent Events of file changes
+//   GET    /vfs/:taskId/:runId/:scope/files/<path>     file content (Range, If-None-Match)
+//   HEAD   /vfs/:taskId/:runId/:scope/files/<path>     headers only
+//   PUT    /vfs/:taskId/:runId/:scope/files/<path>     write the request body (If-Match)
+//   DELETE /vfs/:taskId/:runId/:scope/files/<path>     delete (If-Match)
+//   GET    /vfs/:taskId/:runId/:scope/list[/<path>]    directory listing (?recursive=1)
+//   GET    /vfs/:taskId/:runId/:scope/stat/<path>      metadata
+//   GET    /vfs/:taskId/:runId/:scope/tree[/<path>]    nested directory tree
+//
+// Requests carry `Authorization: Bearer <token>`. The event stream also takes
+// `?token=`, since EventSource cannot set headers; other routes do not, so
+// tokens that can write stay out of URLs and access logs. Events come from the TaskVFS instances of this
+// process; pass `vfs(taskId, runId)` to serve the instances tasks write
+// through, so their changes reach event streams.
+class VFSServer {
+  constructor(ecosystemPath, options = {}) {
+    const {
+      tokens = null,
+      auth = true,
+      vfs = null,
+      vfsOptions = {},
+      cors = null,
+      maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+      maxInstances = MAX_INSTANCES,
+      heartbeatMs = HEARTBEAT_MS
+    } = options;
+
+    this.ecosystemPath = ecosystemPath;
+    this.grants = normalizeTokens(tokens);
+    if (auth && this.grants.size === 0) {
+      throw new Error('VFSServer requires tokens (or auth: false for local development)');
+    }
+    this.auth = auth;
+    this.resolveVFS = vfs;
+    // One backend for every instance, which also lets the server check that
+    // a run exists without creating it.
+    this.backend = createBackend(vfsOptions.backend, ecosystemPath, vfsOptions.backendOptions);
+    this.vfsOptions = { ...vfsOptions, backend: this.backend };
+    this.cors = cors;
+    this.maxBodyBytes = maxBodyBytes;
+    this.maxInstances = maxInstances;
+    this.heartbeatMs = heartbeatMs;
+    this.instances = new Map();
+    this.streams = new Set();
+    this.streaming = new Map();
+    this.server = null;
+    this.handle = this.handle.bind(this);
+  }
+
+  async listen(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer(this.handle);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    const address = this.server.address();
+    return { host: address.address, port: address.port, url: `http://${host}:${address.port}` };
+  }
+
+  async close() {
+    for (const stream of this.streams) stream.end();
+    this.streams.clear();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+    for (const vfs of this.instances.values()) {
+      vfs.watches.closeAll();
+      await vfs.journal.flush();
+    }
+    this.instances.clear();
+  }
+
+  async _vfs(taskId, runId) {
+    if (this.resolveVFS) {
+      const vfs = await this.resolveVFS(taskId, runId);
+      if (vfs) return vfs;
+    }
+    const id = JSON.stringify([taskId, runId]);
+    let vfs = this.instances.get(id);
+    if (vfs) {
+      // Most recently used last, so eviction drops the oldest first
+      this.instances.delete(id);
+    } else {
+      // Creating a TaskVFS creates the run's directories, so a request for a
+      // run that does not exist must not get that far.
+      if (!(await this.backend.stat(path.posix.join('tasks', taskId, 'runs', runId)))) {
+        throw new HttpError(404, `Run ${runId} of task ${taskId} not found`, 'NOT_FOUND');
+      }
+      vfs = new TaskVFS(this.ecosystemPath, taskId, runId, this.vfsOptions);
+      this._evict();
+    }
+    this.instances.set(id, vfs);
+    await vfs.ready;
+    return vfs;
+  }
+
+  // Instances with an open event stream are kept regardless of the limit.
+  _evict() {
+    for (const [id, vfs] of this.instances) {
+      if (this.instances.size < this.maxInstances) return;
+      if (this.streaming.get(vfs)) continue;
+      vfs.watches.closeAll();
+      vfs.journal.flush().catch(() => {});
+      this.instances.delete(id);
+    }
+  }
+
+  _authorize(req, url, { taskId, scope = null, write = false, queryToken = false }) {
+    if (!this.auth) return;
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : queryToken ? url.searchParams.get('token') : null;
+    if (!token) {
+      throw new HttpError(401, 'Missing bearer token', 'PERMISSION_DENIED');
+    }
+
+    const match = [...this.grants.entries()].find(([candidate]) => sameToken(candidate, token));
+    if (!match) {
+      throw new HttpError(401, 'Invalid token', 'PERMISSION_DENIED');
+    }
+    const grant = match[1];
+    if (grant.tasks !== '*' && !grant.tasks.includes(taskId)) {
+      throw new HttpError(403, `Token does not grant access to task ${taskId}`, 'PERMISSION_DENIED');
+    }
+    if (write && !grant.write) {
+      throw new HttpError(403, 'Token is read-only', 'PERMISSION_DENIED');
+    }
+    if (write && scope === 'global' && !grant.global) {
+      throw new HttpError(403, 'Token does not grant writes to the global scope', 'PERMISSION_DENIED');
+    }
+  }
+
+  // Path segments, percent-decoded.
+  _segments(url) {
+    try {
+      return url.pathname.split('/').filter(Boolean).map(part => decodeURIComponent(part));
+    } catch {
+      throw new HttpError(400, `Malformed percent-encoding in ${url.pathname}`);
+    }
+  }
+
+  _headers(extra = {}) {
+    const headers = { ...extra };
+    if (this.cors) {
+      headers['Access-Control-Allow-Origin'] = this.cors;
+      headers['Access-Control-Expose-Headers'] = 'ETag, Content-Range, Accept-Ranges, Last-Modified';
+    }
+    return headers;
+  }
+
+  _json(res, status, body, headers = {}) {
+    res.writeHead(status, this._headers({ 'Content-Type': 'application/json; charset=utf-8', ...headers }));
+    res.end(JSON.stringify(body));
+  }
+
+  _fail(res, error) {
+    const { code, message } = error instanceof HttpError ? error : normalizeError(error);
+    const status = error instanceof HttpError ? error.status : STATUS_CODES[code] || 500;
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    this._json(res, status, { success: false, error: message, code });
+  }
+
+  async _body(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw new HttpError(413, `Request body exceeds ${this.maxBodyBytes} bytes`, 'QUOTA_EXCEEDED');
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const parts = this._segments(url);
+
+      if (req.method === 'OPTIONS' && this.cors) {
+        res.writeHead(204, this._headers({
+          'Access-Control-Allow-Methods': 'GET, HEAD, PUT, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match, Range'
+        }));
+        res.end();
+        return;
+      }
+
+      if (parts[0] !== 'vfs' || parts.length < 3) {
+        throw new HttpError(404, `No route for ${url.pathname}`, 'NOT_FOUND');
+      }
+      const [, taskId, runId, scope, operation, ...rest] = parts;
+      if (!ID_PATTERN.test(taskId) || !ID_PATTERN.test(runId)) {
+        throw new HttpError(400, 'Task and run ids may only contain letters, digits, _, . and -');
+      }
+      const filepath = rest.join('/');
+      const events = parts.length === 4 && scope === 'events' && req.method === 'GET';
+      this._authorize(req, url, {
+        taskId,
+        scope,
+        write: req.method === 'PUT' || req.method === 'DELETE',
+        queryToken: events
+      });
+
+      if (parts.length === 3 && req.method === 'GET') {
+        const vfs = await this._vfs(taskId, runId);
+        const scopes = Object.fromEntries(Object.entries(await vfs.getVFSTree()).map(([name, { path, ...summary }]) => [name, summary]));
+        this._json(res, 200, { success: true, taskId, runId, scopes });
+        return;
+      }
+      if (events) {
+        await this._events(req, res, url, await this._vfs(taskId, runId));
+        return;
+      }
+
+      if (!SCOPES.includes(scope)) {
+        throw new HttpError(404, `Invalid scope: ${scope}. Valid scopes: ${SCOPES.join(', ')}`, 'NOT_FOUND');
+      }
+      if ((operation === 'files' || operation === 'stat') && !filepath.replace(/\/+/g, '')) {
+        throw new HttpError(400, `A file path is required after /${scope}/${operation}/`);
+      }
+      const vfs = await this._vfs(taskId, runId);
+
+      if (operation === 'files' && (req.method === 'GET' || req.method === 'HEAD')) {
+        await this._read(req, res, vfs, scope, filepath);
+      } else if (operation === 'files' && req.method === 'PUT') {
+        const body = await this._body(req);
+        const result = await vfs.writeFile(filepath, body, scope, {
+          ifMatch: req.headers['if-match'] || undefined,
+          contentType: req.headers['content-type'] ? req.headers['content-type'].split(';')[0].trim() : undefined
+        });
+        delete result.fullPath;
+        this._json(res, 200, result, result.etag ? { ETag: result.etag } : {});
+      } else if (operation === 'files' && req.method === 'DELETE') {
+        this._json(res, 200, await vfs.deleteFile(filepath, scope, { ifMatch: req.headers['if-match'] || undefined }));
+      } else if (operation === 'list' && req.method === 'GET') {
+        const recursive = ['1', 'true'].includes(url.searchParams.get('recursive'));
+        const result = await vfs.listFiles(filepath || '/', scope, { recursive });
+        const strip = ({ fullPath, ...entry }) => entry;
+        this._json(res, 200, { success: true, ...result, files: result.files.map(strip), directories: result.directories.map(strip) });
+      } else if (operation === 'stat' && req.method === 'GET') {
+        const stat = await vfs.stat(filepath, scope);
+        delete stat.fullPath;
+        this._json(res, 200, { success: true, ...stat }, stat.etag ? { ETag: stat.etag } : {});
+      } else if (operation === 'tree' && req.method === 'GET') {
+        this._json(res, 200, { success: true, scope, tree: await this._tree(vfs, scope, filepath) });
+      } else {
+        throw new HttpError(405, `${req.method} is not supported on ${url.pathname}`);
+      }
+    } catch (error) {
+      this._fail(res, error);
+    }
+  }
+
+  // Full reads answer If-None-Match with 304; a Range header gets 206 with
+  // just those bytes, or 416 when it lies outside the file. The content is
+  // streamed from the backend, and the etag is never computed by reading it.
+  async _read(req, res, vfs, scope, filepath) {
+    const stat = await vfs.stat(filepath, scope, { weakEtag: true });
+    if (stat.isDirectory) {
+      throw new HttpError(400, `${filepath} is a directory; use /${scope}/list/${filepath}`);
+    }
+
+    const headers = this._headers({
+      'Content-Type': stat.contentType || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      ETag: stat.etag,
+      'Last-Modified': new Date(stat.modified).toUTCString()
+    });
+
+    // If-None-Match compares weakly: W/"x" and "x" are the same tag.
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    if (req.headers['if-none-match'] && req.headers['if-none-match'].split(',').map(opaque).includes(opaque(stat.etag))) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    const range = req.headers.range ? parseRange(req.headers.range, stat.size) : null;
+    if (range === false) {
+      res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stat.size}` });
+      res.end();
+      return;
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end + 1 : stat.size;
+    // Opened for HEAD too, so it is refused and logged like a read; a stream
+    // that is never consumed reads nothing.
+    const stream = await vfs.createReadStream(filepath, scope, { start, end });
+
+    if (range) headers['Content-Range'] = `bytes ${start}-${end - 1}/${stat.size}`;
+    headers['Content-Length'] = end - start;
+    res.writeHead(range ? 206 : 200, headers);
+    if (req.method === 'HEAD') {
+      stream.destroy();
+      res.end();
+      return;
+    }
+    await pipeline(stream, res);
+  }
+
+  // { name, path, type: 'directory', children: [...] } down to every file.
+  async _tree(vfs, scope, filepath) {
+    const listing = await vfs.listFiles(filepath || '/', scope, { recursive: true });
+    const base = (filepath || '').replace(/^\/+|\/+$/g, '');
+    const root = { name: base.split('/').pop() || scope, path: base, type: 'directory', children: [] };
+    const directories = new Map([['', root]]);
+
+    const directory = relative => {
+      if (!directories.has(relative)) {
+        const parent = directory(relative.includes('/') ? relative.slice(0, relative.lastIndexOf('/')) : '');
+        const node = { name: relative.split('/').pop(), path: base ? `${base}/${relative}` : relative, type: 'directory', children: [] };
+        parent.children.push(node);
+        directories.set(relative, node);
+      }
+      return directories.get(relative);
+    };
+
+    const relativeTo = entryPath => {
+      const clean = entryPath.replace(/^\/+/, '');
+      return base && clean.startsWith(`${base}/`) ? clean.slice(base.length + 1) : clean;
+    };
+
+    for (const entry of listing.directories || []) directory(relativeTo(entry.path));
+    for (const entry of listing.files || []) {
+      const relative = relativeTo(entry.path);
+      const parent = directory(relative.includes('/') ? relative.slice(0, relative.lastIndexOf('/')) : '');
+      parent.children.push({ name: entry.name, path: base ? `${base}/${relative}` : relative, type: 'file', size: entry.size, modified: entry.modified });
+    }
+    return root;
+  }
+
+  // Streams file:write and file:delete (and file:read with ?reads=1) events
+  // for the run, filtered by ?scope=, ?path= prefix and ?glob=.
+  async _events(req, res, url, vfs) {
+    const scope = url.searchParams.get('scope');
+    const prefix = (url.searchParams.get('path') || '').replace(/^\/+/, '');
+    const glob = url.searchParams.get('glob');
+    const matcher = glob ? globToRegExp(glob) : null;
+    const types = FILE_EVENTS.filter(type => type !== 'file:read' || ['1', 'true'].includes(url.searchParams.get('reads')));
+
+    res.writeHead(200, this._headers({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    }));
+    res.write(`: connected to ${vfs.taskId}/${vfs.runId}\n\n`);
+
+    let id = 0;
+    const listeners = types.map(type => {
+      const listener = event => {
+        const relative = String(event.path).replace(/^\/+/, '');
+        if (scope && event.scope !== scope) return;
+        if (prefix && relative !== prefix && !relative.startsWith(`${prefix.replace(/\/+$/, '')}/`)) return;
+        if (matcher && !matcher.test(relative)) return;
+        const { fullPath, ...data } = event;
+        res.write(`id: ${++id}\nevent: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+      };
+      vfs.on(type, listener);
+      return [type, listener];
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatMs);
+    heartbeat.unref();
+    this.streams.add(res);
+    this.streaming.set(vfs, (this.streaming.get(vfs) || 0) + 1);
+
+    let stopped = false;
+    const stop = () => {
+      if (stopped) return;
+      stopped = true;
+      clearInterval(heartbeat);
+      for (const [type, listener] of listeners) vfs.off(type, listener);
+      this.streams.delete(res);
+      const open = this.streaming.get(vfs) - 1;
+      if (open > 0) this.streaming.set(vfs, open);
+      else this.streaming.delete(vfs);
+    };
+    req.on('close', stop);
+    res.on('close', stop);
+  }
+}
+
+module.exports = { VFSServer };
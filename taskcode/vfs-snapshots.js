@@ -0,0 +1,200 @@
+const path = require('path');
+const { ContentStore } = require('./vfs-objects.js');
+const { VFSError } = require('./errors.js');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+class SnapshotManager {
+  constructor(vfs) {
+    this.vfs = vfs;
+  }
+
+  _key(scope, name) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw new VFSError(`Invalid snapshot name: ${name}. Use letters, digits, '.', '_' and '-'`, 'INVALID_PARAMS');
+    }
+    return this.vfs._metaKey(scope, 'snapshots', `${name}.json`);
+  }
+
+  async _load(scope, name) {
+    const manifest = await this.vfs._readJSON(this._key(scope, name));
+    if (!manifest) {
+      throw new VFSError(`Snapshot not found: ${name} (${scope} scope)`, 'NOT_FOUND');
+    }
+    return manifest;
+  }
+
+  async _latest(scope) {
+    const snapshots = await this.list(scope);
+    if (snapshots.length === 0) return null;
+    return this._load(scope, snapshots[snapshots.length - 1].name);
+  }
+
+  // Builds a manifest of the live scope. Files whose size and mtime match the
+  // hint manifest reuse its hash instead of being re-read.
+  async _capture(scope, { store = false, hint = null } = {}) {
+    const files = {};
+    const directories = [];
+    const known = hint ? hint.files : {};
+
+    for await (const { key, relative, entry } of this.vfs._walk(this.vfs.scopeKeys[scope])) {
+      if (entry.isDirectory) {
+        directories.push(relative);
+        continue;
+      }
+
+      const modified = entry.modified ? new Date(entry.modified).toISOString() : null;
+      const previous = known[relative];
+      let hash;
+
+      if (previous && modified && previous.size === entry.size && previous.modified === modified) {
+        hash = previous.hash;
+      } else {
+        const data = await this.vfs.backend.readFile(key);
+        hash = store ? await this.vfs.objects.put(data) : ContentStore.hash(data);
+      }
+
+      files[relative] = { hash, size: entry.size, modified };
+    }
+
+    return { files, directories };
+  }
+
+  _summary(manifest) {
+    const files = Object.values(manifest.files);
+    return {
+      name: manifest.name,
+      scope: manifest.scope,
+      description: manifest.description,
+      createdAt: manifest.createdAt,
+      runId: manifest.runId,
+      fileCount: files.length,
+      size: files.reduce((total, file) => total + file.size, 0)
+    };
+  }
+
+  async create(scope, name, options = {}) {
+    const key = this._key(scope, name);
+
+    if (!options.overwrite && await this.vfs.backend.stat(key)) {
+      throw new VFSError(`Snapshot already exists: ${name} (${scope} scope)`, 'ALREADY_EXISTS');
+    }
+
+    const hint = await this._latest(scope);
+    const { files, directories } = await this._capture(scope, { store: true, hint });
+    const manifest = {
+      name,
+      scope,
+      description: options.description || null,
+      createdAt: new Date().toISOString(),
+      taskId: this.vfs.taskId,
+      runId: this.vfs.runId,
+      files,
+      directories
+    };
+
+    await this.vfs._writeJSON(key, manifest);
+    this.vfs._log('Snapshot created', { scope, name, fileCount: Object.keys(files).length });
+
+    return this._summary(manifest);
+  }
+
+  async list(scope) {
+    const entries = await this.vfs.backend.listFiles(this.vfs._metaKey(scope, 'snapshots'));
+    const snapshots = [];
+
+    for (const entry of entries) {
+      if (entry.isDirectory || !entry.name.endsWith('.json')) continue;
+      const manifest = await this.vfs._readJSON(path.posix.join(this.vfs._metaKey(scope, 'snapshots'), entry.name));
+      if (manifest) snapshots.push(this._summary(manifest));
+    }
+
+    return snapshots.sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+  }
+
+  async diff(scope, from, to = null) {
+    const before = await this._load(scope, from);
+    const after = to
+      ? await this._load(scope, to)
+      : await this._capture(scope, { hint: before });
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+
+    for (const [file, info] of Object.entries(after.files)) {
+      const previous = before.files[file];
+      if (!previous) {
+        added.push({ path: file, size: info.size });
+      } else if (previous.hash !== info.hash) {
+        modified.push({ path: file, sizeBefore: previous.size, sizeAfter: info.size });
+      }
+    }
+
+    for (const [file, info] of Object.entries(before.files)) {
+      if (!after.files[file]) {
+        removed.push({ path: file, size: info.size });
+      }
+    }
+
+    return {
+      scope,
+      from,
+      to: to || 'current',
+      added,
+      removed,
+      modified,
+      unchanged: Object.keys(after.files).length - added.length - modified.length
+    };
+  }
+
+  async restore(scope, name) {
+    const manifest = await this._load(scope, name);
+    const live = await this._capture(scope, { hint: manifest });
+    const keepDirectories = new Set(manifest.directories);
+    const removed = [];
+    const restored = [];
+
+    const isKept = dir => dir === '.' || keepDirectories.has(dir);
+
+    for (const dir of live.directories) {
+      if (!keepDirectories.has(dir) && isKept(path.posix.dirname(dir))) {
+        await this.vfs.deleteFile(dir, scope);
+        removed.push(dir);
+      }
+    }
+
+    for (const file of Object.keys(live.files)) {
+      if (!manifest.files[file] && isKept(path.posix.dirname(file))) {
+        await this.vfs.deleteFile(file, scope);
+        removed.push(file);
+      }
+    }
+
+    for (const dir of manifest.directories) {
+      await this.vfs.backend.mkdir(path.posix.join(this.vfs.scopeKeys[scope], dir));
+    }
+
+    for (const [file, info] of Object.entries(manifest.files)) {
+      const current = live.files[file];
+      if (current && current.hash === info.hash) continue;
+      await this.vfs.writeFile(file, await this.vfs.objects.get(info.hash), scope);
+      restored.push(file);
+    }
+
+    this.vfs._log('Snapshot restored', { scope, name, restored: restored.length, removed: removed.length });
+
+    return { scope, name, restored, removed };
+  }
+
+  async delete(scope, name) {
+    const key = this._key(scope, name);
+    if (!(await this.vfs.backend.stat(key))) {
+      throw new VFSError(`Snapshot not found: ${name} (${scope} scope)`, 'NOT_FOUND');
+    }
+    await this.vfs.backend.deleteFile(key);
+    return { scope, name };
+  }
+}
+
+module.exports = { SnapshotManager };
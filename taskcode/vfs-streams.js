@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const path = require('path');
+const { VFSError, VFSConflictError } = require('./errors.js');
+
+const CHUNK_SIZE = 64 * 1024;
+const DEFAULT_MAX_LINES = 1000;
+
+// Ranged reads and chunked write sessions. A write session stages each chunk
+// as its own object in the run's meta directory and only touches the target
+// path on close, so a session survives the task suspending between chunks
+// and works the same on backends that cannot append.
+class StreamManager {
+  constructor(vfs) {
+    this.vfs = vfs;
+  }
+
+  // A negative offset counts back from the end of the file, so
+  // { offset: -4096 } reads the last 4KB of a log.
+  async readRange(key, size, options = {}) {
+    let offset = Number(options.offset || 0);
+    if (!Number.isInteger(offset)) throw new VFSError(`Invalid offset: ${options.offset}`, 'INVALID_PARAMS');
+    if (offset < 0) offset = Math.max(0, size + offset);
+    offset = Math.min(offset, size);
+
+    const wanted = options.length === undefined || options.length === null
+      ? size - offset
+      : Number(options.length);
+    if (!Number.isInteger(wanted) || wanted < 0) throw new VFSError(`Invalid length: ${options.length}`, 'INVALID_PARAMS');
+
+    const end = Math.min(offset + wanted, size);
+    const data = await this.vfs._readRange(key, offset, end);
+
+    return { data, range: { offset, length: data.length, eof: end >= size } };
+  }
+
+  // Bytes [start, end) of a key, CHUNK_SIZE at a time.
+  async *chunks(key, start, end) {
+    for (let offset = start; offset < end; offset += CHUNK_SIZE) {
+      yield await this.vfs._readRange(key, offset, Math.min(offset + CHUNK_SIZE, end));
+    }
+  }
+
+  // Scans forward in CHUNK_SIZE reads to find the byte span of the requested
+  // lines, then reads just that span. Lines are 1-based and endLine is
+  // inclusive; without endLine at most DEFAULT_MAX_LINES are returned.
+  async readLines(key, size, options = {}) {
+    const start = Math.max(1, Number(options.startLine) || 1);
+    const end = options.endLine === undefined || options.endLine === null
+      ? start + DEFAULT_MAX_LINES - 1
+      : Number(options.endLine);
+    if (!Number.isInteger(end) || end < start) {
+      throw new VFSError(`Invalid line range: ${start}-${options.endLine}`, 'INVALID_PARAMS');
+    }
+
+    let line = 1;
+    let lineStart = 0;
+    let position = 0;
+    let first = null;
+    let last = null;
+    let count = 0;
+
+    while (position < size && line <= end) {
+      const chunk = await this.vfs._readRange(key, position, Math.min(position + CHUNK_SIZE, size));
+      if (chunk.length === 0) break;
+
+      let from = 0;
+      while (line <= end) {
+        const newline = chunk.indexOf(0x0a, from);
+        if (newline === -1) break;
+        if (line >= start) {
+          if (first === null) first = lineStart;
+          last = position + newline + 1;
+          count++;
+        }
+        line++;
+        from = newline + 1;
+        lineStart = position + from;
+      }
+
+      position += chunk.length;
+    }
+
+    // An unterminated final line
+    if (line >= start && line <= end && lineStart < size && position >= size) {
+      if (first === null) first = lineStart;
+      last = size;
+      count++;
+    }
+
+    const data = first === null ? Buffer.alloc(0) : await this.vfs._readRange(key, first, last);
+    const eof = last === null || last >= size;
+
+    return {
+      data,
+      lines: {
+        startLine: start,
+        endLine: count > 0 ? start + count - 1 : null,
+        count,
+        nextLine: eof ? null : start + count,
+        eof
+      }
+    };
+  }
+
+  _dir() {
+    return this.vfs._metaKey('run', 'streams');
+  }
+
+  _key(streamId) {
+    if (!/^ws-[a-z0-9-]+$/.test(streamId || '')) {
+      throw new VFSError(`Invalid stream id: ${streamId}`, 'INVALID_PARAMS');
+    }
+    return path.posix.join(this._dir(), `${streamId}.json`);
+  }
+
+  _partKey(streamId, index) {
+    return path.posix.join(this._dir(), streamId, String(index).padStart(6, '0'));
+  }
+
+  async _load(streamId) {
+    const record = await this.vfs._readJSON(this._key(streamId));
+    if (!record) {
+      throw new VFSError(`Write stream not found: ${streamId}`, 'NOT_FOUND');
+    }
+    return record;
+  }
+
+  async _save(record) {
+    record.updatedAt = new Date().toISOString();
+    await this.vfs._writeJSON(this._key(record.streamId), record);
+  }
+
+  async _discard(streamId) {
+    await this.vfs.backend.deleteFile(path.posix.join(this._dir(), streamId)).catch(() => {});
+    await this.vfs.backend.deleteFile(this._key(streamId));
+  }
+
+  async open(scope, filepath, options = {}) {
+    const key = this.vfs._resolveKey(filepath, scope);
+    await this.vfs.permissions.assert('write', scope, this.vfs._relativeKey(key, scope));
+
+    const record = {
+      streamId: `ws-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+      path: filepath,
+      scope,
+      append: !!options.append,
+      ifMatch: options.ifMatch ?? null,
+      lockToken: options.lockToken || null,
+      contentType: options.contentType || null,
+      ttl: options.ttl ?? null,
+      expiresAt: options.expiresAt || null,
+      runId: this.vfs.runId,
+      createdAt: new Date().toISOString(),
+      parts: [],
+      size: 0
+    };
+    await this._save(record);
+    this.vfs._log('Write stream opened', { streamId: record.streamId, path: filepath, scope });
+    return this._summary(record);
+  }
+
+  // `offset` is the byte position the caller believes the chunk starts at.
+  // Re-sending a chunk that was already stored (e.g. after a resume) is
+  // acknowledged without storing it twice; a gap is a conflict.
+  async write(streamId, data, offset) {
+    const key = this._key(streamId);
+    return this.vfs._withPathLock(key, async () => {
+      const record = await this._load(streamId);
+      if (record.closing) {
+        throw new VFSConflictError(
+          `Write stream ${streamId} is closing; retry close to finish it`,
+          { scope: record.scope, path: record.path }
+        );
+      }
+
+      if (offset !== undefined && offset !== null && Number(offset) !== record.size) {
+        if (Number(offset) + data.length <= record.size) {
+          return { ...this._summary(record), duplicate: true };
+        }
+        throw new VFSConflictError(
+          `Chunk offset ${offset} does not match ${record.size} bytes received for ${record.path}`,
+          { scope: record.scope, path: record.path, expected: offset, received: record.size }
+        );
+      }
+
+      const targetKey = this.vfs._resolveKey(record.path, record.scope);
+      const target = await this.vfs.backend.stat(targetKey);
+      const existing = target && target.isFile ? target.size : 0;
+      const total = record.size + data.length;
+      await this.vfs.permissions.assert('write', record.scope, this.vfs._relativeKey(targetKey, record.scope), {
+        size: record.append ? existing + total : total
+      });
+      await this.vfs.usage.check(
+        record.scope,
+        { bytes: record.append ? total : total - existing, files: target ? 0 : 1 },
+        record.path
+      );
+
+      await this.vfs.backend.writeFile(this._partKey(streamId, record.parts.length), data);
+      record.parts.push(data.length);
+      record.size = total;
+      await this._save(record);
+
+      return this._summary(record);
+    });
+  }
+
+  async _part(streamId, index) {
+    return this.vfs.backend.readFile(this._partKey(streamId, index));
+  }
+
+  async _step(record, whole, index) {
+    if (!whole) return this._part(record.streamId, index);
+    const parts = [];
+    for (let part = 0; part < record.parts.length; part++) {
+      parts.push(await this._part(record.streamId, part));
+    }
+    return Buffer.concat(parts);
+  }
+
+  // The first part replaces (or is appended to) the target and the rest are
+  // appended after it, one part in memory at a time, all under one write
+  // lease so no other writer lands in between. Versioned scopes keep a copy
+  // of the full content per version anyway, so there it is written in one go.
+  //
+  // The record counts the parts written, so a close that is cut short picks
+  // up where it stopped when retried instead of writing parts twice; until
+  // then the target holds the parts written so far. An append that landed
+  // just before its count was saved shows in the target's size.
+  async _writeParts(record) {
+    const { streamId, scope } = record;
+    const key = this.vfs._resolveKey(record.path, scope);
+    const options = {
+      lockToken: record.lockToken,
+      contentType: record.contentType,
+      ttl: record.ttl,
+      expiresAt: record.expiresAt
+    };
+
+    return this.vfs._withWriteLease(scope, key, async () => {
+      // ifMatch is about the target before the first part landed, so it is
+      // only checked when the close starts.
+      if (!record.closing) {
+        const target = await this.vfs.backend.stat(key);
+        await this.vfs._checkPrecondition(record.path, scope, key, target, record);
+        record.closing = { base: record.append && target && target.isFile ? target.size : 0, written: 0 };
+        await this._save(record);
+      }
+
+      const whole = this.vfs.versions.enabled(scope) || record.parts.length <= 1;
+      const steps = whole ? [record.size] : record.parts;
+      const hashing = !whole && !record.append;
+      const hash = crypto.createHash('sha256');
+      let end = record.closing.base;
+      let result = null;
+
+      for (let index = 0; index < steps.length; index++) {
+        end += steps[index];
+        const written = index < record.closing.written;
+        if (written && !hashing) continue;
+
+        const data = await this._step(record, whole, index);
+        if (hashing) hash.update(data);
+        if (written) continue;
+
+        const appending = record.append || index > 0;
+        const current = appending ? await this.vfs.backend.stat(key) : null;
+        if (!current || current.size !== end) {
+          result = await this.vfs._writeFile(record.path, key, data, scope, index === 0
+            ? { ...options, append: record.append }
+            : { append: true, lockToken: record.lockToken, contentType: record.contentType });
+        }
+
+        record.closing.written = index + 1;
+        await this._save(record);
+      }
+
+      if (!result) {
+        const stat = await this.vfs.backend.stat(key);
+        result = { success: true, path: record.path, scope, size: stat ? stat.size : 0, fullPath: this.vfs.backend.locate(key) };
+      }
+      if (!hashing) return result;
+      const etag = `"${hash.digest('hex')}"`;
+      await this.vfs._recordEtag(scope, key, etag);
+      return { ...result, etag };
+    });
+  }
+
+  async close(streamId) {
+    const key = this._key(streamId);
+    return this.vfs._withPathLock(key, async () => {
+      const record = await this._load(streamId);
+      const result = await this._writeParts(record);
+
+      await this._discard(streamId);
+      this.vfs._log('Write stream closed', { streamId, path: record.path, size: record.size });
+
+      return { ...result, streamId, state: 'closed', bytesWritten: record.size };
+    });
+  }
+
+  async abort(streamId) {
+    const key = this._key(streamId);
+    return this.vfs._withPathLock(key, async () => {
+      const record = await this._load(streamId);
+      await this._discard(streamId);
+      this.vfs._log('Write stream aborted', { streamId });
+      return { ...this._summary(record), state: 'aborted' };
+    });
+  }
+
+  async get(streamId) {
+    return this._summary(await this._load(streamId));
+  }
+
+  async list() {
+    const streams = [];
+    for (const entry of await this.vfs.backend.listFiles(this._dir())) {
+      if (entry.isDirectory || !entry.name.endsWith('.json')) continue;
+      const record = await this.vfs._readJSON(path.posix.join(this._dir(), entry.name));
+      if (record) streams.push(this._summary(record));
+    }
+    return streams;
+  }
+
+  _summary(record) {
+    return {
+      streamId: record.streamId,
+      state: record.closing ? 'closing' : 'open',
+      path: record.path,
+      scope: record.scope,
+      append: record.append,
+      size: record.size,
+      chunks: record.parts.length,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+}
+
+module.exports = { StreamManager };
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const path = require('path');
+const { VFSError } = require('./errors.js');
+
+// Transactions are persisted in the run's meta directory as an intent log:
+//   open        - operations are being staged; nothing has touched the scopes
+//   committing  - before-images are recorded; operations are being applied
+//   rolling-back - an apply step failed; before-images are being restored
+// A record left in `committing` by a killed process is rolled forward by
+// recover(), one left in `rolling-back` is rolled back, so a commit is
+// all-or-nothing across process death. Every step is idempotent.
+class TransactionManager {
+  constructor(vfs) {
+    this.vfs = vfs;
+  }
+
+  _dir() {
+    return this.vfs._metaKey('run', 'transactions');
+  }
+
+  _key(txId) {
+    if (!/^tx-[a-z0-9-]+$/.test(txId || '')) {
+      throw new VFSError(`Invalid transaction id: ${txId}`, 'INVALID_PARAMS');
+    }
+    return path.posix.join(this._dir(), `${txId}.json`);
+  }
+
+  async _load(txId) {
+    const record = await this.vfs._readJSON(this._key(txId));
+    if (!record) {
+      throw new VFSError(`Transaction not found: ${txId}`, 'NOT_FOUND');
+    }
+    return record;
+  }
+
+  async _save(record) {
+    record.updatedAt = new Date().toISOString();
+    await this.vfs._writeJSON(this._key(record.txId), record);
+  }
+
+  async _loadOpen(txId) {
+    const record = await this._load(txId);
+    if (record.state !== 'open') {
+      throw new VFSError(`Transaction ${txId} is ${record.state}`, 'FAILED_PRECONDITION');
+    }
+    return record;
+  }
+
+  async begin(options = {}) {
+    const record = {
+      txId: `tx-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+      state: 'open',
+      description: options.description || null,
+      runId: this.vfs.runId,
+      createdAt: new Date().toISOString(),
+      operations: []
+    };
+    await this._save(record);
+    this.vfs._log('Transaction started', { txId: record.txId });
+    return this._summary(record);
+  }
+
+  async stageWrite(txId, filepath, data, scope) {
+    const key = this.vfs._resolveKey(filepath, scope);
+    await this.vfs.permissions.assert('write', scope, this.vfs._relativeKey(key, scope), { size: data.length });
+    const record = await this._loadOpen(txId);
+    record.operations.push({
+      type: 'write',
+      path: filepath,
+      scope,
+      hash: await this.vfs.objects.put(data),
+      size: data.length
+    });
+    await this._save(record);
+    return this._summary(record);
+  }
+
+  async stageDelete(txId, filepath, scope) {
+    const key = this.vfs._resolveKey(filepath, scope);
+    await this.vfs.permissions.assert('write', scope, this.vfs._relativeKey(key, scope));
+    const record = await this._loadOpen(txId);
+    record.operations.push({ type: 'delete', path: filepath, scope });
+    await this._save(record);
+    return this._summary(record);
+  }
+
+  async abort(txId) {
+    const record = await this._loadOpen(txId);
+    await this.vfs.backend.deleteFile(this._key(txId));
+    this.vfs._log('Transaction aborted', { txId });
+    return { ...this._summary(record), state: 'aborted' };
+  }
+
+  async get(txId) {
+    return this._summary(await this._load(txId));
+  }
+
+  async commit(txId) {
+    const record = await this._loadOpen(txId);
+    await this._prepare(record);
+
+    record.state = 'committing';
+    await this._save(record);
+
+    try {
+      await this._apply(record);
+    } catch (error) {
+      record.state = 'rolling-back';
+      record.error = error.message;
+      await this._save(record);
+      await this._rollback(record);
+      await this.vfs.backend.deleteFile(this._key(txId));
+      throw error;
+    }
+
+    await this.vfs.backend.deleteFile(this._key(txId));
+    this.vfs.emit('transaction:commit', { txId, operations: record.operations.length });
+    this.vfs._log('Transaction committed', { txId, operations: record.operations.length });
+
+    return { ...this._summary(record), state: 'committed' };
+  }
+
+  async recover() {
+    const recovered = [];
+    const entries = await this.vfs.backend.listFiles(this._dir());
+
+    for (const entry of entries) {
+      if (entry.isDirectory || !entry.name.endsWith('.json')) continue;
+      const record = await this.vfs._readJSON(path.posix.join(this._dir(), entry.name));
+      if (!record) continue;
+
+      if (record.state === 'committing') {
+        await this._apply(record);
+      } else if (record.state === 'rolling-back') {
+        await this._rollback(record);
+      } else {
+        continue;
+      }
+
+      await this.vfs.backend.deleteFile(this._key(record.txId));
+      recovered.push({ txId: record.txId, action: record.state === 'committing' ? 'committed' : 'rolled-back' });
+      this.vfs._log('Transaction recovered', recovered[recovered.length - 1]);
+    }
+
+    return recovered;
+  }
+
+  // Validates every operation and records each target's before-image before
+  // anything is applied, so a commit that cannot succeed changes nothing.
+  async _prepare(record) {
+    const deltas = {};
+    const seen = new Map();
+
+    for (const op of record.operations) {
+      const key = this.vfs._resolveKey(op.path, op.scope);
+      const target = `${op.scope}:${key}`;
+
+      if (!seen.has(target)) {
+        const stat = await this.vfs.backend.stat(key);
+        if (stat && stat.isDirectory) {
+          throw new VFSError(`Cannot ${op.type} directory ${op.path} in a transaction`, 'INVALID_PARAMS');
+        }
+        seen.set(target, {
+          before: stat ? await this.vfs.objects.put(await this.vfs.backend.readFile(key)) : null,
+          size: stat ? stat.size : null
+        });
+      }
+
+      const state = seen.get(target);
+      op.before = state.before;
+
+      const delta = deltas[op.scope] || (deltas[op.scope] = { bytes: 0, files: 0 });
+      const exists = state.size !== null;
+      if (op.type === 'write') {
+        delta.bytes += op.size - (exists ? state.size : 0);
+        delta.files += exists ? 0 : 1;
+        state.size = op.size;
+      } else {
+        if (!exists) {
+          throw new VFSError(`Cannot delete ${op.path}: not found in ${op.scope} scope`, 'NOT_FOUND');
+        }
+        delta.bytes -= state.size;
+        delta.files -= 1;
+        state.size = null;
+      }
+    }
+
+    for (const [scope, delta] of Object.entries(deltas)) {
+      await this.vfs.usage.check(scope, delta, `transaction ${record.txId}`);
+    }
+  }
+
+  async _apply(record) {
+    for (const op of record.operations) {
+      if (op.type === 'write') {
+        await this.vfs.writeFile(op.path, await this.vfs.objects.get(op.hash), op.scope);
+      } else if (await this.vfs.exists(op.path, op.scope)) {
+        await this.vfs.deleteFile(op.path, op.scope);
+      }
+    }
+  }
+
+  async _rollback(record) {
+    const restored = new Set();
+
+    for (const op of record.operations) {
+      const target = `${op.scope}:${op.path}`;
+      if (restored.has(target)) continue;
+      restored.add(target);
+
+      if (op.before) {
+        await this.vfs.writeFile(op.path, await this.vfs.objects.get(op.before), op.scope);
+      } else if (await this.vfs.exists(op.path, op.scope)) {
+        await this.vfs.deleteFile(op.path, op.scope);
+      }
+    }
+  }
+
+  _summary(record) {
+    return {
+      txId: record.txId,
+      state: record.state,
+      description: record.description,
+      createdAt: record.createdAt,
+      operations: record.operations.map(({ type, path: filepath, scope, size }) => ({ type, path: filepath, scope, size }))
+    };
+  }
+}
+
+module.exports = { TransactionManager };
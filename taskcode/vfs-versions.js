@@ -0,0 +1,96 @@
+const { VFSError } = require('./errors.js');
+
+const DEFAULT_KEEP = 10;
+
+class VersionManager {
+  constructor(vfs, versioning = {}) {
+    this.vfs = vfs;
+    this.config = {};
+
+    for (const [scope, setting] of Object.entries(versioning)) {
+      if (!setting) continue;
+      const keep = setting === true ? DEFAULT_KEEP : setting.keep ?? DEFAULT_KEEP;
+      this.config[scope] = { keep: Math.max(0, keep) };
+    }
+  }
+
+  enabled(scope) {
+    return !!this.config[scope];
+  }
+
+  _key(scope, relative) {
+    return this.vfs._metaKey(scope, 'versions', `${encodeURIComponent(relative)}.json`);
+  }
+
+  async _index(scope, relative) {
+    return this.vfs._readJSON(this._key(scope, relative), { path: relative, versions: [] });
+  }
+
+  // Called before the first versioned overwrite of a file that already existed
+  // when versioning was switched on, so its original contents are kept too.
+  async seed(scope, relative, key, stat) {
+    const index = await this._index(scope, relative);
+    if (index.versions.length > 0) return;
+
+    const data = await this.vfs.backend.readFile(key);
+    index.versions.push({
+      version: 1,
+      hash: await this.vfs.objects.put(data),
+      size: data.length,
+      timestamp: stat.modified ? new Date(stat.modified).toISOString() : new Date().toISOString(),
+      runId: null
+    });
+    await this.vfs._writeJSON(this._key(scope, relative), index);
+  }
+
+  async record(scope, relative, data, details = {}) {
+    const index = await this._index(scope, relative);
+    const last = index.versions[index.versions.length - 1];
+    const entry = {
+      version: last ? last.version + 1 : 1,
+      hash: await this.vfs.objects.put(data),
+      size: data.length,
+      timestamp: new Date().toISOString(),
+      runId: this.vfs.runId
+    };
+    if (details.revertedFrom) entry.revertedFrom = details.revertedFrom;
+
+    index.versions.push(entry);
+
+    const limit = this.config[scope].keep + 1;
+    if (index.versions.length > limit) {
+      index.versions = index.versions.slice(index.versions.length - limit);
+    }
+
+    await this.vfs._writeJSON(this._key(scope, relative), index);
+    return entry;
+  }
+
+  async list(scope, relative) {
+    const index = await this._index(scope, relative);
+    const latest = index.versions[index.versions.length - 1];
+    return index.versions
+      .map(entry => ({ ...entry, current: entry === latest }))
+      .reverse();
+  }
+
+  async current(scope, relative) {
+    const index = await this._index(scope, relative);
+    return index.versions[index.versions.length - 1] || null;
+  }
+
+  async get(scope, relative, version) {
+    const index = await this._index(scope, relative);
+    return index.versions.find(entry => entry.version === Number(version)) || null;
+  }
+
+  async read(scope, relative, version) {
+    const entry = await this.get(scope, relative, version);
+    if (!entry) {
+      throw new VFSError(`Version ${version} of ${relative} not found in ${scope} scope`, 'NOT_FOUND');
+    }
+    return { entry, data: await this.vfs.objects.get(entry.hash) };
+  }
+}
+
+module.exports = { VersionManager };
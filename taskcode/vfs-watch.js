@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { globToRegExp } = require('./vfs-search.js');
+const { VFSError } = require('./errors.js');
+
+const DEFAULT_DEBOUNCE_MS = 100;
+const DEFAULT_POLL_LIMIT = 100;
+const MAX_POLL_LIMIT = 1000;
+const MAX_WAIT_MS = 5 * 60 * 1000;
+
+// Watch subscriptions. A subscription is a record in the run's meta directory
+// plus a log of the changes seen under its path that no poll has consumed
+// yet. While the subscribing process is alive a backend watcher feeds the
+// log; after a resume the first poll re-attaches, and a scan against the last
+// known file list turns whatever changed in between into events. Tasks poll
+// the log instead of holding a watcher across a suspension.
+class WatchManager {
+  constructor(vfs) {
+    this.vfs = vfs;
+    this.live = new Map();
+    this.signals = new EventEmitter();
+    this.signals.setMaxListeners(0);
+  }
+
+  _dir() {
+    return this.vfs._metaKey('run', 'watches');
+  }
+
+  _key(subscriptionId) {
+    if (!/^wt-[a-z0-9-]+$/.test(subscriptionId || '')) {
+      throw new VFSError(`Invalid subscription id: ${subscriptionId}`, 'INVALID_PARAMS');
+    }
+    return path.posix.join(this._dir(), `${subscriptionId}.json`);
+  }
+
+  _logKey(subscriptionId) {
+    return path.posix.join(this._dir(), `${subscriptionId}.jsonl`);
+  }
+
+  async _load(subscriptionId) {
+    const record = await this.vfs._readJSON(this._key(subscriptionId));
+    if (!record) {
+      throw new VFSError(`Watch subscription not found: ${subscriptionId}`, 'NOT_FOUND');
+    }
+    return record;
+  }
+
+  async _save(record) {
+    record.updatedAt = new Date().toISOString();
+    await this.vfs._writeJSON(this._key(record.subscriptionId), record);
+  }
+
+  _expired(record) {
+    return !!record.expiresAt && Date.parse(record.expiresAt) <= Date.now();
+  }
+
+  _matches(record, relative) {
+    if (!this.vfs.permissions.allows('read', record.scope, relative)) return false;
+    if (!record.glob) return true;
+    const inner = record.base ? relative.slice(record.base.length + 1) : relative;
+    return globToRegExp(record.glob).test(inner);
+  }
+
+  // The files under the subscription as { relative: { size, modified } }.
+  async _scan(record) {
+    const key = this.vfs._resolveKey(record.path, record.scope);
+    const stat = await this.vfs.backend.stat(key);
+    const files = {};
+    if (!stat) return files;
+
+    const stamp = entry => ({ size: entry.size, modified: new Date(entry.modified).toISOString() });
+
+    if (!stat.isDirectory) {
+      if (this._matches(record, record.base)) files[record.base] = stamp(stat);
+      return files;
+    }
+
+    if (record.recursive) {
+      for await (const { relative, entry } of this.vfs._walk(key, record.base)) {
+        if (!entry.isDirectory && this._matches(record, relative)) files[relative] = stamp(entry);
+      }
+    } else {
+      for (const entry of await this.vfs.backend.listFiles(key)) {
+        const relative = record.base ? `${record.base}/${entry.name}` : entry.name;
+        if (!entry.isDirectory && this._matches(record, relative)) files[relative] = stamp(entry);
+      }
+    }
+    return files;
+  }
+
+  // Compares `current` with what the record last saw and logs the difference.
+  async _record(record, current, only = null) {
+    const events = [];
+    const timestamp = new Date().toISOString();
+    const inScope = relative => !only || relative === only || relative.startsWith(`${only}/`);
+
+    for (const [relative, seen] of Object.entries(record.files)) {
+      if (inScope(relative) && !current[relative]) {
+        events.push({ type: 'deleted', path: relative, scope: record.scope, size: 0, modified: seen.modified });
+        delete record.files[relative];
+      }
+    }
+    for (const [relative, now] of Object.entries(current)) {
+      const seen = record.files[relative];
+      if (seen && seen.size === now.size && seen.modified === now.modified) continue;
+      events.push({ type: seen ? 'modified' : 'created', path: relative, scope: record.scope, ...now });
+      record.files[relative] = now;
+    }
+
+    if (events.length === 0) return 0;
+
+    const lines = events.map(event => {
+      record.seq++;
+      return JSON.stringify({ seq: record.seq, ...event, timestamp });
+    });
+    await this.vfs._appendData(this._logKey(record.subscriptionId), Buffer.from(`${lines.join('\n')}\n`));
+    await this._save(record);
+    this.signals.emit(record.subscriptionId);
+    return events.length;
+  }
+
+  async _settle(subscriptionId, relative) {
+    const key = this._key(subscriptionId);
+    await this.vfs._withPathLock(key, async () => {
+      const record = await this.vfs._readJSON(key);
+      if (!record) return;
+
+      let current = {};
+      if (relative === null) {
+        current = await this._scan(record);
+      } else {
+        const stat = await this.vfs.backend.stat(this.vfs._resolveKey(relative, record.scope));
+        if (stat && stat.isFile && this._matches(record, relative)) {
+          current[relative] = { size: stat.size, modified: new Date(stat.modified).toISOString() };
+        } else if (stat && stat.isDirectory) {
+          return;
+        }
+      }
+      await this._record(record, current, relative);
+    }).catch(error => {
+      this.vfs._log('Failed to record watch event', { subscriptionId, error: error.message });
+    });
+  }
+
+  // Starts the backend watcher for a subscription in this process, after
+  // logging anything that changed while no watcher was running.
+  async _attach(record) {
+    if (this.live.has(record.subscriptionId)) return;
+
+    const { subscriptionId } = record;
+    const key = this.vfs._resolveKey(record.path, record.scope);
+    const target = await this.vfs.backend.stat(key);
+    const timers = new Map();
+    const live = { timers, handle: null, expiry: null };
+    this.live.set(subscriptionId, live);
+
+    await this._settle(subscriptionId, null);
+
+    live.handle = this.vfs.backend.watch(key, { recursive: record.recursive, persistent: false }, (eventType, filename) => {
+      // Without a filename the whole subscription is rescanned.
+      let relative = null;
+      if (target && !target.isDirectory) {
+        relative = record.base;
+      } else if (filename) {
+        const name = String(filename).replace(/\\/g, '/');
+        relative = record.base ? `${record.base}/${name}` : name;
+      }
+
+      const timerKey = relative === null ? '' : relative;
+      clearTimeout(timers.get(timerKey));
+      const timer = setTimeout(() => {
+        timers.delete(timerKey);
+        this._settle(subscriptionId, relative);
+      }, record.debounceMs);
+      if (timer.unref) timer.unref();
+      timers.set(timerKey, timer);
+    });
+
+    if (record.expiresAt) {
+      live.expiry = setTimeout(() => this._detach(subscriptionId), Math.max(0, Date.parse(record.expiresAt) - Date.now()));
+      if (live.expiry.unref) live.expiry.unref();
+    }
+  }
+
+  _detach(subscriptionId) {
+    const live = this.live.get(subscriptionId);
+    if (!live) return;
+    for (const timer of live.timers.values()) clearTimeout(timer);
+    clearTimeout(live.expiry);
+    if (live.handle) live.handle.close();
+    this.live.delete(subscriptionId);
+  }
+
+  async subscribe(scope, filepath, options = {}) {
+    const key = this.vfs._resolveKey(filepath, scope);
+    const base = key === this.vfs.scopeKeys[scope] ? '' : this.vfs._relativeKey(key, scope);
+    await this.vfs.permissions.assertVisible(scope, base);
+
+    if (!(await this.vfs.backend.stat(key))) {
+      throw new VFSError(`Cannot watch non-existent path: ${filepath}`, 'NOT_FOUND');
+    }
+
+    const expiresAt = this.vfs.retention.expiryFor(options);
+    const record = {
+      subscriptionId: `wt-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+      path: filepath,
+      base,
+      scope,
+      recursive: !!options.recursive,
+      glob: options.glob ? options.glob.replace(/^\/+/, '') : null,
+      debounceMs: Math.max(0, Number(options.debounceMs ?? DEFAULT_DEBOUNCE_MS)),
+      expiresAt,
+      runId: this.vfs.runId,
+      createdAt: new Date().toISOString(),
+      seq: 0,
+      cursor: 0,
+      files: {}
+    };
+    record.files = await this._scan(record);
+    await this._save(record);
+    await this._attach(record);
+
+    this.vfs._log('Watch subscription created', { subscriptionId: record.subscriptionId, path: filepath, scope });
+    return this._summary(record);
+  }
+
+  async _lines(subscriptionId) {
+    const logKey = this._logKey(subscriptionId);
+    if (!(await this.vfs.backend.stat(logKey))) return [];
+    return (await this.vfs.backend.readFile(logKey)).toString('utf8').split('\n').filter(Boolean);
+  }
+
+  async _events(subscriptionId, after, limit) {
+    const events = [];
+    for (const line of await this._lines(subscriptionId)) {
+      const event = JSON.parse(line);
+      if (event.seq <= after) continue;
+      if (events.length === limit) return { events, more: true };
+      events.push(event);
+    }
+    return { events, more: false };
+  }
+
+  // Drops the events up to `cursor` from the log once a poll has consumed
+  // them. Runs under the record's lock, which appending events also takes.
+  async _compact(subscriptionId, cursor) {
+    const lines = await this._lines(subscriptionId);
+    const kept = lines.filter(line => JSON.parse(line).seq > cursor);
+    if (kept.length === lines.length) return;
+
+    const logKey = this._logKey(subscriptionId);
+    if (kept.length === 0) {
+      await this.vfs.backend.deleteFile(logKey).catch(() => {});
+    } else {
+      await this.vfs.backend.writeFile(logKey, Buffer.from(`${kept.join('\n')}\n`));
+    }
+  }
+
+  // Returns the events after `cursor`, by default the point the previous poll
+  // stopped at; only a poll without one consumes what it returns. With waitMs
+  // it waits up to that long for the first event.
+  async poll(subscriptionId, options = {}) {
+    let record = await this._load(subscriptionId);
+    const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_POLL_LIMIT, 1), MAX_POLL_LIMIT);
+    const waitMs = Math.min(Math.max(Number(options.waitMs) || 0, 0), MAX_WAIT_MS);
+    const explicit = options.cursor !== undefined && options.cursor !== null;
+    const expired = this._expired(record);
+
+    if (!expired) {
+      await this._attach(record);
+      if (options.rescan) await this._settle(subscriptionId, null);
+    }
+
+    const after = explicit ? Number(options.cursor) : (await this._load(subscriptionId)).cursor;
+    let batch = await this._events(subscriptionId, after, limit);
+    let timedOut = false;
+
+    if (batch.events.length === 0 && waitMs > 0 && !expired) {
+      timedOut = !(await new Promise(resolve => {
+        const done = arrived => {
+          clearTimeout(timer);
+          this.signals.off(subscriptionId, onEvent);
+          resolve(arrived);
+        };
+        const onEvent = () => done(true);
+        const timer = setTimeout(() => done(false), waitMs);
+        this.signals.on(subscriptionId, onEvent);
+      }));
+      batch = await this._events(subscriptionId, after, limit);
+    }
+
+    const cursor = batch.events.length > 0 ? batch.events[batch.events.length - 1].seq : after;
+
+    if (expired && !batch.more) {
+      await this.unsubscribe(subscriptionId);
+    } else if (!explicit && cursor !== after) {
+      await this.vfs._withPathLock(this._key(subscriptionId), async () => {
+        record = await this._load(subscriptionId);
+        record.cursor = Math.max(record.cursor, cursor);
+        await this._save(record);
+        await this._compact(subscriptionId, record.cursor);
+      });
+    }
+
+    return {
+      subscriptionId,
+      events: batch.events,
+      cursor,
+      more: batch.more,
+      timedOut,
+      expired
+    };
+  }
+
+  async unsubscribe(subscriptionId) {
+    const record = await this._load(subscriptionId);
+    this._detach(subscriptionId);
+    await this.vfs.backend.deleteFile(this._logKey(subscriptionId)).catch(() => {});
+    await this.vfs.backend.deleteFile(this._key(subscriptionId));
+    this.vfs._log('Watch subscription closed', { subscriptionId });
+    return { ...this._summary(record), state: 'closed' };
+  }
+
+  async get(subscriptionId) {
+    return this._summary(await this._load(subscriptionId));
+  }
+
+  async list() {
+    const subscriptions = [];
+    for (const entry of await this.vfs.backend.listFiles(this._dir())) {
+      if (entry.isDirectory || !entry.name.endsWith('.json')) continue;
+      const record = await this.vfs._readJSON(path.posix.join(this._dir(), entry.name));
+      if (record) subscriptions.push(this._summary(record));
+    }
+    return subscriptions;
+  }
+
+  // Stops this process's watchers; the subscriptions themselves remain and
+  // re-attach on the next poll.
+  closeAll() {
+    for (const subscriptionId of [...this.live.keys()]) this._detach(subscriptionId);
+  }
+
+  _summary(record) {
+    return {
+      subscriptionId: record.subscriptionId,
+      state: this._expired(record) ? 'expired' : 'active',
+      path: record.path,
+      scope: record.scope,
+      recursive: record.recursive,
+      glob: record.glob,
+      debounceMs: record.debounceMs,
+      eventCount: record.seq,
+      cursor: record.cursor,
+      fileCount: Object.keys(record.files).length,
+      live: this.live.has(record.subscriptionId),
+      expiresAt: record.expiresAt,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+}
+
+module.exports = { WatchManager };
@@ -1,12 +1,39 @@
-import logger from '@sequential/sequential-logging';
-import { nowISO, createTimestamps, updateTimestamp } from '@sequential/timestamp-utilities';
 const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const logger = require('@sequential/sequential-logging');
+const { nowISO, createTimestamps, updateTimestamp } = require('@sequential/timestamp-utilities');
 const { validator } = require('@sequential/core-config');
+const { createBackend } = require('./backends/index.js');
+const { UsageLedger } = require('./vfs-quota.js');
+const { ContentStore } = require('./vfs-objects.js');
+const { SnapshotManager } = require('./vfs-snapshots.js');
+const { VersionManager } = require('./vfs-versions.js');
+const { TransactionManager } = require('./vfs-transactions.js');
+const { LockManager } = require('./vfs-locks.js');
+const { VFSSearch } = require('./vfs-search.js');
+const { StreamManager } = require('./vfs-streams.js');
+const { WatchManager } = require('./vfs-watch.js');
+const { AttributeStore } = require('./vfs-attributes.js');
+const { RetentionManager } = require('./vfs-retention.js');
+const { PermissionPolicy } = require('./vfs-permissions.js');
+const { EventJournal } = require('./vfs-journal.js');
+const { toBuffer, detectContentType, encodeContent } = require('./vfs-content.js');
+const { VFSError, VFSConflictError, VFSPermissionError, wrapError } = require('./errors.js');
+
+const WRITE_LEASE_TTL_MS = 30000;
+const WRITE_LEASE_WAIT_MS = 30000;
+// Past the 8000-byte sample detectContentType inspects, so a multi-byte
+// character cut off at the end of the prefix still reads as text.
+const CONTENT_SNIFF_BYTES = 8192;
+
+function sameTime(a, b) {
+  return !!a && !!b && new Date(a).getTime() === new Date(b).getTime();
+}
 
 class TaskVFS extends EventEmitter {
-  constructor(ecosystemPath, taskId, runId) {
+  constructor(ecosystemPath, taskId, runId, options = {}) {
     super();
     this.ecosystemPath = ecosystemPath;
     this.taskId = taskId;
@@ -17,15 +44,44 @@ class TaskVFS extends EventEmitter {
     } catch {
       this.debug = process.env.DEBUG === '1';
     }
-    
-    this.scopes = {
-      run: path.join(ecosystemPath, 'tasks', taskId, 'runs', runId, 'fs'),
-      task: path.join(ecosystemPath, 'tasks', taskId, 'fs'),
-      global: path.join(ecosystemPath, 'vfs', 'global')
+
+    this.backend = createBackend(options.backend, ecosystemPath, options.backendOptions);
+
+    this.scopeKeys = {
+      run: path.posix.join('tasks', taskId, 'runs', runId, 'fs'),
+      task: path.posix.join('tasks', taskId, 'fs'),
+      global: path.posix.join('vfs', 'global')
+    };
+
+    this.metaKeys = {
+      run: path.posix.join('tasks', taskId, 'runs', runId, 'meta'),
+      task: path.posix.join('tasks', taskId, 'meta'),
+      global: path.posix.join('vfs', 'meta', 'global')
     };
 
+    this.scopes = {};
+    for (const [scopeName, key] of Object.entries(this.scopeKeys)) {
+      this.scopes[scopeName] = this.backend.locate(key);
+    }
+
+    this.usage = new UsageLedger(this, options.quotas);
+    this.objects = new ContentStore(this.backend);
+    this.snapshots = new SnapshotManager(this);
+    this.versions = new VersionManager(this, options.versioning);
+    this.transactions = new TransactionManager(this);
+    this.locks = new LockManager(this);
+    this.writeLeases = new LockManager(this, { namespace: 'writes', quiet: true });
+    this.search = new VFSSearch(this);
+    this.streams = new StreamManager(this);
+    this.watches = new WatchManager(this);
+    this.attributes = new AttributeStore(this);
+    this.retention = new RetentionManager(this, options.retention);
+    this.permissions = new PermissionPolicy(this, options.permissions);
+    this.journal = new EventJournal(this, options.journal);
+    this._pathQueues = new Map();
+
     this._ensureDirectories();
-    this._log('VFS initialized', { taskId, runId, scopes: this.scopes });
+    this._log('VFS initialized', { taskId, runId, backend: this.backend.type, scopes: this.scopes });
   }
 
   _log(message, data = {}) {
@@ -35,164 +91,482 @@ class TaskVFS extends EventEmitter {
   }
 
   _ensureDirectories() {
-    Object.entries(this.scopes).forEach(async ([scopeName, dir]) => {
-      if (!fs.existsSync(dir)) {
-        const fsPromises = require('fs').promises;
-        await fsPromises.mkdir(dir, { recursive: true });
-        this._log(`Created scope directory: ${scopeName}`, { dir });
+    this.ready = Promise.all(Object.entries(this.scopeKeys).map(async ([scopeName, key]) => {
+      if (!(await this.backend.stat(key))) {
+        await this.backend.mkdir(key);
+        this._log(`Created scope directory: ${scopeName}`, { key });
       }
-    });
+    }))
+      .then(() => this.transactions.recover())
+      .catch(error => {
+        this._log('Failed to initialize VFS', { error: error.message });
+      });
   }
 
-  _resolvePath(filepath, scope = 'run') {
-    if (!this.scopes[scope]) {
-      const validScopes = Object.keys(this.scopes).join(', ');
-      throw new Error(`Invalid scope: ${scope}. Valid scopes: ${validScopes}`);
+  _assertScope(scope) {
+    if (!this.scopeKeys[scope]) {
+      const validScopes = Object.keys(this.scopeKeys).join(', ');
+      throw new VFSError(`Invalid scope: ${scope}. Valid scopes: ${validScopes}`, 'INVALID_PARAMS');
     }
-    
+  }
+
+  _resolveKey(filepath, scope = 'run') {
+    this._assertScope(scope);
+
     if (!filepath || filepath.trim() === '') {
-      throw new Error('Filepath cannot be empty');
+      throw new VFSError('Filepath cannot be empty', 'INVALID_PARAMS');
     }
-    
-    const normalized = filepath.startsWith('/') ? filepath.slice(1) : filepath;
-    const resolved = path.join(this.scopes[scope], normalized);
-    
-    if (!resolved.startsWith(this.scopes[scope])) {
-      throw new Error(`Path traversal detected: ${filepath}`);
+
+    const root = this.scopeKeys[scope];
+    const normalized = filepath.replace(/\\/g, '/').replace(/^\/+/, '');
+    const resolved = path.posix.join(root, normalized).replace(/\/+$/, '');
+
+    if (resolved !== root && !resolved.startsWith(`${root}/`)) {
+      throw new VFSError(`Path traversal detected: ${filepath}`, 'PERMISSION_DENIED');
     }
-    
+
     return resolved;
   }
 
-  async writeFile(filepath, content, scope = 'run', options = {}) {
+  _relativeKey(key, scope) {
+    return key.slice(this.scopeKeys[scope].length + 1);
+  }
+
+  _metaKey(scope, ...parts) {
+    return path.posix.join(this.metaKeys[scope], ...parts);
+  }
+
+  async _readJSON(key, fallback = null) {
     try {
-      const fullPath = this._resolvePath(filepath, scope);
-      const dir = path.dirname(fullPath);
-      
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
+      const raw = await this.backend.readFile(key);
+      return JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return fallback;
+      throw error;
+    }
+  }
 
-      const encoding = options.encoding || 'utf8';
-      
-      if (typeof content === 'object' && !Buffer.isBuffer(content)) {
-        content = JSON.stringify(content, null, 2);
-      }
+  async _writeJSON(key, value) {
+    await this.backend.writeFile(key, Buffer.from(JSON.stringify(value, null, 2), 'utf8'));
+  }
+
+  async _readRange(key, start, end) {
+    if (this.backend.readRange) {
+      return this.backend.readRange(key, start, end);
+    }
+    return (await this.backend.readFile(key)).subarray(start, end);
+  }
+
+  // Creates the key if it does not exist yet.
+  async _appendData(key, data) {
+    if (this.backend.appendFile) {
+      await this.backend.appendFile(key, data);
+      return;
+    }
+    const existing = (await this.backend.stat(key)) ? await this.backend.readFile(key) : Buffer.alloc(0);
+    await this.backend.writeFile(key, Buffer.concat([existing, data]));
+  }
+
+  async *_walk(key, relative = '') {
+    const entries = await this.backend.listFiles(key);
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
 
-      if (options.append && fs.existsSync(fullPath)) {
-        const existing = await fs.promises.readFile(fullPath, encoding);
-        content = existing + content;
+    for (const entry of entries) {
+      const entryKey = path.posix.join(key, entry.name);
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      yield { key: entryKey, relative: entryRelative, entry };
+      if (entry.isDirectory) {
+        yield* this._walk(entryKey, entryRelative);
       }
+    }
+  }
 
-      await fs.promises.writeFile(fullPath, content, encoding);
-      const stat = await fs.promises.stat(fullPath);
-      
-      const event = {
-        path: filepath,
-        scope,
-        fullPath,
-        size: stat.size,
-        timestamp: nowISO()
-      };
+  // Serializes mutations of one key within this process so a conditional
+  // write's check and write cannot interleave with another local write.
+  async _withPathLock(key, fn) {
+    const previous = this._pathQueues.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+    this._pathQueues.set(key, tail);
 
-      this.emit('file:write', event);
-      this._log('File written', event);
+    try {
+      return await run;
+    } finally {
+      if (this._pathQueues.get(key) === tail) this._pathQueues.delete(key);
+    }
+  }
 
-      return {
-        success: true,
-        path: filepath,
-        scope,
-        size: stat.size,
-        fullPath
-      };
+  // The in-process queue above only orders writers sharing this TaskVFS; the
+  // task and global scopes are shared with other processes too. Content
+  // writes and deletes there also hold a short lease on the path, so a
+  // precondition check and the write it guards never interleave with
+  // another writer anywhere. A run's own scope has no other writer, so the
+  // queue is enough.
+  async _withWriteLease(scope, key, fn) {
+    if (scope === 'run') return this._withPathLock(key, fn);
+    const relative = this._relativeKey(key, scope);
+    return this._withPathLock(key, () => this.writeLeases.hold(scope, relative, fn, {
+      ttlMs: WRITE_LEASE_TTL_MS,
+      waitMs: WRITE_LEASE_WAIT_MS
+    }));
+  }
+
+  _etag(data) {
+    return `"${ContentStore.hash(data)}"`;
+  }
+
+  // Writes record the etag along with the size and modification time they
+  // left the file with; while those still match, the file is unchanged and
+  // the recorded etag is used without reading the content back. Otherwise
+  // `weak` gives a weak etag from the size and modification time instead of
+  // hashing the file. Weak etags never satisfy ifMatch.
+  async _currentEtag(scope, key, stat, attrs = null, weak = false) {
+    attrs = attrs || (await this.attributes.get(scope, this._relativeKey(key, scope)));
+    if (attrs.etag && attrs.size === stat.size && sameTime(attrs.modified, stat.modified)) {
+      return attrs.etag;
+    }
+    if (weak) {
+      return `W/"${stat.size.toString(16)}-${new Date(stat.modified).getTime().toString(16)}"`;
+    }
+    return this._etag(await this.backend.readFile(key));
+  }
+
+  // ifMatch takes an etag returned by readFile, fileStat or writeFile.
+  async _checkPrecondition(filepath, scope, key, stat, options) {
+    if (options.lockToken) {
+      await this.locks.assertHeld(scope, this._relativeKey(key, scope), options.lockToken);
+    }
+
+    if (options.ifMatch === undefined || options.ifMatch === null) return;
+
+    const currentEtag = stat && stat.isFile ? await this._currentEtag(scope, key, stat) : null;
+    if (currentEtag === null || options.ifMatch !== currentEtag) {
+      throw new VFSConflictError(
+        `Precondition failed for ${filepath} in ${scope} scope: ${currentEtag ? 'file has changed' : 'file does not exist'}`,
+        { scope, path: filepath, expected: options.ifMatch, etag: currentEtag }
+      );
+    }
+  }
+
+  async writeFile(filepath, content, scope = 'run', options = {}) {
+    try {
+      const key = this._resolveKey(filepath, scope);
+      return await this._withWriteLease(scope, key, () => this._writeFile(filepath, key, content, scope, options));
     } catch (error) {
       this._log('Write error', { filepath, scope, error: error.message });
-      throw new Error(`Failed to write file ${filepath}: ${error.message}`);
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to write file ${filepath}`, error);
     }
   }
 
+  async _writeFile(filepath, key, content, scope, options) {
+    const fullPath = this.backend.locate(key);
+
+    const decoded = toBuffer(content, options.encoding || 'utf8');
+    let data = decoded.data;
+    const expiresAt = this.retention.expiryFor(options);
+
+    const previous = await this.backend.stat(key);
+    await this._checkPrecondition(filepath, scope, key, previous, options);
+
+    const previousSize = previous ? previous.size : 0;
+    const nextSize = options.append ? previousSize + data.length : data.length;
+
+    await this.permissions.assert('write', scope, this._relativeKey(key, scope), { size: nextSize });
+
+    await this.usage.check(scope, { bytes: nextSize - previousSize, files: previous ? 0 : 1 }, filepath);
+
+    const versioned = this.versions.enabled(scope);
+    if (versioned && previous) {
+      await this.versions.seed(scope, this._relativeKey(key, scope), key, previous);
+    }
+
+    // Appends go straight to the backend unless the scope is versioned, where
+    // the full new content is needed for the version entry anyway.
+    const appending = options.append && previous;
+    if (appending && versioned) {
+      const existing = await this.backend.readFile(key);
+      data = Buffer.concat([existing, data]);
+      await this.backend.writeFile(key, data);
+    } else if (appending) {
+      await this._appendData(key, data);
+    } else {
+      await this.backend.writeFile(key, data);
+    }
+
+    const size = appending && !versioned ? previousSize + data.length : data.length;
+    // Hashing an appended file would mean reading all of it back, so a plain
+    // append drops the recorded etag and the next stat hashes the file.
+    const etag = !appending || versioned ? this._etag(data) : null;
+    const attrs = await this._recordAttributes(scope, key, data, {
+      contentType: options.contentType || decoded.contentType,
+      expiresAt,
+      appending,
+      etag,
+      written: etag ? await this.backend.stat(key) : null
+    });
+
+    await this.usage.record(scope, { bytes: size - previousSize, files: previous ? 0 : 1 });
+
+    const version = versioned
+      ? await this.versions.record(scope, this._relativeKey(key, scope), data, { revertedFrom: options.revertedFrom })
+      : null;
+
+    const event = {
+      path: filepath,
+      scope,
+      fullPath,
+      size,
+      timestamp: nowISO()
+    };
+
+    this.emit('file:write', event);
+    this._log('File written', event);
+
+    const result = {
+      success: true,
+      path: filepath,
+      scope,
+      size,
+      contentType: attrs.contentType,
+      fullPath
+    };
+    if (attrs.expiresAt) result.expiresAt = attrs.expiresAt;
+    if (etag) result.etag = etag;
+    if (version) result.version = version.version;
+
+    return result;
+  }
+
+  // An explicit content type always wins; otherwise it is detected from the
+  // written bytes, except on appends to a file whose type is already known.
+  // An expiry set by an earlier write stays until a write sets a new one.
+  async _recordAttributes(scope, key, data, { contentType: explicit, expiresAt, appending, etag = null, written = null }) {
+    const relative = this._relativeKey(key, scope);
+    const attrs = await this.attributes.get(scope, relative);
+    const changes = {};
+
+    const contentType = !explicit && appending && attrs.contentType
+      ? attrs.contentType
+      : explicit || detectContentType(relative, data);
+    if (attrs.contentType !== contentType) changes.contentType = contentType;
+    if (expiresAt && attrs.expiresAt !== expiresAt) changes.expiresAt = expiresAt;
+    if (etag && written) {
+      Object.assign(changes, { etag, size: written.size, modified: new Date(written.modified).toISOString() });
+    } else if (attrs.etag) {
+      Object.assign(changes, { etag: null, size: null, modified: null });
+    }
+
+    if (Object.keys(changes).length === 0) return attrs;
+    return this.attributes.set(scope, relative, changes);
+  }
+
+  // For content written in pieces, once the last piece is in place.
+  async _recordEtag(scope, key, etag) {
+    const written = await this.backend.stat(key);
+    await this.attributes.set(scope, this._relativeKey(key, scope), {
+      etag,
+      size: written.size,
+      modified: new Date(written.modified).toISOString()
+    });
+  }
+
+  async _contentType(scope, key, data) {
+    const relative = this._relativeKey(key, scope);
+    const attrs = await this.attributes.get(scope, relative);
+    return attrs.contentType || detectContentType(relative, data);
+  }
+
+  async appendFile(filepath, content, scope = 'run', options = {}) {
+    return this.writeFile(filepath, content, scope, { ...options, append: true });
+  }
+
   async readFile(filepath, scope = 'run', options = {}) {
     const searchScopes = scope === 'auto' ? ['run', 'task', 'global'] : [scope];
     const errors = [];
-    
+    const wantVersion = options.version !== undefined && options.version !== null;
+    const given = value => value !== undefined && value !== null;
+    const lines = given(options.startLine) || given(options.endLine);
+    const ranged = lines || given(options.offset) || given(options.length);
+
+    if (ranged && wantVersion) {
+      throw new VFSError(`Failed to read file ${filepath}: ranged reads of past versions are not supported`, 'INVALID_PARAMS');
+    }
+
     for (const s of searchScopes) {
       try {
-        const fullPath = this._resolvePath(filepath, s);
-        
-        if (!fs.existsSync(fullPath)) {
-          errors.push(`Not found in ${s} scope`);
+        const key = this._resolveKey(filepath, s);
+        const fullPath = this.backend.locate(key);
+        const relative = this._relativeKey(key, s);
+        let data;
+        let modified;
+        let version = null;
+        let extra = null;
+
+        // `auto` only searches the scopes the task may read.
+        if (scope === 'auto' && !this.permissions.allows('read', s, relative)) {
+          errors.push(`Not readable in ${s} scope`);
           continue;
         }
 
-        const encoding = options.encoding || 'utf8';
-        const content = await fs.promises.readFile(fullPath, encoding);
-        const stat = await fs.promises.stat(fullPath);
+        if (wantVersion) {
+          const entry = await this.versions.get(s, relative, options.version);
+          if (!entry) {
+            errors.push(`Version ${options.version} not found in ${s} scope`);
+            continue;
+          }
+          await this.permissions.assert('read', s, relative, { size: entry.size });
+          data = await this.objects.get(entry.hash);
+          modified = entry.timestamp;
+          version = entry.version;
+        } else {
+          const stat = await this.backend.stat(key);
+
+          if (!stat || stat.isDirectory) {
+            errors.push(`Not found in ${s} scope`);
+            continue;
+          }
+
+          if (ranged) {
+            await this.permissions.assert('read', s, relative);
+            const slice = lines
+              ? await this.streams.readLines(key, stat.size, options)
+              : await this.streams.readRange(key, stat.size, options);
+            data = slice.data;
+            await this.permissions.assert('read', s, relative, { size: data.length });
+            extra = { totalSize: stat.size, ...(slice.range ? { range: slice.range } : { lines: slice.lines }) };
+          } else {
+            await this.permissions.assert('read', s, relative, { size: stat.size });
+            data = await this.backend.readFile(key);
+          }
+          modified = stat.modified;
+          if (this.versions.enabled(s)) {
+            const current = await this.versions.current(s, relative);
+            version = current ? current.version : null;
+          }
+        }
+
+        if (lines && data[data.length - 1] === 0x0a) {
+          data = data.subarray(0, data[data.length - 2] === 0x0d ? -2 : -1);
+        }
+
+        const contentType = await this._contentType(s, key, data);
+        const { content, encoding } = encodeContent(data, contentType, options.as, options.encoding || 'utf8');
 
         const event = {
           path: filepath,
           scope: s,
           fullPath,
-          size: stat.size,
+          size: data.length,
           timestamp: nowISO()
         };
 
         this.emit('file:read', event);
         this._log('File read', event);
 
-        return {
+        const result = {
           success: true,
           content,
+          encoding,
+          contentType,
           path: filepath,
           scope: s,
-          size: stat.size,
-          modified: stat.mtime,
+          size: data.length,
+          modified,
           fullPath
         };
+        if (extra) {
+          Object.assign(result, extra);
+        } else {
+          result.etag = this._etag(data);
+        }
+        if (version !== null) result.version = version;
+
+        return result;
       } catch (e) {
+        // A readable path that is over maxReadBytes is still a denial.
+        if (e instanceof VFSPermissionError) throw e;
         errors.push(`${s}: ${e.message}`);
         if (scope !== 'auto') {
-          throw new Error(`Failed to read file ${filepath}: ${e.message}`);
+          if (e instanceof VFSError) throw e;
+          throw wrapError(`Failed to read file ${filepath}`, e);
         }
       }
     }
 
-    throw new Error(`File not found: ${filepath}. Searched: ${errors.join(', ')}`);
+    throw new VFSError(`File not found: ${filepath}. Searched: ${errors.join(', ')}`, 'NOT_FOUND');
   }
 
-  async listFiles(dirpath = '/', scope = 'run', options = {}) {
+  // A Readable of bytes [start, end) of a file, read from the backend a chunk
+  // at a time so large files are never held in memory. For the HTTP server;
+  // task code reads through readFile.
+  async createReadStream(filepath, scope = 'run', options = {}) {
     try {
-      const fullPath = this._resolvePath(dirpath, scope);
-      
-      if (!fs.existsSync(fullPath)) {
-        return { 
-          path: dirpath,
-          scope,
-          files: [], 
-          directories: [],
-          total: 0
-        };
+      const key = this._resolveKey(filepath, scope);
+      const relative = this._relativeKey(key, scope);
+      const stat = await this.backend.stat(key);
+      if (!stat || stat.isDirectory) {
+        throw new VFSError(`File not found: ${filepath}`, 'NOT_FOUND');
       }
 
-      const entries = await fs.promises.readdir(fullPath, { withFileTypes: true });
+      const start = Math.min(options.start || 0, stat.size);
+      const end = Math.max(start, Math.min(options.end === undefined ? stat.size : options.end, stat.size));
+      await this.permissions.assert('read', scope, relative, { size: end - start });
+
+      const event = {
+        path: filepath,
+        scope,
+        fullPath: this.backend.locate(key),
+        size: end - start,
+        timestamp: nowISO()
+      };
+      this.emit('file:read', event);
+      this._log('File read', event);
+
+      return Readable.from(this.streams.chunks(key, start, end));
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to read file ${filepath}`, error);
+    }
+  }
+
+  async listFiles(dirpath = '/', scope = 'run', options = {}) {
+    try {
+      const key = this._resolveKey(dirpath, scope);
+      const dirRelative = key === this.scopeKeys[scope] ? '' : this._relativeKey(key, scope);
+      await this.permissions.assertVisible(scope, dirRelative);
       const files = [];
       const directories = [];
 
-      for (const entry of entries) {
-        const entryPath = path.join(dirpath, entry.name);
-        const entryFullPath = path.join(fullPath, entry.name);
-        const stat = await fs.promises.stat(entryFullPath);
+      // Recursive listings reuse the sizes and times each directory listing
+      // already carries instead of stat-ing every entry.
+      const entries = [];
+      if (options.recursive) {
+        for await (const item of this._walk(key)) entries.push(item);
+      } else {
+        for (const entry of await this.backend.listFiles(key)) {
+          entries.push({ key: path.posix.join(key, entry.name), relative: entry.name, entry });
+        }
+      }
+
+      for (const { key: entryKey, relative, entry } of entries) {
+        const entryPath = path.posix.join(dirpath, relative);
+        const entryRelative = this._relativeKey(entryKey, scope);
+        if (entry.isDirectory ? !this.permissions.visible(scope, entryRelative) : !this.permissions.allows('read', scope, entryRelative)) {
+          continue;
+        }
 
         const item = {
           name: entry.name,
           path: entryPath,
           scope,
-          size: stat.size,
-          modified: stat.mtime,
-          created: stat.birthtime,
-          fullPath: entryFullPath
+          size: entry.size,
+          modified: entry.modified,
+          created: entry.created,
+          fullPath: this.backend.locate(entryKey)
         };
 
-        if (entry.isDirectory()) {
+        if (entry.isDirectory) {
           directories.push(item);
         } else {
           item.extension = path.extname(entry.name);
@@ -202,109 +576,196 @@ class TaskVFS extends EventEmitter {
 
       this._log('Listed files', { dirpath, scope, fileCount: files.length, dirCount: directories.length });
 
-      return { 
+      return {
         path: dirpath,
         scope,
-        files, 
+        files,
         directories,
         total: files.length + directories.length
       };
     } catch (error) {
-      throw new Error(`Failed to list files in ${dirpath}: ${error.message}`);
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to list files in ${dirpath}`, error);
     }
   }
 
-  async deleteFile(filepath, scope = 'run') {
+  async glob(pattern, options = {}) {
     try {
-      const fullPath = this._resolvePath(filepath, scope);
-      
-      if (!fs.existsSync(fullPath)) {
-        throw new Error(`File not found: ${filepath}`);
+      if (!pattern || pattern.trim() === '') {
+        throw new VFSError('Pattern cannot be empty', 'INVALID_PARAMS');
       }
+      return { success: true, ...(await this.search.glob(pattern, options)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to glob ${pattern}`, error);
+    }
+  }
 
-      const stat = await fs.promises.stat(fullPath);
-      
-      if (stat.isDirectory()) {
-        await fs.promises.rm(fullPath, { recursive: true, force: true });
-      } else {
-        await fs.promises.unlink(fullPath);
+  async grep(query, options = {}) {
+    try {
+      if (!query) {
+        throw new VFSError('Query cannot be empty', 'INVALID_PARAMS');
       }
+      return { success: true, ...(await this.search.grep(query, options)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to search for ${query}`, error);
+    }
+  }
 
-      const event = {
-        path: filepath,
-        scope,
-        fullPath,
-        timestamp: nowISO()
-      };
+  async deleteFile(filepath, scope = 'run', options = {}) {
+    try {
+      const key = this._resolveKey(filepath, scope);
+      return await this._withWriteLease(scope, key, async () => {
+        const fullPath = this.backend.locate(key);
+        const stat = await this.backend.stat(key);
 
-      this.emit('file:delete', event);
-      this._log('File deleted', event);
+        if (!stat) {
+          throw new VFSError(`File not found: ${filepath}`, 'NOT_FOUND');
+        }
+
+        await this.permissions.assert('write', scope, this._relativeKey(key, scope));
+        await this._checkPrecondition(filepath, scope, key, stat, options);
+
+        const freed = await this.usage.measure(key);
+        await this.backend.deleteFile(key);
+        await this.usage.record(scope, { bytes: -freed.bytes, files: -freed.files });
+
+        const relative = this._relativeKey(key, scope);
+        if (stat.isDirectory) {
+          await this.attributes.removeTree(scope, relative);
+        } else {
+          await this.attributes.remove(scope, relative);
+        }
 
-      return { success: true, path: filepath, scope };
+        const event = {
+          path: filepath,
+          scope,
+          fullPath,
+          timestamp: nowISO()
+        };
+
+        this.emit('file:delete', event);
+        this._log('File deleted', event);
+
+        return { success: true, path: filepath, scope };
+      });
     } catch (error) {
-      throw new Error(`Failed to delete ${filepath}: ${error.message}`);
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to delete ${filepath}`, error);
     }
   }
 
   async exists(filepath, scope = 'run') {
     try {
-      const fullPath = this._resolvePath(filepath, scope);
-      return fs.existsSync(fullPath);
+      const key = this._resolveKey(filepath, scope);
+      if (!this.permissions.visible(scope, this._relativeKey(key, scope))) return false;
+      return !!(await this.backend.stat(key));
     } catch {
       return false;
     }
   }
 
-  async stat(filepath, scope = 'run') {
+  // { weakEtag: true } never reads the file to compute its etag (see
+  // _currentEtag); the HTTP server uses it so HEAD and Range requests stay cheap.
+  async stat(filepath, scope = 'run', options = {}) {
     try {
-      const fullPath = this._resolvePath(filepath, scope);
-      
-      if (!fs.existsSync(fullPath)) {
-        throw new Error(`File not found: ${filepath}`);
+      const key = this._resolveKey(filepath, scope);
+      const relative = this._relativeKey(key, scope);
+      await this.permissions.assertVisible(scope, relative);
+
+      if (options.version !== undefined && options.version !== null) {
+        const entry = await this.versions.get(scope, relative, options.version);
+        if (!entry) {
+          throw new VFSError(`Version ${options.version} not found`, 'NOT_FOUND');
+        }
+
+        return {
+          path: filepath,
+          scope,
+          size: entry.size,
+          modified: entry.timestamp,
+          version: entry.version,
+          runId: entry.runId,
+          hash: entry.hash,
+          contentType: await this._contentType(scope, key, await this.objects.get(entry.hash)),
+          isDirectory: false,
+          isFile: true,
+          fullPath: this.backend.locate(key)
+        };
       }
 
-      const stat = await fs.promises.stat(fullPath);
-      
-      return {
+      const stat = await this.backend.stat(key);
+
+      if (!stat) {
+        throw new VFSError(`File not found: ${filepath}`, 'NOT_FOUND');
+      }
+
+      const result = {
         path: filepath,
         scope,
         size: stat.size,
-        modified: stat.mtime,
-        created: stat.birthtime,
-        accessed: stat.atime,
-        isDirectory: stat.isDirectory(),
-        isFile: stat.isFile(),
-        fullPath
+        modified: stat.modified,
+        created: stat.created,
+        accessed: stat.accessed,
+        isDirectory: stat.isDirectory,
+        isFile: stat.isFile,
+        fullPath: this.backend.locate(key)
       };
+
+      if (stat.isFile) {
+        const attrs = await this.attributes.get(scope, relative);
+        result.etag = await this._currentEtag(scope, key, stat, attrs, !!options.weakEtag);
+        result.contentType = attrs.contentType || detectContentType(relative, await this._readRange(key, 0, CONTENT_SNIFF_BYTES));
+        if (attrs.expiresAt) result.expiresAt = attrs.expiresAt;
+      }
+
+      if (stat.isFile && this.versions.enabled(scope)) {
+        const versions = await this.versions.list(scope, relative);
+        result.version = versions.length > 0 ? versions[0].version : null;
+        result.versions = versions.length;
+      }
+
+      return result;
     } catch (error) {
-      throw new Error(`Failed to stat ${filepath}: ${error.message}`);
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to stat ${filepath}`, error);
     }
   }
 
   async mkdir(dirpath, scope = 'run') {
     try {
-      const fullPath = this._resolvePath(dirpath, scope);
-      await fs.promises.mkdir(fullPath, { recursive: true });
-      
+      const key = this._resolveKey(dirpath, scope);
+      const fullPath = this.backend.locate(key);
+      await this.permissions.assert('write', scope, this._relativeKey(key, scope));
+
+      if (!(await this.backend.stat(key))) {
+        await this.usage.checkFull(scope, dirpath);
+      }
+
+      await this.backend.mkdir(key);
+
       this._log('Directory created', { dirpath, scope, fullPath });
-      
+
       return { success: true, path: dirpath, scope, fullPath };
     } catch (error) {
-      throw new Error(`Failed to create directory ${dirpath}: ${error.message}`);
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to create directory ${dirpath}`, error);
     }
   }
 
-  watch(filepath, scope = 'run', callback) {
+  async watch(filepath, scope = 'run', callback) {
     try {
-      const fullPath = this._resolvePath(filepath, scope);
-      
-      if (!fs.existsSync(fullPath)) {
-        throw new Error(`Cannot watch non-existent path: ${filepath}`);
+      const key = this._resolveKey(filepath, scope);
+      await this.permissions.assertVisible(scope, this._relativeKey(key, scope));
+
+      if (!(await this.backend.stat(key))) {
+        throw new VFSError(`Cannot watch non-existent path: ${filepath}`, 'NOT_FOUND');
       }
 
-      this._log('Watching file', { filepath, scope, fullPath });
+      this._log('Watching file', { filepath, scope, key });
 
-      const watcher = fs.watch(fullPath, { recursive: false }, (eventType, filename) => {
+      const watcher = this.backend.watch(key, { recursive: false }, (eventType, filename) => {
         const event = {
           event: eventType,
           filename,
@@ -323,83 +784,414 @@ class TaskVFS extends EventEmitter {
         }
       };
     } catch (error) {
-      throw new Error(`Failed to watch ${filepath}: ${error.message}`);
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to watch ${filepath}`, error);
+    }
+  }
+
+  async subscribe(filepath, scope = 'run', options = {}) {
+    try {
+      return { success: true, ...(await this.watches.subscribe(scope, filepath, options)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to watch ${filepath}`, error);
     }
   }
 
-  getVFSTree() {
+  async pollSubscription(subscriptionId, options = {}) {
+    try {
+      return { success: true, ...(await this.watches.poll(subscriptionId, options)) };
+    } catch (error) {
+      throw wrapError(`Failed to poll subscription ${subscriptionId}`, error);
+    }
+  }
+
+  async unsubscribe(subscriptionId) {
+    try {
+      return { success: true, ...(await this.watches.unsubscribe(subscriptionId)) };
+    } catch (error) {
+      throw wrapError(`Failed to unsubscribe ${subscriptionId}`, error);
+    }
+  }
+
+  async getSubscription(subscriptionId) {
+    try {
+      return { success: true, ...(await this.watches.get(subscriptionId)) };
+    } catch (error) {
+      throw wrapError(`Failed to get subscription ${subscriptionId}`, error);
+    }
+  }
+
+  async listSubscriptions() {
+    try {
+      const subscriptions = await this.watches.list();
+      return { success: true, subscriptions, total: subscriptions.length };
+    } catch (error) {
+      throw wrapError(`Failed to list subscriptions`, error);
+    }
+  }
+
+  async queryJournal(options = {}) {
+    try {
+      return { success: true, ...(await this.journal.query(options)) };
+    } catch (error) {
+      throw wrapError(`Failed to query journal`, error);
+    }
+  }
+
+  async listVersions(filepath, scope = 'run') {
+    try {
+      const key = this._resolveKey(filepath, scope);
+
+      if (!this.versions.enabled(scope)) {
+        throw new VFSError(`Versioning is not enabled for ${scope} scope`, 'FAILED_PRECONDITION');
+      }
+
+      await this.permissions.assert('read', scope, this._relativeKey(key, scope));
+      const versions = await this.versions.list(scope, this._relativeKey(key, scope));
+      return { success: true, path: filepath, scope, versions, total: versions.length };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to list versions of ${filepath}`, error);
+    }
+  }
+
+  async revertFile(filepath, version, scope = 'run') {
+    try {
+      const key = this._resolveKey(filepath, scope);
+
+      if (!this.versions.enabled(scope)) {
+        throw new VFSError(`Versioning is not enabled for ${scope} scope`, 'FAILED_PRECONDITION');
+      }
+
+      const { data } = await this.versions.read(scope, this._relativeKey(key, scope), version);
+      const result = await this.writeFile(filepath, data, scope, { revertedFrom: Number(version) });
+      return { ...result, revertedFrom: Number(version) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to revert ${filepath} to version ${version}`, error);
+    }
+  }
+
+  async acquireLock(filepath, scope = 'run', options = {}) {
+    try {
+      const key = this._resolveKey(filepath, scope);
+      await this.permissions.assert('write', scope, this._relativeKey(key, scope));
+      return { success: true, ...(await this.locks.acquire(scope, this._relativeKey(key, scope), options)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to lock ${filepath}`, error);
+    }
+  }
+
+  async renewLock(filepath, token, scope = 'run', ttlMs) {
+    try {
+      const key = this._resolveKey(filepath, scope);
+      await this.permissions.assert('write', scope, this._relativeKey(key, scope));
+      return { success: true, ...(await this.locks.renew(scope, this._relativeKey(key, scope), token, ttlMs)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to renew lock on ${filepath}`, error);
+    }
+  }
+
+  async releaseLock(filepath, token, scope = 'run') {
+    try {
+      const key = this._resolveKey(filepath, scope);
+      await this.permissions.assert('write', scope, this._relativeKey(key, scope));
+      return { success: true, ...(await this.locks.release(scope, this._relativeKey(key, scope), token)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to release lock on ${filepath}`, error);
+    }
+  }
+
+  async getLock(filepath, scope = 'run') {
+    try {
+      const key = this._resolveKey(filepath, scope);
+      await this.permissions.assertVisible(scope, this._relativeKey(key, scope));
+      const status = await this.locks.status(scope, this._relativeKey(key, scope));
+      return { success: true, path: filepath, scope, ...status };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to get lock on ${filepath}`, error);
+    }
+  }
+
+  _toBuffer(content, encoding = 'utf8') {
+    return toBuffer(content, encoding).data;
+  }
+
+  async beginTransaction(options = {}) {
+    try {
+      return { success: true, ...(await this.transactions.begin(options)) };
+    } catch (error) {
+      throw wrapError(`Failed to begin transaction`, error);
+    }
+  }
+
+  async stageWrite(txId, filepath, content, scope = 'run', options = {}) {
+    try {
+      const data = this._toBuffer(content, options.encoding);
+      return { success: true, ...(await this.transactions.stageWrite(txId, filepath, data, scope)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to stage write of ${filepath}`, error);
+    }
+  }
+
+  async stageDelete(txId, filepath, scope = 'run') {
+    try {
+      return { success: true, ...(await this.transactions.stageDelete(txId, filepath, scope)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to stage delete of ${filepath}`, error);
+    }
+  }
+
+  async commitTransaction(txId) {
+    try {
+      return { success: true, ...(await this.transactions.commit(txId)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to commit transaction ${txId}`, error);
+    }
+  }
+
+  async abortTransaction(txId) {
+    try {
+      return { success: true, ...(await this.transactions.abort(txId)) };
+    } catch (error) {
+      throw wrapError(`Failed to abort transaction ${txId}`, error);
+    }
+  }
+
+  async getTransaction(txId) {
+    try {
+      return { success: true, ...(await this.transactions.get(txId)) };
+    } catch (error) {
+      throw wrapError(`Failed to get transaction ${txId}`, error);
+    }
+  }
+
+  async recoverTransactions() {
+    try {
+      const recovered = await this.transactions.recover();
+      return { success: true, recovered };
+    } catch (error) {
+      throw wrapError(`Failed to recover transactions`, error);
+    }
+  }
+
+  async openWriteStream(filepath, scope = 'run', options = {}) {
+    try {
+      return { success: true, ...(await this.streams.open(scope, filepath, options)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to open write stream for ${filepath}`, error);
+    }
+  }
+
+  async writeStreamChunk(streamId, content, options = {}) {
+    try {
+      const data = this._toBuffer(content, options.encoding);
+      return { success: true, ...(await this.streams.write(streamId, data, options.offset)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to write to stream ${streamId}`, error);
+    }
+  }
+
+  async closeWriteStream(streamId) {
+    try {
+      return await this.streams.close(streamId);
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to close write stream ${streamId}`, error);
+    }
+  }
+
+  async abortWriteStream(streamId) {
+    try {
+      return { success: true, ...(await this.streams.abort(streamId)) };
+    } catch (error) {
+      throw wrapError(`Failed to abort write stream ${streamId}`, error);
+    }
+  }
+
+  async getWriteStream(streamId) {
+    try {
+      return { success: true, ...(await this.streams.get(streamId)) };
+    } catch (error) {
+      throw wrapError(`Failed to get write stream ${streamId}`, error);
+    }
+  }
+
+  async listWriteStreams() {
+    try {
+      const streams = await this.streams.list();
+      return { success: true, streams, total: streams.length };
+    } catch (error) {
+      throw wrapError(`Failed to list write streams`, error);
+    }
+  }
+
+  async gc(options = {}) {
+    try {
+      return { success: true, ...(await this.retention.gc(options)) };
+    } catch (error) {
+      throw wrapError(`Failed to collect garbage`, error);
+    }
+  }
+
+  async listRuns(options = {}) {
+    try {
+      const runs = await this.retention.listRuns(options);
+      return { success: true, runs, total: runs.length };
+    } catch (error) {
+      throw wrapError(`Failed to list runs`, error);
+    }
+  }
+
+  // Executors record where the run stands: 'running', 'suspended',
+  // 'completed' or 'failed'. gc keeps suspended runs.
+  async setRunStatus(status) {
+    try {
+      return { success: true, ...(await this.retention.setStatus(status)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to set the status of run ${this.runId}`, error);
+    }
+  }
+
+  async pinRun(runId = this.runId, options = {}) {
+    try {
+      return { success: true, ...(await this.retention.pin(runId, options)) };
+    } catch (error) {
+      throw wrapError(`Failed to pin run ${runId}`, error);
+    }
+  }
+
+  async unpinRun(runId = this.runId, options = {}) {
+    try {
+      return { success: true, ...(await this.retention.unpin(runId, options)) };
+    } catch (error) {
+      throw wrapError(`Failed to unpin run ${runId}`, error);
+    }
+  }
+
+  async getVFSTree() {
     const tree = {};
-    
-    for (const [scopeName, scopePath] of Object.entries(this.scopes)) {
+
+    for (const [scopeName, key] of Object.entries(this.scopeKeys)) {
+      const usage = await this.usage.getUsage(scopeName);
       tree[scopeName] = {
-        path: scopePath,
-        exists: fs.existsSync(scopePath),
-        size: this._getDirectorySize(scopePath)
+        path: this.scopes[scopeName],
+        exists: !!(await this.backend.stat(key)),
+        size: usage.bytes,
+        files: usage.files,
+        quota: this.usage.getQuota(scopeName)
       };
     }
 
     return tree;
   }
 
-  _getDirectorySize(dirPath) {
-    if (!fs.existsSync(dirPath)) return 0;
-    
-    let size = 0;
-    const items = fs.readdirSync(dirPath, { withFileTypes: true });
-    
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item.name);
-      if (item.isDirectory()) {
-        size += this._getDirectorySize(itemPath);
-      } else {
-        const stat = fs.statSync(itemPath);
-        size += stat.size;
-      }
-    }
-    
-    return size;
+  async getUsage(scope = 'run') {
+    this._assertScope(scope);
+    await this.permissions.assertScope('read', scope);
+
+    const usage = await this.usage.getUsage(scope);
+    return { scope, ...usage, quota: this.usage.getQuota(scope) };
   }
 
-  async exportToOSjs(osJsVFSPath) {
+  async recalculateUsage(scope = 'run') {
+    this._assertScope(scope);
+    await this.permissions.assertScope('read', scope);
+    const usage = await this.usage.recalculate(scope);
+    return { scope, ...usage, quota: this.usage.getQuota(scope) };
+  }
+
+  async createSnapshot(name, scope = 'run', options = {}) {
     try {
-      const exportPath = path.join(osJsVFSPath, 'tasks', this.taskId);
-      
-      if (!fs.existsSync(exportPath)) {
-        fs.mkdirSync(exportPath, { recursive: true });
-      }
+      this._assertScope(scope);
+      await this.permissions.assertScope('read', scope);
+      return { success: true, ...(await this.snapshots.create(scope, name, options)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to create snapshot ${name}`, error);
+    }
+  }
 
-      for (const [scopeName, scopePath] of Object.entries(this.scopes)) {
-        const targetPath = path.join(exportPath, scopeName);
-        
-        if (fs.existsSync(scopePath)) {
-          await this._copyDirectory(scopePath, targetPath);
-        }
-      }
+  async listSnapshots(scope = 'run') {
+    try {
+      this._assertScope(scope);
+      await this.permissions.assertScope('read', scope);
+      const snapshots = await this.snapshots.list(scope);
+      return { success: true, scope, snapshots, total: snapshots.length };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to list snapshots`, error);
+    }
+  }
 
-      this._log('Exported to OS.js', { exportPath });
+  async diffSnapshots(from, to = null, scope = 'run') {
+    try {
+      this._assertScope(scope);
+      await this.permissions.assertScope('read', scope);
+      return { success: true, ...(await this.snapshots.diff(scope, from, to)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to diff snapshot ${from}`, error);
+    }
+  }
 
-      return { success: true, exportPath };
+  async restoreSnapshot(name, scope = 'run') {
+    try {
+      this._assertScope(scope);
+      await this.permissions.assertScope('write', scope);
+      return { success: true, ...(await this.snapshots.restore(scope, name)) };
     } catch (error) {
-      throw new Error(`Failed to export to OS.js: ${error.message}`);
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to restore snapshot ${name}`, error);
     }
   }
 
-  async _copyDirectory(src, dest) {
-    if (!fs.existsSync(dest)) {
-      fs.mkdirSync(dest, { recursive: true });
+  async deleteSnapshot(name, scope = 'run') {
+    try {
+      this._assertScope(scope);
+      await this.permissions.assertScope('write', scope);
+      return { success: true, ...(await this.snapshots.delete(scope, name)) };
+    } catch (error) {
+      if (error instanceof VFSError) throw error;
+      throw wrapError(`Failed to delete snapshot ${name}`, error);
     }
+  }
 
-    const entries = await fs.promises.readdir(src, { withFileTypes: true });
+  async exportToOSjs(osJsVFSPath) {
+    try {
+      const exportPath = path.join(osJsVFSPath, 'tasks', this.taskId);
+      await fs.promises.mkdir(exportPath, { recursive: true });
 
-    for (const entry of entries) {
-      const srcPath = path.join(src, entry.name);
-      const destPath = path.join(dest, entry.name);
+      for (const [scopeName, key] of Object.entries(this.scopeKeys)) {
+        const targetPath = path.join(exportPath, scopeName);
+        await fs.promises.mkdir(targetPath, { recursive: true });
 
-      if (entry.isDirectory()) {
-        await this._copyDirectory(srcPath, destPath);
-      } else {
-        await fs.promises.copyFile(srcPath, destPath);
+        for await (const { key: entryKey, relative, entry } of this._walk(key)) {
+          const destPath = path.join(targetPath, relative);
+          if (entry.isDirectory) {
+            await fs.promises.mkdir(destPath, { recursive: true });
+          } else {
+            await fs.promises.writeFile(destPath, await this.backend.readFile(entryKey));
+          }
+        }
       }
+
+      this._log('Exported to OS.js', { exportPath });
+
+      return { success: true, exportPath };
+    } catch (error) {
+      throw wrapError(`Failed to export to OS.js`, error);
     }
   }
 }
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+const { cassette, Cassette, REDACTED } = require('../taskcode/cassette.js');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'fixture.json');
+}
+
+// A gapi provider when `live`, otherwise the same service with no handlers,
+// as a replay runs without credentials.
+async function createTools(middleware, live = true) {
+  const registry = new ToolRegistry();
+  const calls = [];
+  if (live) {
+    registry.register('gapi', {
+      methods: [{
+        path: 'users.list',
+        handler: async params => {
+          calls.push(params);
+          return { success: true, users: [`${params.domain}-user`], token: 'secret-token' };
+        }
+      }]
+    });
+  }
+  const tools = new HostTools('/eco', 'task', 'run', { backend: new MemoryBackend(), registry, middleware: [middleware] });
+  await tools.vfs.ready;
+  return { tools, calls };
+}
+
+test('auto records on the first run and replays after', async t => {
+  const file = tempFile(t);
+
+  const recorder = cassette(file);
+  const live = await createTools(recorder);
+  const recorded = await live.tools.call('gapi', 'users.list', { domain: 'a.com' });
+  assert.deepEqual(recorded.users, ['a.com-user']);
+  await live.tools.tools.writeFile({ path: 'local.txt', content: 'x' });
+  assert.equal(live.calls.length, 1);
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.version, 1);
+  assert.equal(saved.interactions.length, 1);
+  assert.equal(saved.interactions[0].method, 'users.list');
+  assert.equal(saved.interactions[0].result.token, REDACTED);
+
+  const player = cassette(file);
+  const offline = await createTools(player, false);
+  const replayed = await offline.tools.call('gapi', 'users.list', { domain: 'a.com' });
+  assert.deepEqual(replayed.users, ['a.com-user']);
+  assert.deepEqual(player.cassette.unused(), []);
+});
+
+test('strict replay fails on a call the cassette does not hold', async t => {
+  const file = tempFile(t);
+  const live = await createTools(cassette(file, { mode: 'record' }));
+  await live.tools.call('gapi', 'users.list', { domain: 'a.com' });
+
+  const offline = await createTools(cassette(file, { mode: 'replay' }), false);
+  const result = await offline.tools.call('gapi', 'users.list', { domain: 'b.com' });
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'FAILED_PRECONDITION');
+  assert.match(result.error, /the next recorded call is gapi\.users\.list/);
+  assert.equal(result.cassette.match, 'strict');
+});
+
+test('lenient replay takes any call to the same method', async t => {
+  const file = tempFile(t);
+  const live = await createTools(cassette(file, { mode: 'record' }));
+  await live.tools.call('gapi', 'users.list', { domain: 'a.com' });
+  await live.tools.call('gapi', 'users.list', { domain: 'b.com' });
+
+  const offline = await createTools(cassette(file, { mode: 'replay', match: 'lenient' }), false);
+  assert.deepEqual((await offline.tools.call('gapi', 'users.list', { domain: 'b.com' })).users, ['b.com-user']);
+  assert.deepEqual((await offline.tools.call('gapi', 'users.list', { domain: 'c.com' })).users, ['a.com-user']);
+  // Reuses the last match once every interaction was used.
+  assert.deepEqual((await offline.tools.call('gapi', 'users.list', { domain: 'd.com' })).users, ['b.com-user']);
+});
+
+test('replayed calls are still checked against the allow-list', async t => {
+  const file = tempFile(t);
+  const live = await createTools(cassette(file, { mode: 'record' }));
+  await live.tools.call('gapi', 'users.list', { domain: 'a.com' });
+
+  const offline = await createTools(cassette(file, { mode: 'replay' }), false);
+  offline.tools.allow = ['vfs'];
+  const result = await offline.tools.call('gapi', 'users.list', { domain: 'a.com' });
+  assert.equal(result.code, 'TOOL_NOT_ALLOWED');
+});
+
+test('secrets are redacted by key and by value', () => {
+  const tape = new Cassette('unused.json', { redact: [/^x-/], redactValues: ['hunter2'] });
+  const redacted = tape.redact({ password: 'p', 'x-api': 'k', nested: { note: 'pass is hunter2' }, list: [{ refresh_token: 'r' }] });
+  assert.deepEqual(redacted, {
+    password: REDACTED,
+    'x-api': REDACTED,
+    nested: { note: `pass is ${REDACTED}` },
+    list: [{ refresh_token: REDACTED }]
+  });
+
+  assert.throws(() => new Cassette('a.json', { mode: 'play' }), /Invalid cassette mode/);
+  assert.throws(() => new Cassette('a.json', { match: 'loose' }), /Invalid cassette match/);
+  assert.throws(() => new Cassette(), /requires a file path/);
+});
+
+test('a missing or malformed cassette fails in replay mode', async t => {
+  const file = tempFile(t);
+  await assert.rejects(new Cassette(file, { mode: 'replay' }).load(), /Failed to read cassette/);
+
+  fs.writeFileSync(file, JSON.stringify({ version: 99, interactions: [] }));
+  await assert.rejects(new Cassette(file, { mode: 'replay' }).load(), /expected version 1/);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createTools(registry = new ToolRegistry(), options = {}) {
+  const tools = new HostTools('/eco', 'task', 'run', { backend: new MemoryBackend(), registry, ...options });
+  await tools.vfs.ready;
+  return tools;
+}
+
+test('results come back in call order with per-item failures', async () => {
+  const tools = await createTools();
+  await tools.tools.writeFile({ path: 'a.txt', content: 'A' });
+
+  const result = await tools.call('host', 'batch', {
+    calls: [
+      { method: 'readFile', params: { path: 'a.txt' } },
+      { method: 'readFile', params: { path: 'missing.txt' } },
+      { service: 'vfs', method: ['writeFile'], params: { path: 'b.txt', content: 'B' } }
+    ]
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.total, 3);
+  assert.equal(result.succeeded, 2);
+  assert.equal(result.failed, 1);
+  assert.equal(result.results[0].content, 'A');
+  assert.equal(result.results[1].code, 'NOT_FOUND');
+  assert.equal(result.results[2].success, true);
+  assert.equal((await tools.vfs.readFile('b.txt', 'run')).content, 'B');
+});
+
+test('concurrency bounds the calls in flight', async () => {
+  const registry = new ToolRegistry();
+  let active = 0;
+  let peak = 0;
+  registry.register('slow', {
+    methods: [{
+      path: 'wait',
+      handler: async params => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { success: true, n: params.n };
+      }
+    }]
+  });
+
+  const tools = await createTools(registry);
+  const calls = Array.from({ length: 6 }, (_, n) => ({ service: 'slow', method: 'wait', params: { n } }));
+  const result = await tools.call('host', 'batch', { calls, concurrency: 2 });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(result.results.map(item => item.n), [0, 1, 2, 3, 4, 5]);
+});
+
+test('stopOnError skips the remaining calls', async () => {
+  const tools = await createTools();
+  const result = await tools.call('host', 'batch', {
+    concurrency: 1,
+    stopOnError: true,
+    calls: [
+      { method: 'writeFile', params: { path: 'a.txt', content: 'A' } },
+      { method: 'readFile', params: { path: 'missing.txt' } },
+      { method: 'writeFile', params: { path: 'c.txt', content: 'C' } }
+    ]
+  });
+
+  assert.equal(result.results[1].code, 'NOT_FOUND');
+  assert.equal(result.results[2].code, 'CANCELLED');
+  assert.equal(await tools.vfs.exists('c.txt', 'run'), false);
+});
+
+test('items are checked like single calls and cannot nest', async () => {
+  const registry = new ToolRegistry();
+  registry.setAllowList('task', ['vfs', 'host']);
+  registry.register('other', { methods: [{ path: 'call', handler: async () => ({ success: true }) }] });
+
+  const seen = [];
+  const tools = await createTools(registry, {
+    middleware: [async (ctx, next) => {
+      seen.push(`${ctx.service}.${ctx.method}`);
+      return next();
+    }]
+  });
+
+  const result = await tools.call('host', 'batch', {
+    calls: [
+      { service: 'other', method: 'call' },
+      { service: 'host', method: 'batch', params: { calls: [{ method: 'listFiles' }] } },
+      { method: 'writeFile', params: { path: 'a.txt' } }
+    ]
+  });
+
+  assert.equal(result.results[0].code, 'TOOL_NOT_ALLOWED');
+  assert.equal(result.results[1].code, 'INVALID_PARAMS');
+  assert.equal(result.results[2].code, 'INVALID_PARAMS');
+  assert.deepEqual(seen, ['host.batch', 'other.call', 'vfs.writeFile']);
+
+  const empty = await tools.call('host', 'batch', { calls: [] });
+  assert.equal(empty.code, 'INVALID_PARAMS');
+});
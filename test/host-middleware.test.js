@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+const { audit, timing, retry } = require('../taskcode/middleware.js');
+const { ERROR_CODES, normalizeError, isRetryable } = require('../taskcode/error-codes.js');
+
+async function createTools(registry = new ToolRegistry(), options = {}) {
+  const tools = new HostTools('/eco', 'task', 'run', { backend: new MemoryBackend(), registry, ...options });
+  await tools.vfs.ready;
+  return tools;
+}
+
+test('normalizeError maps codes, errnos, statuses and messages', () => {
+  assert.deepEqual(normalizeError(Object.assign(new Error('busy'), { code: 'LOCKED' })), { code: 'LOCKED', retryable: true, message: 'busy' });
+  assert.equal(normalizeError(Object.assign(new Error('gone'), { code: 'ENOENT' })).code, 'NOT_FOUND');
+  assert.equal(normalizeError(Object.assign(new Error('slow down'), { status: 429 })).code, 'RATE_LIMITED');
+  assert.equal(normalizeError({ message: 'bad gateway', response: { status: 502 } }).code, 'UNAVAILABLE');
+  assert.equal(normalizeError(new Error('File not found: a.txt')).code, 'NOT_FOUND');
+  assert.equal(normalizeError(new Error('something odd')).code, 'INTERNAL');
+  assert.equal(normalizeError('plain string').message, 'plain string');
+
+  // An explicit retryable wins over the code's default.
+  assert.equal(normalizeError(Object.assign(new Error('x'), { code: 'LOCKED', retryable: false })).retryable, false);
+
+  assert.ok(isRetryable('TIMEOUT'));
+  assert.ok(!isRetryable('NOT_FOUND'));
+  assert.ok(!isRetryable('NOPE'));
+  for (const entry of Object.values(ERROR_CODES)) assert.equal(typeof entry.retryable, 'boolean');
+});
+
+test('failures are returned with a stable code instead of thrown', async () => {
+  const tools = await createTools();
+  const result = await tools.tools.readFile({ path: 'missing.txt' });
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'NOT_FOUND');
+  assert.equal(result.retryable, false);
+  assert.equal(result.tool, 'readFile');
+
+  const invalid = await tools.tools.writeFile({ path: 'a.txt' });
+  assert.equal(invalid.code, 'INVALID_PARAMS');
+});
+
+test('middleware runs outermost first and can replace results', async () => {
+  const order = [];
+  const tools = await createTools();
+  tools.use(async (ctx, next) => {
+    order.push(`outer:${ctx.method}`);
+    const result = await next();
+    order.push('outer:done');
+    return { ...result, wrapped: true };
+  });
+  tools.use(async (ctx, next) => {
+    order.push('inner');
+    return next();
+  });
+
+  const result = await tools.tools.writeFile({ path: 'a.txt', content: 'hi' });
+  assert.equal(result.wrapped, true);
+  assert.deepEqual(order, ['outer:writeFile', 'inner', 'outer:done']);
+  assert.throws(() => tools.use('nope'), /must be a function/);
+
+  // A middleware that throws becomes a failure result.
+  tools.use(async () => { throw Object.assign(new Error('down'), { code: 'UNAVAILABLE' }); });
+  const failed = await tools.tools.readFile({ path: 'a.txt' });
+  assert.equal(failed.code, 'UNAVAILABLE');
+  assert.equal(failed.retryable, true);
+});
+
+test('audit appends a line per call with bulk content summarized', async () => {
+  const tools = await createTools(new ToolRegistry(), { middleware: [audit()] });
+  await tools.tools.writeFile({ path: 'a.txt', content: 'hello' });
+  await tools.tools.readFile({ path: 'missing.txt' });
+
+  const log = await tools.vfs.readFile('.audit/host-tools.jsonl', 'run');
+  const entries = log.content.trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].tool, 'writeFile');
+  assert.equal(entries[0].success, true);
+  assert.equal(entries[0].params.contentBytes, 5);
+  assert.equal(entries[0].params.content, undefined);
+  assert.equal(entries[1].success, false);
+  assert.equal(entries[1].code, 'NOT_FOUND');
+});
+
+test('timing collects counts and failures per tool', async () => {
+  const metrics = [];
+  const timer = timing({ onMetric: metric => metrics.push(metric) });
+  const tools = await createTools(new ToolRegistry(), { middleware: [timer] });
+  await tools.tools.writeFile({ path: 'a.txt', content: 'x' });
+  await tools.tools.readFile({ path: 'a.txt' });
+  await tools.tools.readFile({ path: 'missing.txt' });
+
+  const stats = timer.snapshot();
+  assert.equal(stats.writeFile.calls, 1);
+  assert.equal(stats.readFile.calls, 2);
+  assert.equal(stats.readFile.failures, 1);
+  assert.equal(typeof stats.readFile.avgMs, 'number');
+  assert.equal(metrics.length, 3);
+  assert.equal(metrics[2].code, 'NOT_FOUND');
+
+  timer.reset();
+  assert.deepEqual(timer.snapshot(), {});
+});
+
+test('retry repeats retryable failures only', async () => {
+  const registry = new ToolRegistry();
+  let calls = 0;
+  registry.register('flaky', {
+    methods: [
+      {
+        path: 'fetch',
+        handler: async () => {
+          calls++;
+          if (calls < 3) throw Object.assign(new Error('throttled'), { status: 429 });
+          return { success: true, calls };
+        }
+      },
+      { path: 'broken', handler: async () => { throw new Error('Invalid query'); } }
+    ]
+  });
+
+  const attempts = [];
+  const tools = await createTools(registry, {
+    middleware: [retry({ retries: 3, baseDelayMs: 1, jitter: false }), async (ctx, next) => {
+      attempts.push(ctx.attempt);
+      return next();
+    }]
+  });
+
+  assert.deepEqual(await tools.call('flaky', 'fetch'), { success: true, calls: 3 });
+  assert.deepEqual(attempts, [1, 2, 3]);
+
+  attempts.length = 0;
+  const failed = await tools.call('flaky', 'broken');
+  assert.equal(failed.code, 'INVALID_PARAMS');
+  assert.deepEqual(attempts, [1]);
+});
@@ -0,0 +1,193 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { S3Backend } = require('../taskcode/backends/s3.js');
+
+const ACCESS_KEY = 'AKIDEXAMPLE';
+const SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+
+// Records every request and answers with whatever the test's handler returns.
+function fakeFetch(handler) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    const call = { url: new URL(url), method: init.method, headers: { ...init.headers }, body: init.body };
+    calls.push(call);
+    return (await handler(call)) || new Response(null, { status: 404 });
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+function backend(fetch, options = {}) {
+  return new S3Backend({
+    endpoint: 'http://s3.test:9000/',
+    bucket: 'tasks',
+    region: 'eu-west-1',
+    accessKeyId: ACCESS_KEY,
+    secretAccessKey: SECRET_KEY,
+    fetch,
+    ...options
+  });
+}
+
+function listXML({ contents = [], prefixes = [], token = null }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>',
+    `<IsTruncated>${token ? 'true' : 'false'}</IsTruncated>`,
+    token ? `<NextContinuationToken>${token}</NextContinuationToken>` : '',
+    ...contents.map(key => `<Contents><Key>${key}</Key><Size>3</Size><LastModified>2024-01-01T00:00:00.000Z</LastModified></Contents>`),
+    ...prefixes.map(prefix => `<CommonPrefixes><Prefix>${prefix}</Prefix></CommonPrefixes>`),
+    '</ListBucketResult>'
+  ].join('');
+}
+
+// Recomputes the SigV4 signature the way S3 does on receipt, independently of
+// the backend's implementation, and returns the signature S3 would expect.
+function expectedSignature({ url, method, headers }) {
+  const [, credential, signedHeaders] = headers.authorization.match(/Credential=([^,]+), SignedHeaders=([^,]+),/);
+  const [, date, region, service] = credential.split('/');
+  const all = { ...headers, host: url.host };
+  const names = signedHeaders.split(';');
+  const query = [...url.searchParams.entries()]
+    .map(([k, v]) => [k, v].map(s => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(pair => pair.join('='))
+    .join('&');
+  const canonical = [
+    method,
+    url.pathname,
+    query,
+    names.map(name => `${name}:${String(all[name]).trim()}\n`).join(''),
+    signedHeaders,
+    headers['x-amz-content-sha256']
+  ].join('\n');
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const toSign = ['AWS4-HMAC-SHA256', headers['x-amz-date'], scope, sha256(canonical)].join('\n');
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const key = hmac(hmac(hmac(hmac(`AWS4${SECRET_KEY}`, date), region), service), 'aws4_request');
+  return crypto.createHmac('sha256', key).update(toSign).digest('hex');
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+beforeEach(() => {
+  delete process.env.AWS_ACCESS_KEY_ID;
+  delete process.env.AWS_SECRET_ACCESS_KEY;
+});
+
+test('signs requests with SigV4', async () => {
+  const fetch = fakeFetch(() => new Response(null, { status: 200 }));
+  await backend(fetch).writeFile('runs/r1/out file.txt', 'hello');
+
+  const put = fetch.calls.find(call => call.method === 'PUT');
+  assert.equal(put.url.pathname, '/tasks/runs/r1/out%20file.txt');
+  assert.equal(put.headers['x-amz-content-sha256'], sha256('hello'));
+  assert.match(put.headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+  assert.equal(put.headers.host, undefined);
+
+  const [, credential, signedHeaders, signature] = put.headers.authorization
+    .match(/^AWS4-HMAC-SHA256 Credential=(\S+), SignedHeaders=(\S+), Signature=([0-9a-f]{64})$/);
+  assert.equal(credential, `${ACCESS_KEY}/${put.headers['x-amz-date'].slice(0, 8)}/eu-west-1/s3/aws4_request`);
+  assert.deepEqual(signedHeaders.split(';'), ['host', 'x-amz-content-sha256', 'x-amz-date']);
+  assert.equal(signature, expectedSignature(put));
+});
+
+test('signs query strings and extra headers', async () => {
+  const fetch = fakeFetch(call => (call.method === 'GET'
+    ? new Response(listXML({ contents: ['a/b c.txt'] }), { status: 200 })
+    : null));
+  await backend(fetch).listFiles('a');
+  const list = fetch.calls.find(call => call.url.searchParams.get('list-type') === '2');
+  assert.equal(list.headers['x-amz-content-sha256'], sha256(''));
+  assert.equal(list.headers.authorization.match(/Signature=(\w+)/)[1], expectedSignature(list));
+
+  const rangeFetch = fakeFetch(() => new Response('abc', { status: 206 }));
+  await backend(rangeFetch).readRange('file', 0, 3);
+  const [get] = rangeFetch.calls;
+  assert.match(get.headers.authorization, /SignedHeaders=host;range;x-amz-content-sha256;x-amz-date,/);
+  assert.equal(get.headers.authorization.match(/Signature=(\w+)/)[1], expectedSignature(get));
+});
+
+test('sends requests unsigned without credentials', async () => {
+  const fetch = fakeFetch(() => new Response('data', { status: 200 }));
+  const data = await backend(fetch, { accessKeyId: undefined, secretAccessKey: undefined }).readFile('x');
+  assert.equal(data.toString(), 'data');
+  assert.equal(fetch.calls[0].headers.authorization, undefined);
+  assert.equal(fetch.calls[0].headers['x-amz-date'], undefined);
+});
+
+test('exclusive writes send If-None-Match and map 412 to EEXIST', async () => {
+  const fetch = fakeFetch(call => {
+    if (call.method === 'GET') return new Response(listXML({}), { status: 200 });
+    if (call.method === 'PUT') return new Response('<Error><Message>At least one of the pre-conditions you specified did not hold</Message></Error>', { status: 412 });
+    return null;
+  });
+
+  await assert.rejects(backend(fetch).writeFile('locks/a.json', '{}', { exclusive: true }), { code: 'EEXIST' });
+  const put = fetch.calls.find(call => call.method === 'PUT');
+  assert.equal(put.headers['if-none-match'], '*');
+  assert.match(put.headers.authorization, /SignedHeaders=host;if-none-match;x-amz-content-sha256;x-amz-date,/);
+  assert.equal(put.headers.authorization.match(/Signature=(\w+)/)[1], expectedSignature(put));
+});
+
+test('exclusive writes fail without a PUT when the object exists', async () => {
+  const fetch = fakeFetch(call => (call.method === 'HEAD'
+    ? new Response(null, { status: 200, headers: { 'content-length': '2', 'last-modified': new Date().toUTCString() } })
+    : new Response(null, { status: 200 })));
+
+  await assert.rejects(backend(fetch).writeFile('locks/a.json', '{}', { exclusive: true }), { code: 'EEXIST' });
+  assert.equal(fetch.calls.some(call => call.method === 'PUT'), false);
+});
+
+test('plain writes do not send If-None-Match', async () => {
+  const fetch = fakeFetch(() => new Response(null, { status: 200 }));
+  await backend(fetch).writeFile('a.txt', 'x');
+  const put = fetch.calls.find(call => call.method === 'PUT');
+  assert.equal(put.headers['if-none-match'], undefined);
+});
+
+test('listFiles follows continuation tokens across pages', async () => {
+  const fetch = fakeFetch(call => {
+    if (call.method !== 'GET') return null;
+    const token = call.url.searchParams.get('continuation-token');
+    if (!token) {
+      return new Response(listXML({ contents: ['root/dir/a.txt'], prefixes: ['root/dir/sub/'], token: 'page+2' }), { status: 200 });
+    }
+    assert.equal(token, 'page+2');
+    return new Response(listXML({ contents: ['root/dir/b.txt'], prefixes: ['root/dir/other/'] }), { status: 200 });
+  });
+
+  const items = await backend(fetch, { prefix: 'root' }).listFiles('dir');
+  const lists = fetch.calls.filter(call => call.method === 'GET');
+  assert.equal(lists.length, 2);
+  assert.equal(lists[0].url.searchParams.get('prefix'), 'root/dir/');
+  assert.equal(lists[0].url.searchParams.get('delimiter'), '/');
+  assert.equal(lists[0].url.searchParams.has('continuation-token'), false);
+  assert.equal(lists[1].url.searchParams.get('continuation-token'), 'page+2');
+  assert.equal(lists[1].headers.authorization.match(/Signature=(\w+)/)[1], expectedSignature(lists[1]));
+
+  assert.deepEqual(
+    items.map(item => [item.name, item.isDirectory]).sort(),
+    [['a.txt', false], ['b.txt', false], ['other', true], ['sub', true]]
+  );
+});
+
+test('readRange requests a byte range and slices full responses', async () => {
+  const partial = fakeFetch(() => new Response('bcd', { status: 206 }));
+  assert.equal((await backend(partial).readRange('f', 1, 4)).toString(), 'bcd');
+  assert.equal(partial.calls[0].headers.range, 'bytes=1-3');
+
+  const full = fakeFetch(() => new Response('abcdef', { status: 200 }));
+  assert.equal((await backend(full).readRange('f', 1, 4)).toString(), 'bcd');
+
+  const unsatisfiable = fakeFetch(() => new Response('', { status: 416 }));
+  assert.equal((await backend(unsatisfiable).readRange('f', 10, 20)).length, 0);
+});
+
+test('missing objects surface as ENOENT', async () => {
+  const fetch = fakeFetch(() => null);
+  await assert.rejects(backend(fetch).readFile('nope'), { code: 'ENOENT' });
+  assert.equal(await backend(fakeFetch(call => (call.method === 'GET' ? new Response(listXML({}), { status: 200 }) : null))).stat('nope'), null);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskHarness } = require('../src/task-harness.js');
+
+test('tasks run against mocks and seeded files', async () => {
+  const harness = new TaskHarness({
+    mocks: {
+      gapi: {
+        'admin.domains.list': { success: true, domains: ['example.com'] },
+        'admin.users.list': params => ({ success: true, users: [`ann@${params.domain}`] })
+      }
+    },
+    files: { task: { 'settings.json': { limit: 1 } } }
+  });
+
+  const run = await harness.run(async function report() {
+    const settings = await __callHostTool__('vfs', 'readFile', { path: 'settings.json', scope: 'task', as: 'json' });
+    const { domains } = await __callHostTool__('gapi', ['admin', 'domains', 'list'], {});
+    const { results } = await __callHostTool__('host', 'batch', {
+      calls: domains.map(domain => ({ service: 'gapi', method: 'admin.users.list', params: { domain } }))
+    });
+    const users = results.flatMap(result => result.users).slice(0, settings.content.limit);
+    await __callHostTool__('vfs', 'writeFile', { path: 'users.json', content: JSON.stringify(users) });
+    return { users };
+  });
+
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(run.result, { users: ['ann@example.com'] });
+  assert.deepEqual(harness.sequence(), [
+    'vfs.readFile', 'gapi.admin.domains.list', 'host.batch', 'gapi.admin.users.list', 'vfs.writeFile'
+  ]);
+  assert.deepEqual(harness.callsTo('gapi', 'admin.users.list')[0].params, { domain: 'example.com' });
+  assert.deepEqual(await harness.readJSON('users.json'), ['ann@example.com']);
+  assert.deepEqual(Object.keys(await harness.files('run')), ['users.json']);
+});
+
+test('calls to methods nobody mocked fail as unknown tools', async () => {
+  const harness = new TaskHarness({ mocks: { keystore: { get: { success: true, value: 'v' } } } });
+  const run = await harness.run(async () => {
+    const missing = await __callHostTool__('keystore', 'set', { key: 'k' });
+    return missing.code;
+  });
+
+  assert.equal(run.result, 'UNKNOWN_TOOL');
+  assert.equal(harness.calls[0].success, false);
+
+  harness.mock('keystore', { set: { success: true } });
+  assert.equal((await harness.run(async () => (await __callHostTool__('keystore', 'set', {})).success)).result, true);
+});
+
+test('concurrent function tasks each reach their own run', async () => {
+  const harness = new TaskHarness({
+    mocks: {
+      echo: {
+        say: async params => {
+          await new Promise(resolve => setTimeout(resolve, params.delay));
+          return { success: true, said: params.word };
+        }
+      }
+    }
+  });
+
+  const task = async input => {
+    const first = await __callHostTool__('echo', 'say', { word: `${input.name}-1`, delay: input.delay });
+    const second = await __callHostTool__('echo', 'say', { word: `${input.name}-2`, delay: 0 });
+    return [first.said, second.said];
+  };
+
+  const [a, b] = await Promise.all([
+    harness.runner.run(task, { name: 'a', delay: 20 }, { taskId: 't', runId: 'ra' }),
+    harness.runner.run(task, { name: 'b', delay: 0 }, { taskId: 't', runId: 'rb' })
+  ]);
+  assert.deepEqual(a.result, ['a-1', 'a-2']);
+  assert.deepEqual(b.result, ['b-1', 'b-2']);
+});
+
+test('__callHostTool__ outside an execution rejects', async () => {
+  const harness = new TaskHarness();
+  await harness.run(async () => null);
+  await assert.rejects(globalThis.__callHostTool__('vfs', 'listFiles', {}), /outside a task execution/);
+  await assert.rejects(new TaskHarness().readFile('a.txt'), /No task has run/);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractInputSchema, prepareInput } = require('../taskcode/task-inputs.js');
+const { TaskRunner } = require('../src/task-runner.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+const JSDOC_TASK = `
+/**
+ * Searches mail.
+ * @param {object} input
+ * @param {string} input.query - Gmail search query
+ * @param {number} [input.limit=10] - Maximum results
+ * @param {string[]} [input.labels]
+ * @param {boolean} [input.dryRun=false]
+ * @param {string} input.nested.skip
+ */
+module.exports = async (input) => input;
+`;
+
+test('config inputs become a JSON Schema', () => {
+  const schema = extractInputSchema({
+    inputs: [
+      { name: 'query', type: 'string', required: true, description: 'Search query', minLength: 1 },
+      { name: 'limit', type: 'integer', default: 10, required: true },
+      { name: 'mode', enum: ['fast', 'full'] },
+      { type: 'string' }
+    ],
+    code: JSDOC_TASK
+  });
+
+  assert.deepEqual(schema, {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query', minLength: 1 },
+      limit: { type: 'integer', default: 10 },
+      mode: { enum: ['fast', 'full'] }
+    },
+    required: ['query']
+  });
+});
+
+test('JSDoc @param tags are used when there is no config', () => {
+  assert.deepEqual(extractInputSchema({ code: JSDOC_TASK }), {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Gmail search query' },
+      limit: { type: 'number', description: 'Maximum results', default: 10 },
+      labels: { type: 'array' },
+      dryRun: { type: 'boolean', default: false }
+    },
+    required: ['query']
+  });
+  assert.equal(extractInputSchema({ code: 'module.exports = () => 1;' }), null);
+  assert.equal(extractInputSchema(), null);
+});
+
+test('inputs are coerced, defaulted and validated', () => {
+  const schema = extractInputSchema({ code: JSDOC_TASK });
+
+  assert.deepEqual(
+    prepareInput(schema, { query: 42, limit: ' 5 ', labels: '["inbox"]', dryRun: '1', extra: 'kept' }),
+    { query: '42', limit: 5, labels: ['inbox'], dryRun: true, extra: 'kept' }
+  );
+  assert.deepEqual(prepareInput(schema, { query: 'x' }), { query: 'x', limit: 10, dryRun: false });
+  assert.equal(prepareInput(null, 'anything'), 'anything');
+
+  assert.throws(() => prepareInput(schema, { limit: 'ten' }, 'search'), error => {
+    assert.equal(error.code, 'INVALID_PARAMS');
+    assert.match(error.message, /^Invalid input for task search: /);
+    assert.deepEqual(error.fields.map(field => field.path).sort(), ['/limit', '/query']);
+    return true;
+  });
+  assert.throws(() => prepareInput(schema, ['x']), /must be an object/);
+});
+
+test('defaults are copied, not shared between runs', () => {
+  const schema = extractInputSchema({ inputs: [{ name: 'tags', type: 'array', default: ['a'] }] });
+  const first = prepareInput(schema, {});
+  first.tags.push('b');
+  assert.deepEqual(prepareInput(schema, {}).tags, ['a']);
+});
+
+test('the runner checks input before starting a run', async () => {
+  const runner = new TaskRunner('/eco', { backend: new MemoryBackend(), registry: new ToolRegistry() });
+  const task = { name: 'search', code: JSDOC_TASK };
+
+  const run = await runner.run(task, { query: 'is:unread', limit: '3' });
+  assert.deepEqual(run.result, { query: 'is:unread', limit: 3, dryRun: false });
+
+  await assert.rejects(runner.run(task, {}), error => {
+    assert.equal(error.code, 'INVALID_PARAMS');
+    assert.deepEqual(error.fields.map(field => field.path), ['/query']);
+    return true;
+  });
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry, LocalRegistry, SupabaseRegistry, contentHash } = require('../taskcode/registry/index.js');
+const { TaskRunner } = require('../src/task-runner.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+const CODE = `module.exports = async (input) => {
+  await __callHostTool__('vfs', 'writeFile', { path: 'out.txt', content: input.text });
+  const { content } = await __callHostTool__('vfs', 'readFile', { path: 'out.txt' });
+  return content;
+};`;
+
+function createLocal() {
+  return new LocalRegistry({ path: '/registry', backend: 'memory' });
+}
+
+test('the local registry keeps one JSON file per row', async () => {
+  const registry = createLocal();
+  const { hash } = await registry.publish({ name: 'my-task', code: CODE, description: 'Copies text' });
+
+  const task = JSON.parse((await registry.backend.readFile('task_functions/my-task.json')).toString('utf8'));
+  assert.equal(task.current_hash, hash);
+  const version = JSON.parse((await registry.backend.readFile(`task_function_versions/my-task/${hash}.json`)).toString('utf8'));
+  assert.equal(version.code, CODE);
+
+  // Stored versions are immutable.
+  await registry.saveVersion({ ...version, description: 'changed' });
+  assert.equal((await registry.getVersions('my-task'))[0].description, 'Copies text');
+
+  await registry.publish({ name: 'another', code: 'module.exports = () => 1;' });
+  const tasks = await registry.listTasks();
+  assert.deepEqual(tasks.map(row => row.name), ['another', 'my-task']);
+  assert.equal(tasks[1].code, undefined);
+});
+
+test('runs and their host calls are recorded', async () => {
+  const taskRegistry = createLocal();
+  await taskRegistry.publish({ name: 'my-task', code: CODE });
+  const runner = new TaskRunner('/eco', { backend: new MemoryBackend(), registry: new ToolRegistry(), taskRegistry });
+
+  const run = await runner.run('my-task', { text: 'hi' }, { runId: 'r1' });
+  assert.equal(run.result, 'hi');
+
+  const row = await taskRegistry.getRun('r1');
+  assert.equal(row.task_name, 'my-task');
+  assert.equal(row.task_version, contentHash(CODE));
+  assert.equal(row.status, 'completed');
+  assert.deepEqual(row.input, { text: 'hi' });
+
+  const stackRuns = await taskRegistry.listStackRuns('r1');
+  assert.deepEqual(stackRuns.map(stackRun => [stackRun.seq, stackRun.method_name, stackRun.status]), [
+    [0, 'writeFile', 'completed'],
+    [1, 'readFile', 'completed']
+  ]);
+
+  await runner.run('my-task', {}, { runId: 'r2' });
+  assert.deepEqual((await taskRegistry.listRuns({ taskName: 'my-task' })).map(run => run.id).sort(), ['r1', 'r2']);
+  assert.equal((await taskRegistry.listRuns({ status: 'failed' })).length, 0);
+  assert.equal((await taskRegistry.listRuns({ limit: 1 })).length, 1);
+
+  await assert.rejects(runner.run('unknown-task'), /Task unknown-task is not in the task registry/);
+});
+
+test('createRegistry picks an implementation', () => {
+  assert.ok(createRegistry('local', { path: '/registry', backend: 'memory' }) instanceof LocalRegistry);
+  const existing = createLocal();
+  assert.equal(createRegistry(existing), existing);
+  assert.throws(() => createRegistry('redis'), /Unknown task registry: redis/);
+  assert.throws(() => createRegistry('supabase', {}), /requires a client/);
+});
+
+// Records the query-builder chain each call builds and answers with `respond`.
+function fakeClient(respond) {
+  const queries = [];
+  return {
+    queries,
+    from(table) {
+      const query = { table, steps: [] };
+      queries.push(query);
+      const builder = {
+        then(resolve, reject) {
+          return Promise.resolve(respond(query)).then(resolve, reject);
+        }
+      };
+      for (const step of ['select', 'eq', 'like', 'order', 'limit', 'upsert']) {
+        builder[step] = (...args) => {
+          query.steps.push([step, ...args]);
+          return builder;
+        };
+      }
+      return builder;
+    }
+  };
+}
+
+test('the Supabase registry maps calls onto table queries', async () => {
+  const client = fakeClient(query => (query.table === 'task_functions' && query.steps[0][0] === 'select'
+    ? { data: [] }
+    : { data: null }));
+  const registry = new SupabaseRegistry(client);
+
+  const published = await registry.publish({ name: 'my-task', code: CODE });
+  assert.equal(published.changed, true);
+  assert.deepEqual(client.queries.map(query => [query.table, query.steps[0][0]]), [
+    ['task_functions', 'select'],
+    ['task_function_versions', 'upsert'],
+    ['task_functions', 'upsert']
+  ]);
+  assert.deepEqual(client.queries[1].steps[0][2], { onConflict: 'name,hash', ignoreDuplicates: true });
+
+  await registry.getVersions('my-task', 'abc');
+  assert.deepEqual(client.queries[3].steps.find(step => step[0] === 'like'), ['like', 'hash', 'abc%']);
+
+  const failing = new SupabaseRegistry(fakeClient(() => ({ error: { message: 'permission denied' } })));
+  await assert.rejects(failing.getRun('r1'), /Failed to fetch run r1: permission denied/);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskRunner } = require('../src/task-runner.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+const COPY_TASK = {
+  name: 'copy',
+  code: `
+    module.exports = async function (input) {
+      await __callHostTool__('vfs', 'writeFile', { path: 'a.txt', content: input.text });
+      const read = await __callHostTool__('vfs', 'readFile', { path: 'a.txt' });
+      return { content: read.content };
+    };
+  `
+};
+
+function createRunner(options = {}) {
+  return new TaskRunner('/eco', { backend: new MemoryBackend(), registry: new ToolRegistry(), ...options });
+}
+
+test('run suspends on each host call and completes by replay', async () => {
+  const runner = createRunner();
+  const state = await runner.run(COPY_TASK, { text: 'hello' }, { runId: 'r1' });
+
+  assert.equal(state.status, 'completed');
+  assert.deepEqual(state.result, { content: 'hello' });
+  assert.equal(state.calls, 2);
+  assert.equal(state.suspensions, 2);
+
+  const calls = await runner.getCalls('copy', 'r1');
+  assert.deepEqual(calls.map(call => [call.seq, call.method]), [[0, 'writeFile'], [1, 'readFile']]);
+  assert.equal((await runner.getState('copy', 'r1')).status, 'completed');
+});
+
+test('a suspended run can be resumed by another runner', async () => {
+  const backend = new MemoryBackend();
+  const registry = new ToolRegistry();
+  const first = createRunner({ backend, registry });
+  const second = createRunner({ backend, registry });
+
+  let state = await first.start(COPY_TASK, { text: 'x' }, { runId: 'r1' });
+  assert.equal(state.status, 'suspended');
+  assert.deepEqual(state.pending, { seq: 0, service: 'vfs', method: 'writeFile', params: { path: 'a.txt', content: 'x' } });
+
+  while (state.status === 'suspended') state = await second.resume(COPY_TASK, 'r1');
+  assert.deepEqual(state.result, { content: 'x' });
+
+  await assert.rejects(second.resume(COPY_TASK, 'r1'), /is completed, not suspended/);
+  await assert.rejects(first.start(COPY_TASK, { text: 'x' }, { runId: 'r1' }), /already exists/);
+});
+
+test('errors from the task fail the run', async () => {
+  const runner = createRunner();
+  const state = await runner.run({
+    name: 'broken',
+    code: `module.exports = async () => {
+      const result = await __callHostTool__('vfs', 'readFile', { path: 'missing.txt' });
+      throw new Error('read failed: ' + result.code);
+    };`
+  });
+
+  assert.equal(state.status, 'failed');
+  assert.equal(state.error.message, 'read failed: NOT_FOUND');
+});
+
+test('a replay that makes a different call fails the run', async () => {
+  const runner = createRunner();
+  const state = await runner.run({
+    name: 'random',
+    code: `module.exports = async () => {
+      await __callHostTool__('vfs', 'writeFile', { path: 'a.txt', content: String(Math.random()) });
+    };`
+  });
+
+  assert.equal(state.status, 'failed');
+  assert.equal(state.error.code, 'FAILED_PRECONDITION');
+  assert.equal(state.error.seq, 0);
+  assert.match(state.error.message, /Nondeterministic replay/);
+});
+
+test('runs resume on the version they started on', async () => {
+  const changed = { name: 'copy', code: COPY_TASK.code.replace('read.content', 'read.content.toUpperCase()') };
+
+  const strict = createRunner();
+  await strict.start(COPY_TASK, { text: 'v1' }, { runId: 'r1' });
+  await assert.rejects(strict.resume(changed, 'r1'), /cannot be loaded/);
+
+  const pinned = createRunner({ loadVersion: () => COPY_TASK.code });
+  let state = await pinned.start(COPY_TASK, { text: 'v1' }, { runId: 'r1' });
+  while (state.status === 'suspended') state = await pinned.resume(changed, 'r1');
+  assert.deepEqual(state.result, { content: 'v1' });
+});
+
+test('only one resume of a run performs the pending call', async () => {
+  const registry = new ToolRegistry();
+  let performed = 0;
+  registry.register('slow', {
+    methods: [{
+      path: 'work',
+      handler: async () => {
+        performed++;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return { success: true };
+      }
+    }]
+  });
+  const runner = createRunner({ registry });
+  const task = { name: 'slow', code: `module.exports = () => __callHostTool__('slow', 'work', {});` };
+
+  await runner.start(task, {}, { runId: 'r1' });
+  const [first, second] = await Promise.allSettled([runner.resume(task, 'r1'), runner.resume(task, 'r1')]);
+
+  assert.equal(performed, 1);
+  assert.equal(first.status, 'fulfilled');
+  assert.equal(first.value.status, 'completed');
+  assert.equal(second.status, 'rejected');
+  assert.match(second.reason.message, /already being resumed/);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalRegistry, contentHash } = require('../taskcode/registry/index.js');
+const { TaskRunner } = require('../src/task-runner.js');
+const { compileTask } = require('../src/task-module.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+const V1 = `module.exports = async () => {
+  const { content } = await __callHostTool__('vfs', 'readFile', { path: 'name.txt', scope: 'task' });
+  return 'hello ' + content;
+};`;
+const V2 = V1.replace("'hello '", "'goodbye '");
+
+function createRegistry() {
+  return new LocalRegistry({ path: '/registry', backend: 'memory' });
+}
+
+test('publishing stores each distinct code once, keyed by its hash', async () => {
+  const registry = createRegistry();
+
+  const first = await registry.publish({ name: 'greet', code: V1, description: 'Greets' });
+  assert.deepEqual(first, { name: 'greet', hash: contentHash(V1), previous: null, changed: true });
+  assert.equal(first.hash, compileTask({ name: 'greet', code: V1 }).version);
+
+  const same = await registry.publish({ name: 'greet', code: V1 });
+  assert.equal(same.changed, false);
+
+  const second = await registry.publish({ name: 'greet', code: V2 });
+  assert.equal(second.previous, first.hash);
+  assert.equal((await registry.getTask('greet')).code, V2);
+  assert.equal((await registry.getVersions('greet')).length, 2);
+});
+
+test('versions resolve by hash prefix or current', async () => {
+  const registry = createRegistry();
+  const { hash } = await registry.publish({ name: 'greet', code: V1 });
+  await registry.publish({ name: 'greet', code: V2 });
+
+  assert.equal((await registry.resolveVersion('greet', hash.slice(0, 8))).code, V1);
+  assert.equal((await registry.resolveVersion('greet', hash.slice(0, 8).toUpperCase())).code, V1);
+  assert.equal((await registry.resolveVersion('greet')).code, V2);
+  await assert.rejects(registry.resolveVersion('greet', 'ffffffffff'), /has no version ffffffffff/);
+  await assert.rejects(registry.resolveVersion('greet', ''), /is ambiguous/);
+  await assert.rejects(registry.resolveVersion('missing'), /has no current version/);
+
+  assert.equal(await registry.loadVersion('greet', hash), V1);
+  assert.equal(await registry.loadVersion('greet', hash.slice(0, 8)), null);
+});
+
+test('rollback moves the current pointer and keeps every version', async () => {
+  const registry = createRegistry();
+  const v1 = await registry.publish({ name: 'greet', code: V1, description: 'first' });
+  const v2 = await registry.publish({ name: 'greet', code: V2, description: 'second' });
+
+  const rolled = await registry.rollback('greet', v1.hash.slice(0, 12));
+  assert.deepEqual(rolled, { name: 'greet', hash: v1.hash, previous: v2.hash, changed: true });
+  const task = await registry.getTask('greet');
+  assert.equal(task.code, V1);
+  assert.equal(task.description, 'first');
+  assert.equal((await registry.getVersions('greet')).length, 2);
+
+  assert.equal((await registry.rollback('greet', 'current')).changed, false);
+});
+
+test('runs resume on the version they started on', async () => {
+  const taskRegistry = createRegistry();
+  await taskRegistry.publish({ name: 'greet', code: V1 });
+  const backend = new MemoryBackend();
+  const runner = new TaskRunner('/eco', { backend, registry: new ToolRegistry(), taskRegistry });
+
+  const seed = new TaskRunner('/eco', { backend, registry: new ToolRegistry() });
+  await seed.run(async () => __callHostTool__('vfs', 'writeFile', { path: 'name.txt', content: 'ann', scope: 'task' }), {}, { taskId: 'greet' });
+
+  const started = await runner.start('greet', {}, { runId: 'r1' });
+  assert.equal(started.version, contentHash(V1));
+  await taskRegistry.publish({ name: 'greet', code: V2 });
+
+  const resumed = await runner.resume('greet', 'r1');
+  assert.equal(resumed.status, 'completed');
+  assert.equal(resumed.result, 'hello ann');
+  assert.equal((await runner.run('greet', {}, { runId: 'r2' })).result, 'goodbye ann');
+});
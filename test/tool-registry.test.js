@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry, methodKey, matchesAllowList } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createTools(registry, options = {}) {
+  const tools = new HostTools('/eco', 'task', 'run', { backend: new MemoryBackend(), registry, ...options });
+  await tools.vfs.ready;
+  return tools;
+}
+
+test('method paths and allow-list patterns', () => {
+  assert.equal(methodKey(['gmail', 'users', 'messages', 'list']), 'gmail.users.messages.list');
+  assert.equal(methodKey('gmail.users.list'), 'gmail.users.list');
+  assert.throws(() => methodKey(['gmail', '']), /Invalid method path/);
+
+  assert.ok(matchesAllowList(['gapi.gmail.*'], 'gapi', 'gmail.users.list'));
+  assert.ok(matchesAllowList(['gapi'], 'gapi', 'admin.users.list'));
+  assert.ok(matchesAllowList(['*'], 'vfs', 'readFile'));
+  assert.ok(!matchesAllowList(['gapi.gmail.*'], 'gapi', 'admin.users.list'));
+});
+
+test('registering a service twice or a method without a handler fails', () => {
+  const registry = new ToolRegistry();
+  registry.register('demo', { methods: [{ path: 'ping', handler: () => 'pong' }] });
+
+  assert.throws(() => registry.register('demo'), /already registered/);
+  assert.throws(() => registry.register('1bad'), /Invalid service name/);
+  assert.throws(() => registry.registerMethod('demo', 'ping', () => null), /already registered/);
+  assert.throws(() => registry.registerMethod('demo', 'other', null), /must be a function/);
+  assert.throws(() => registry.registerMethod('missing', 'x', () => null), /Unknown service/);
+  assert.deepEqual(registry.list().map(method => `${method.service}.${method.method}`), ['demo.ping']);
+});
+
+test('providers are called by path with their state and hooks', async () => {
+  const registry = new ToolRegistry();
+  const events = [];
+  registry.register('gapi', {
+    methods: [{
+      path: ['gmail', 'users', 'messages', 'list'],
+      handler: async (params, context) => ({ success: true, userId: params.userId, client: context.state.client, runId: context.runId })
+    }],
+    hooks: {
+      init: () => {
+        events.push('init');
+        return { client: 'fake-client' };
+      },
+      beforeCall: context => {
+        context.params = { ...context.params, userId: context.params.userId || 'me' };
+      },
+      afterCall: (context, result) => ({ ...result, checked: true }),
+      dispose: context => events.push(`dispose:${context.state.client}`)
+    }
+  });
+
+  const tools = await createTools(registry);
+  const first = await tools.call('gapi', ['gmail', 'users', 'messages', 'list'], {});
+  assert.deepEqual(first, { success: true, userId: 'me', client: 'fake-client', runId: 'run', checked: true });
+  await tools.call('gapi', 'gmail.users.messages.list', { userId: 'u1' });
+
+  await tools.dispose();
+  assert.deepEqual(events, ['init', 'dispose:fake-client']);
+});
+
+test('onError may answer a failed call', async () => {
+  const registry = new ToolRegistry();
+  registry.register('flaky', {
+    methods: [
+      { path: 'fails', handler: async () => { throw new Error('upstream down'); } },
+      { path: 'recovers', handler: async () => { throw new Error('cache miss'); } }
+    ],
+    hooks: {
+      onError: (context, error) => (context.method === 'recovers' ? { success: true, fallback: error.message } : undefined)
+    }
+  });
+
+  const tools = await createTools(registry);
+  assert.deepEqual(await tools.call('flaky', 'recovers'), { success: true, fallback: 'cache miss' });
+  const failed = await tools.call('flaky', 'fails');
+  assert.equal(failed.success, false);
+  assert.equal(failed.error, 'upstream down');
+});
+
+test('unknown tools and tools outside the allow-list are refused', async () => {
+  const registry = new ToolRegistry();
+  registry.register('gapi', {
+    methods: [
+      { path: 'gmail.users.list', handler: async () => ({ success: true }) },
+      { path: 'admin.users.list', handler: async () => ({ success: true }) }
+    ]
+  });
+  registry.setAllowList('task', ['vfs', 'gapi.gmail.*']);
+
+  const tools = await createTools(registry);
+  assert.equal((await tools.call('gapi', 'gmail.users.list')).success, true);
+  assert.equal((await tools.call('gapi', 'admin.users.list')).code, 'TOOL_NOT_ALLOWED');
+  assert.equal((await tools.call('gapi', 'drive.files.list')).code, 'UNKNOWN_TOOL');
+  assert.equal((await tools.call('openai', 'chat')).code, 'UNKNOWN_TOOL');
+
+  const names = tools.getAvailableTools().map(tool => tool.name);
+  assert.ok(names.includes('gapi.gmail.users.list'));
+  assert.ok(!names.includes('gapi.admin.users.list'));
+  assert.ok(names.includes('readFile'));
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+const { validate } = require('../taskcode/schema.js');
+const { TOOL_SCHEMAS } = require('../taskcode/tool-schemas.js');
+
+async function createTools(options = {}) {
+  const tools = new HostTools('/eco', 'task', 'run', { backend: new MemoryBackend(), registry: new ToolRegistry(), ...options });
+  await tools.vfs.ready;
+  return tools;
+}
+
+test('every VFS tool has a params and a result schema', () => {
+  for (const [name, schema] of Object.entries(TOOL_SCHEMAS)) {
+    assert.equal(typeof schema.description, 'string', name);
+    assert.equal(schema.params.type, 'object', name);
+    assert.equal(typeof schema.result, 'object', name);
+  }
+});
+
+test('validate reports every error with a JSON pointer', () => {
+  const schema = {
+    type: 'object',
+    required: ['path'],
+    additionalProperties: false,
+    properties: {
+      path: { type: 'string', minLength: 1 },
+      scope: { type: 'string', enum: ['run', 'task'] },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  };
+
+  assert.deepEqual(validate(schema, { path: 'a', scope: 'run', tags: ['x'] }), []);
+  assert.deepEqual(
+    validate(schema, { scope: 'nope', tags: ['x', 2], extra: true }).map(error => `${error.path} ${error.keyword}`),
+    ['/path required', '/scope enum', '/tags/1 type', '/extra additionalProperties']
+  );
+});
+
+test('calls with invalid params fail with INVALID_PARAMS and the validation errors', async () => {
+  const tools = await createTools();
+
+  const badScope = await tools.tools.writeFile({ path: 'a.txt', content: 'x', scope: 'elsewhere' });
+  assert.equal(badScope.success, false);
+  assert.equal(badScope.code, 'INVALID_PARAMS');
+  assert.equal(badScope.validation[0].path, '/scope');
+
+  const missing = await tools.tools.readFile({});
+  assert.equal(missing.code, 'INVALID_PARAMS');
+  assert.deepEqual(missing.validation.map(error => error.keyword), ['required']);
+
+  assert.equal((await tools.tools.writeFile({ path: 'a.txt', content: 'x' })).success, true);
+});
+
+test('getAvailableTools returns each tool with its schemas', async () => {
+  const tools = await createTools();
+  const available = tools.getAvailableTools();
+  const writeFile = available.find(tool => tool.name === 'writeFile');
+
+  assert.equal(available.filter(tool => tool.service === 'vfs').length, Object.keys(TOOL_SCHEMAS).length);
+  assert.deepEqual(writeFile.params, TOOL_SCHEMAS.writeFile.params);
+  assert.deepEqual(writeFile.result, TOOL_SCHEMAS.writeFile.result);
+  assert.ok(writeFile.error.properties.code);
+  assert.match(writeFile.description, /\(params: .*path.*\)/);
+  assert.deepEqual(tools.getToolSchema('writeFile'), TOOL_SCHEMAS.writeFile);
+});
+
+test('strictResults turns a result that breaks its schema into INVALID_RESULT', async () => {
+  const registry = new ToolRegistry();
+  registry.register('demo', {
+    methods: [{
+      path: 'count',
+      handler: async () => ({ success: true, count: 'three' }),
+      schema: { params: { type: 'object' }, result: { type: 'object', properties: { count: { type: 'integer' } } } }
+    }]
+  });
+
+  const lenient = await createTools({ registry });
+  assert.equal((await lenient.call('demo', 'count')).count, 'three');
+
+  const strict = await createTools({ registry, strictResults: true });
+  const result = await strict.call('demo', 'count');
+  assert.equal(result.code, 'INVALID_RESULT');
+  assert.equal(result.validation[0].path, '/count');
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatReport, validateTask } from "../taskcode/validate.ts";
+
+// Run with `deno task test`; node --test only picks up the .js files here.
+
+const VALID = `
+export const config = {
+  name: "gmail-search",
+  description: "Searches mail",
+  inputs: [{ name: "query", type: "string", required: true }, { name: "limit", type: "number", default: 10 }]
+};
+
+export async function gmail_search(input) {
+  const { domains } = await __callHostTool__("gapi", ["admin", "domains", "list"], {});
+  const calls = domains.map(domain => ({ service: "gapi", method: "admin.users.list", params: { domain } }));
+  return __callHostTool__("host", "batch", { calls });
+}
+`;
+
+test("a well-formed task passes and lists its host calls and inputs", () => {
+  const report = validateTask(VALID, "endpoints/gmail-search.js", "gmail-search");
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.warnings, []);
+  assert.deepEqual(report.hostCalls.map(call => [call.service, call.method, call.via]), [
+    ["gapi", "admin.domains.list", undefined],
+    ["gapi", "admin.users.list", "host.batch"],
+    ["host", "batch", undefined]
+  ]);
+  assert.deepEqual(report.inputSchema.required, ["query"]);
+  assert.equal(report.inputSchema.properties.limit.default, 10);
+
+  const text = formatReport(report);
+  assert.match(text, /^✓ gmail-search \(endpoints\/gmail-search\.js\)/);
+  assert.match(text, /inputs: query \(string, required\), limit \(number, default 10\)/);
+  assert.match(text, /gapi\.admin\.users\.list \(via host\.batch\)  line 10/);
+});
+
+test("syntax errors and missing exports are errors", () => {
+  assert.match(validateTask("export const = 1;", "a.js", "a").errors[0], /^Syntax error/);
+  assert.deepEqual(validateTask("const x = 1;", "a.js", "a").errors, [
+    "No callable export: export a function, a default export, or assign one to module.exports"
+  ]);
+
+  const several = validateTask("export function one() {}\nexport function two() {}", "a.js", "a");
+  assert.match(several.errors[0], /Several exported functions \(one, two\) and none named a/);
+  assert.deepEqual(validateTask("module.exports = async () => {};", "a.js", "a").errors, []);
+  assert.deepEqual(validateTask("async function run() {}\nexport default run;", "a.js", "a").errors, []);
+});
+
+test("only runtime-provided imports are allowed", () => {
+  const code = `
+    import { helper } from "./helper.js";
+    const lodash = require("lodash");
+    const flow = require("@sequential/sequential-flow");
+    const name = "x";
+    require(name);
+    module.exports = () => helper(lodash, flow);
+  `;
+  const { errors } = validateTask(code, "a.js", "a");
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /"\.\/helper\.js" is a local file/);
+  assert.match(errors[1], /"lodash" is not provided by the task runtime/);
+  assert.match(errors[2], /dynamic import or require cannot be checked/);
+});
+
+test("config fields are checked", () => {
+  const code = `
+    export const config = { name: 42, inputs: [{ type: "date" }, { name: "x", required: "yes" }, "bad"] };
+    export default async () => {};
+  `;
+  const { errors } = validateTask(code, "a.js", "a");
+  assert.deepEqual(errors, [
+    "config.name must be a string",
+    "config.inputs[0].name must be a string",
+    "config.inputs[0].type must be one of string, number, integer, boolean, object, array",
+    "config.inputs[1].required must be true or false",
+    "config.inputs[2] must be an object"
+  ]);
+});
+
+test("unlisted calls and undeclared inputs are warnings", () => {
+  const code = `
+    module.exports = async (input) => {
+      const service = input.service;
+      return __callHostTool__(service, "get", {});
+    };
+  `;
+  const report = validateTask(code, "a.js", "a");
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.hostCalls, [{ service: "<dynamic>", method: "get", line: 4 }]);
+  assert.match(report.warnings[0], /Line 4: __callHostTool__ with a computed service/);
+  assert.match(report.warnings[1], /No config export or JSDoc @param tags/);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+const { detectContentType, toBuffer } = require('../taskcode/vfs-content.js');
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.from([0x00, 0xff, 0xfe, 0x80])]);
+
+async function createVFS() {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend: new MemoryBackend() });
+  await vfs.ready;
+  return vfs;
+}
+
+test('content types come from magic bytes before the extension', () => {
+  assert.equal(detectContentType('attachment.bin', PDF), 'application/pdf');
+  assert.equal(detectContentType('photo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), 'image/png');
+  assert.equal(detectContentType('report.docx', Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00])),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(detectContentType('data.json', Buffer.from('{}')), 'application/json');
+  assert.equal(detectContentType('README', Buffer.from('plain words')), 'text/plain');
+  assert.equal(detectContentType('blob', Buffer.from([0x00, 0x01, 0x02])), 'application/octet-stream');
+});
+
+test('toBuffer decodes base64, data URLs and serialized Buffers', () => {
+  assert.ok(toBuffer(PDF.toString('base64'), 'base64').data.equals(PDF));
+  assert.ok(toBuffer(JSON.parse(JSON.stringify(PDF))).data.equals(PDF));
+
+  const url = toBuffer(`data:application/pdf;base64,${PDF.toString('base64')}`, 'base64');
+  assert.ok(url.data.equals(PDF));
+  assert.equal(url.contentType, 'application/pdf');
+
+  assert.throws(() => toBuffer('not base64!', 'base64'), { code: 'INVALID_CONTENT' });
+  assert.throws(() => toBuffer('x', 'utf9'), { code: 'INVALID_CONTENT' });
+});
+
+test('binary files round-trip through base64 with their content type', async () => {
+  const vfs = await createVFS();
+  const written = await vfs.writeFile('invoice.bin', PDF.toString('base64'), 'run', { encoding: 'base64' });
+  assert.equal(written.size, PDF.length);
+  assert.equal(written.contentType, 'application/pdf');
+
+  const read = await vfs.readFile('invoice.bin', 'run', { as: 'base64' });
+  assert.equal(read.encoding, 'base64');
+  assert.equal(read.contentType, 'application/pdf');
+  assert.ok(Buffer.from(read.content, 'base64').equals(PDF));
+
+  const auto = await vfs.readFile('invoice.bin', 'run', { as: 'auto' });
+  assert.equal(auto.encoding, 'base64');
+});
+
+test('as: json and as: auto parse JSON files', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('settings.json', { retries: 3 }, 'run');
+  await vfs.writeFile('notes.txt', 'hello', 'run');
+
+  assert.deepEqual((await vfs.readFile('settings.json', 'run', { as: 'json' })).content, { retries: 3 });
+  assert.deepEqual((await vfs.readFile('settings.json', 'run', { as: 'auto' })).content, { retries: 3 });
+  assert.equal((await vfs.readFile('notes.txt', 'run', { as: 'auto' })).content, 'hello');
+
+  await assert.rejects(vfs.readFile('notes.txt', 'run', { as: 'json' }), { code: 'INVALID_CONTENT' });
+  await assert.rejects(vfs.readFile('notes.txt', 'run', { as: 'xml' }), { code: 'INVALID_PARAMS' });
+});
+
+test('an explicit content type wins over detection', async () => {
+  const vfs = await createVFS();
+  const written = await vfs.writeFile('page', '<p>hi</p>', 'run', { contentType: 'text/html' });
+  assert.equal(written.contentType, 'text/html');
+  assert.equal((await vfs.readFile('page', 'run')).contentType, 'text/html');
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createVFS(runId = 'run', options = {}) {
+  const vfs = new TaskVFS('/eco', 'task', runId, { backend: new MemoryBackend(), ...options });
+  await vfs.ready;
+  return vfs;
+}
+
+test('emitted events are written to the run journal', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('reports/a.txt', 'a', 'run');
+  await vfs.readFile('reports/a.txt', 'run');
+  await vfs.deleteFile('reports/a.txt', 'run');
+
+  const { events, total, truncated } = await vfs.queryJournal();
+  assert.equal(total, 3);
+  assert.equal(truncated, false);
+  assert.deepEqual(events.map(event => event.type), ['file:write', 'file:read', 'file:delete']);
+  for (const event of events) {
+    assert.equal(event.runId, 'run');
+    assert.equal(event.path, 'reports/a.txt');
+    assert.equal(event.fullPath, undefined);
+  }
+});
+
+test('queries filter by type, path and scope', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('reports/a.txt', 'a', 'run');
+  await vfs.writeFile('reports/b.json', '{}', 'run');
+  await vfs.writeFile('notes.txt', 'n', 'task');
+  await vfs.readFile('notes.txt', 'task');
+
+  const writes = await vfs.queryJournal({ type: 'file:write' });
+  assert.equal(writes.total, 3);
+  assert.deepEqual((await vfs.queryJournal({ path: 'reports' })).events.map(event => event.path), ['reports/a.txt', 'reports/b.json']);
+  assert.deepEqual((await vfs.queryJournal({ path: '**/*.json' })).events.map(event => event.path), ['reports/b.json']);
+  assert.equal((await vfs.queryJournal({ scope: 'task', type: ['file:read'] })).total, 1);
+  assert.equal((await vfs.queryJournal({ to: '2000-01-01T00:00:00Z' })).total, 0);
+  await assert.rejects(vfs.queryJournal({ from: 'yesterday' }), /Invalid from/);
+});
+
+test('the cursor pages through the journal without repeats', async () => {
+  const vfs = await createVFS();
+  for (let i = 0; i < 5; i++) await vfs.writeFile(`f${i}.txt`, String(i), 'run');
+
+  const seen = [];
+  let cursor = 0;
+  do {
+    const page = await vfs.queryJournal({ limit: 2, cursor });
+    seen.push(...page.events.map(event => event.path));
+    cursor = page.nextCursor;
+  } while (cursor !== null);
+
+  assert.deepEqual(seen, ['f0.txt', 'f1.txt', 'f2.txt', 'f3.txt', 'f4.txt']);
+});
+
+test('the task journal collects every run', async () => {
+  const backend = new MemoryBackend();
+  for (const runId of ['run-1', 'run-2']) {
+    const vfs = new TaskVFS('/eco', 'task', runId, { backend });
+    await vfs.ready;
+    await vfs.writeFile('out.txt', runId, 'run');
+    await vfs.journal.flush();
+  }
+
+  const vfs = new TaskVFS('/eco', 'task', 'run-3', { backend });
+  await vfs.ready;
+  assert.equal((await vfs.queryJournal()).total, 0);
+  const all = await vfs.queryJournal({ journal: 'task' });
+  assert.deepEqual(all.events.map(event => event.runId), ['run-1', 'run-2']);
+  assert.equal((await vfs.queryJournal({ journal: 'task', runId: 'run-2' })).total, 1);
+  await assert.rejects(vfs.queryJournal({ journal: 'global' }), /Invalid journal/);
+});
+
+test('the journal can be limited to some events or turned off', async () => {
+  const limited = await createVFS('run', { journal: { events: ['file:delete'], task: false } });
+  await limited.writeFile('a.txt', 'a', 'run');
+  await limited.deleteFile('a.txt', 'run');
+  assert.deepEqual((await limited.queryJournal()).events.map(event => event.type), ['file:delete']);
+  assert.equal((await limited.queryJournal({ journal: 'task' })).total, 0);
+
+  const off = await createVFS('run', { journal: false });
+  await off.writeFile('a.txt', 'a', 'run');
+  assert.equal((await off.queryJournal()).total, 0);
+});
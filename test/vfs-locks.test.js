@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+// Two runs of the same task sharing one backend.
+async function createRuns() {
+  const backend = new MemoryBackend();
+  const a = new TaskVFS('/eco', 'task', 'run-a', { backend });
+  const b = new TaskVFS('/eco', 'task', 'run-b', { backend });
+  await Promise.all([a.ready, b.ready]);
+  return { backend, a, b };
+}
+
+function metaFiles(backend, namespace) {
+  return [...backend.files.keys()].filter(key => key.includes(`/meta/${namespace}/`));
+}
+
+test('ifMatch rejects a write when the file changed since it was read', async () => {
+  const { a, b } = await createRuns();
+  const { etag } = await a.writeFile('counter.json', '1', 'task');
+
+  await b.writeFile('counter.json', '2', 'task', { ifMatch: etag });
+  await assert.rejects(a.writeFile('counter.json', '3', 'task', { ifMatch: etag }), error => {
+    assert.equal(error.code, 'CONFLICT');
+    assert.equal(error.expected, etag);
+    return true;
+  });
+  await assert.rejects(a.deleteFile('counter.json', 'task', { ifMatch: etag }), { code: 'CONFLICT' });
+  assert.equal((await a.readFile('counter.json', 'task')).content, '2');
+});
+
+test('a held lock blocks other runs until it is released', async () => {
+  const { a, b } = await createRuns();
+  const lock = await a.acquireLock('index.json', 'task', { ttlMs: 5000 });
+  assert.equal(lock.owner, 'run-a');
+
+  await assert.rejects(b.acquireLock('index.json', 'task'), { code: 'LOCKED' });
+  assert.equal((await b.getLock('index.json', 'task')).locked, true);
+
+  await a.writeFile('index.json', 'a', 'task', { lockToken: lock.token });
+  await assert.rejects(b.writeFile('index.json', 'b', 'task', { lockToken: 'not-the-token' }), { code: 'LOCKED' });
+
+  await a.releaseLock('index.json', lock.token, 'task');
+  assert.equal((await b.getLock('index.json', 'task')).locked, false);
+  const taken = await b.acquireLock('index.json', 'task');
+  assert.equal(taken.owner, 'run-b');
+});
+
+test('an expired lock can be taken over and its old token no longer works', async () => {
+  const { a, b } = await createRuns();
+  const stale = await a.acquireLock('job', 'task', { ttlMs: 20 });
+  await new Promise(resolve => setTimeout(resolve, 40));
+
+  const fresh = await b.acquireLock('job', 'task', { ttlMs: 5000 });
+  await assert.rejects(a.renewLock('job', stale.token, 'task'), { code: 'LOCKED' });
+  await assert.rejects(a.releaseLock('job', stale.token, 'task'), { code: 'LOCKED' });
+
+  const renewed = await b.renewLock('job', fresh.token, 'task', 10000);
+  assert.ok(Date.parse(renewed.expiresAt) > Date.parse(fresh.expiresAt));
+});
+
+test('waitMs waits for a lock to be released', async () => {
+  const { a, b } = await createRuns();
+  const lock = await a.acquireLock('slot', 'task');
+  setTimeout(() => a.releaseLock('slot', lock.token, 'task'), 50);
+
+  const waited = await b.acquireLock('slot', 'task', { waitMs: 2000 });
+  assert.equal(waited.owner, 'run-b');
+});
+
+test('released locks and finished write leases leave no records behind', async () => {
+  const { backend, a } = await createRuns();
+  const lock = await a.acquireLock('x', 'task');
+  await a.renewLock('x', lock.token, 'task');
+  assert.equal(metaFiles(backend, 'locks').length, 1);
+  await a.releaseLock('x', lock.token, 'task');
+  assert.deepEqual(metaFiles(backend, 'locks'), []);
+
+  await a.writeFile('shared.txt', 'x', 'task');
+  await a.deleteFile('shared.txt', 'task');
+  await a.writeFile('own.txt', 'x', 'run');
+  assert.deepEqual(metaFiles(backend, 'writes'), []);
+});
+
+test('hold renews the lease while the critical section runs', async () => {
+  const { a, b } = await createRuns();
+  let renewals = 0;
+  const renew = a.locks.renew.bind(a.locks);
+  a.locks.renew = (...args) => {
+    renewals++;
+    return renew(...args);
+  };
+
+  await a.locks.hold('task', 'long', async () => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await assert.rejects(b.acquireLock('long', 'task'), { code: 'LOCKED' });
+  }, { ttlMs: 60 });
+
+  assert.ok(renewals >= 2);
+  assert.equal((await b.getLock('long', 'task')).locked, false);
+});
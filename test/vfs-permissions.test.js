@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+const POLICY = {
+  scopes: {
+    task: { read: ['reports/2025'], write: ['reports/'] }
+  },
+  tools: ['vfs', 'demo.allowed'],
+  maxFileBytes: 8
+};
+
+async function createVFS(permissions = POLICY, backend = new MemoryBackend()) {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend, permissions });
+  await vfs.ready;
+  return vfs;
+}
+
+test('without a policy every scope is readable and writable', async () => {
+  const vfs = await createVFS(null);
+  await vfs.writeFile('shared.txt', 'x', 'global');
+  assert.equal((await vfs.readFile('shared.txt', 'global')).content, 'x');
+});
+
+test('global is read-only by default and write rules are path prefixes', async () => {
+  const vfs = await createVFS();
+  await assert.rejects(vfs.writeFile('shared.txt', 'x', 'global'), error => {
+    assert.equal(error.code, 'PERMISSION_DENIED');
+    assert.equal(error.scope, 'global');
+    return true;
+  });
+
+  await vfs.writeFile('reports/2025/q1.txt', 'q1', 'task');
+  await assert.rejects(vfs.writeFile('notes.txt', 'x', 'task'), { code: 'PERMISSION_DENIED' });
+  await assert.rejects(vfs.writeFile('reports/big.txt', '123456789', 'task'), error => {
+    assert.equal(error.code, 'PERMISSION_DENIED');
+    assert.equal(error.limit, 8);
+    return true;
+  });
+});
+
+test('read prefixes hide other paths but keep their parents listable', async () => {
+  const backend = new MemoryBackend();
+  const owner = await createVFS(null, backend);
+  await owner.writeFile('reports/2025/q1.txt', 'q1', 'task');
+  await owner.writeFile('reports/2024/q4.txt', 'q4', 'task');
+  await owner.writeFile('secret.txt', 's', 'task');
+
+  const vfs = await createVFS(POLICY, backend);
+  assert.equal((await vfs.readFile('reports/2025/q1.txt', 'task')).content, 'q1');
+  await assert.rejects(vfs.readFile('secret.txt', 'task'), { code: 'PERMISSION_DENIED' });
+  assert.equal(await vfs.exists('secret.txt', 'task'), false);
+
+  const root = await vfs.listFiles('/', 'task');
+  assert.deepEqual(root.files.map(file => file.name), []);
+  assert.deepEqual(root.directories.map(dir => dir.name), ['reports']);
+  const reports = await vfs.listFiles('reports', 'task');
+  assert.deepEqual(reports.directories.map(dir => dir.name), ['2025']);
+});
+
+test('whole-scope operations need an unrestricted rule', async () => {
+  const vfs = await createVFS();
+  await assert.rejects(vfs.getUsage('task'), { code: 'PERMISSION_DENIED' });
+  await assert.rejects(vfs.recalculateUsage('task'), { code: 'PERMISSION_DENIED' });
+  await assert.rejects(vfs.listSnapshots('task'), { code: 'PERMISSION_DENIED' });
+  await assert.rejects(vfs.createSnapshot('s1', 'task'), { code: 'PERMISSION_DENIED' });
+
+  assert.equal((await vfs.getUsage('run')).scope, 'run');
+  assert.equal((await vfs.listSnapshots('run')).total, 0);
+});
+
+test('denials are recorded and emitted', async () => {
+  const vfs = await createVFS();
+  const events = [];
+  vfs.on('permission:denied', entry => events.push(entry));
+
+  await assert.rejects(vfs.writeFile('a.txt', 'x', 'global'));
+  const denials = await vfs.permissions.denials();
+  assert.equal(denials.length, 1);
+  assert.equal(denials[0].access, 'write');
+  assert.equal(denials[0].scope, 'global');
+  assert.equal(denials[0].path, 'a.txt');
+  assert.deepEqual(events, denials);
+});
+
+test('policies reject unknown scopes and malformed rules', () => {
+  assert.throws(() => new TaskVFS('/eco', 'task', 'run', { backend: new MemoryBackend(), permissions: { scopes: { shared: true } } }), /Invalid scope/);
+  assert.throws(() => new TaskVFS('/eco', 'task', 'run', { backend: new MemoryBackend(), permissions: { scopes: { task: { read: 'yes' } } } }), /Invalid permission rule/);
+});
+
+test('the tool list limits which host tools a task may call', async () => {
+  const registry = new ToolRegistry();
+  registry.register('demo', {
+    methods: [
+      { path: 'allowed', handler: async () => ({ success: true }) },
+      { path: 'blocked', handler: async () => ({ success: true }) }
+    ]
+  });
+  const tools = new HostTools('/eco', 'task', 'run', { backend: new MemoryBackend(), registry, permissions: POLICY });
+  await tools.vfs.ready;
+
+  assert.equal((await tools.call('demo', 'allowed')).success, true);
+  const blocked = await tools.call('demo', 'blocked');
+  assert.equal(blocked.success, false);
+  assert.equal(blocked.code, 'PERMISSION_DENIED');
+  assert.equal((await tools.tools.writeFile({ path: 'a.txt', content: 'x' })).success, true);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createVFS(quotas) {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend: new MemoryBackend(), quotas });
+  await vfs.ready;
+  return vfs;
+}
+
+test('writes past maxBytes fail with QUOTA_EXCEEDED and leave usage unchanged', async () => {
+  const vfs = await createVFS({ run: { maxBytes: 10 } });
+  await vfs.writeFile('a.txt', '123456', 'run');
+
+  await assert.rejects(vfs.writeFile('b.txt', '12345', 'run'), error => {
+    assert.equal(error.code, 'QUOTA_EXCEEDED');
+    assert.equal(error.limit, 'maxBytes');
+    assert.equal(error.usage, 6);
+    return true;
+  });
+  assert.equal(await vfs.exists('b.txt', 'run'), false);
+
+  const usage = await vfs.getUsage('run');
+  assert.equal(usage.bytes, 6);
+  assert.equal(usage.files, 1);
+  assert.deepEqual(usage.quota, { maxBytes: 10, maxFiles: null });
+});
+
+test('overwrites and appends are charged by the size difference', async () => {
+  const vfs = await createVFS({ run: { maxBytes: 10 } });
+  await vfs.writeFile('a.txt', '1234567890', 'run');
+
+  // Shrinking a file is allowed even when the scope is full.
+  await vfs.writeFile('a.txt', '1234', 'run');
+  await vfs.appendFile('a.txt', '56', 'run');
+  assert.equal((await vfs.getUsage('run')).bytes, 6);
+
+  await assert.rejects(vfs.appendFile('a.txt', '12345', 'run'), { code: 'QUOTA_EXCEEDED' });
+  await vfs.deleteFile('a.txt', 'run');
+  assert.deepEqual(await vfs.getUsage('run'), { scope: 'run', bytes: 0, files: 0, quota: { maxBytes: 10, maxFiles: null } });
+});
+
+test('maxFiles counts new files only', async () => {
+  const vfs = await createVFS({ task: { maxFiles: 1 } });
+  await vfs.writeFile('one.txt', 'x', 'task');
+  await vfs.writeFile('one.txt', 'xy', 'task');
+
+  await assert.rejects(vfs.writeFile('two.txt', 'x', 'task'), error => {
+    assert.equal(error.code, 'QUOTA_EXCEEDED');
+    assert.equal(error.limit, 'maxFiles');
+    return true;
+  });
+
+  // Scopes without a quota are unlimited.
+  await vfs.writeFile('two.txt', 'x', 'run');
+});
+
+test('recalculateUsage rebuilds the ledger from the scope contents', async () => {
+  const vfs = await createVFS({});
+  await vfs.writeFile('dir/a.txt', 'abc', 'run');
+  await vfs.writeFile('b.txt', 'de', 'run');
+
+  await vfs.backend.deleteFile(vfs._metaKey('run', 'usage.json'));
+  vfs.usage.usage = {};
+
+  const usage = await vfs.recalculateUsage('run');
+  assert.equal(usage.bytes, 5);
+  assert.equal(usage.files, 2);
+});
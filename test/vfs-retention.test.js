@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+const { parseDuration } = require('../taskcode/vfs-retention.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function openRun(backend, runId, options = {}) {
+  const vfs = new TaskVFS('/eco', 'task', runId, { backend, ...options });
+  await vfs.ready;
+  await vfs.writeFile('out.txt', runId, 'run');
+  return vfs;
+}
+
+test('parseDuration accepts milliseconds and unit strings', () => {
+  assert.equal(parseDuration(1500), 1500);
+  assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+  assert.equal(parseDuration('1.5h'), 90 * 60 * 1000);
+  assert.equal(parseDuration(null), null);
+  assert.throws(() => parseDuration('soon'), { code: 'INVALID_PARAMS' });
+});
+
+test('gc removes idle runs unless they are current, pinned or suspended', async () => {
+  const backend = new MemoryBackend();
+  await (await openRun(backend, 'finished')).setRunStatus('completed');
+  await openRun(backend, 'unmarked');
+  await (await openRun(backend, 'waiting')).setRunStatus('suspended');
+  await openRun(backend, 'kept');
+  const current = await openRun(backend, 'current', { retention: { run: { ttl: '20ms' } } });
+  await current.pinRun('kept', { reason: 'audit' });
+
+  await sleep(40);
+  const preview = await current.gc({ dryRun: true });
+  assert.deepEqual(preview.runs.map(run => run.runId).sort(), ['finished', 'unmarked']);
+  assert.equal((await current.listRuns()).total, 5);
+
+  const report = await current.gc();
+  assert.deepEqual(report.runs.map(run => run.runId).sort(), ['finished', 'unmarked']);
+  assert.equal(report.freed.files, 2);
+  assert.deepEqual((await current.listRuns()).runs.map(run => run.runId).sort(), ['current', 'kept', 'waiting']);
+  await assert.rejects(current.setRunStatus('paused'), { code: 'INVALID_PARAMS' });
+});
+
+test('files past their expiresAt or the scope ttl are collected', async () => {
+  const backend = new MemoryBackend();
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend, retention: { task: { ttl: '30ms' } } });
+  await vfs.ready;
+  await vfs.writeFile('scratch.txt', 'x', 'run', { ttl: 10 });
+  await vfs.writeFile('keep.txt', 'x', 'run');
+  await vfs.writeFile('old.txt', 'x', 'task');
+
+  await sleep(50);
+  await vfs.writeFile('fresh.txt', 'x', 'task');
+
+  const report = await vfs.gc({ runs: false });
+  assert.equal(report.runs, null);
+  assert.deepEqual(report.files.map(file => `${file.scope}:${file.path}:${file.reason}`).sort(), [
+    'run:scratch.txt:expired',
+    'task:old.txt:ttl'
+  ]);
+  assert.equal(await vfs.exists('keep.txt', 'run'), true);
+  assert.equal(await vfs.exists('fresh.txt', 'task'), true);
+});
+
+test('task code needs the gc grant to collect runs or objects', async () => {
+  const backend = new MemoryBackend();
+  const denied = new HostTools('/eco', 'task', 'run', { backend });
+  await denied.vfs.ready;
+
+  assert.equal((await denied.tools.gc({ dryRun: true })).success, true);
+  assert.equal((await denied.tools.gc({ runs: true })).code, 'PERMISSION_DENIED');
+  assert.equal((await denied.tools.gc({ objects: true })).code, 'PERMISSION_DENIED');
+
+  const granted = new HostTools('/eco', 'task', 'run', { backend, permissions: { gc: true } });
+  const report = await granted.tools.gc({ dryRun: true, runs: true, objects: true });
+  assert.equal(report.success, true);
+  assert.deepEqual(report.runs, []);
+  assert.equal(report.objects.count, 0);
+});
@@ -0,0 +1,77 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+const { globToRegExp } = require('../taskcode/vfs-search.js');
+
+let vfs;
+
+before(async () => {
+  vfs = new TaskVFS('/eco', 'task', 'run', { backend: new MemoryBackend() });
+  await vfs.ready;
+  await vfs.writeFile('reports/2024/jan.json', '{"total": 1}', 'run');
+  await vfs.writeFile('reports/2024/feb.json', '{"total": 2}', 'run');
+  await vfs.writeFile('reports/summary.md', '# TODO: totals\nnothing here\ntodo later\n', 'run');
+  await vfs.writeFile('src/app.js', 'const a = 1; // TODO\n', 'run');
+  await vfs.writeFile('shared/notes.txt', 'TODO shared\n', 'task');
+  await vfs.writeFile('image.bin', Buffer.from([0x89, 0x50, 0x00, 0x01]), 'run');
+});
+
+test('globToRegExp handles globstars, classes and alternation', () => {
+  assert.ok(globToRegExp('**/*.json').test('a/b/c.json'));
+  assert.ok(globToRegExp('**/*.json').test('c.json'));
+  assert.ok(!globToRegExp('*.json').test('a/c.json'));
+  assert.ok(globToRegExp('file-[!0-9].txt').test('file-a.txt'));
+  assert.ok(!globToRegExp('file-[!0-9].txt').test('file-1.txt'));
+  assert.ok(globToRegExp('src/*.{js,ts}').test('src/app.ts'));
+});
+
+test('glob matches paths in order and pages with a cursor', async () => {
+  const all = await vfs.glob('reports/**/*.json', { scope: 'run' });
+  assert.deepEqual(all.matches.map(match => match.path), ['reports/2024/feb.json', 'reports/2024/jan.json']);
+
+  const first = await vfs.glob('**/*', { scope: 'run', limit: 2 });
+  assert.equal(first.matches.length, 2);
+  assert.equal(first.truncated, true);
+
+  const rest = await vfs.glob('**/*', { scope: 'run', limit: 100, cursor: first.nextCursor });
+  const paths = [...first.matches, ...rest.matches].map(match => match.path);
+  assert.deepEqual(paths, ['image.bin', 'reports/2024/feb.json', 'reports/2024/jan.json', 'reports/summary.md', 'src/app.js']);
+  assert.equal(rest.nextCursor, null);
+});
+
+test('glob with scope all searches run, task and global in turn', async () => {
+  const result = await vfs.glob('**/*.txt', { scope: 'all' });
+  assert.deepEqual(result.scopes, ['run', 'task', 'global']);
+  assert.deepEqual(result.matches.map(match => `${match.scope}:${match.path}`), ['task:shared/notes.txt']);
+});
+
+test('grep reports line and column and skips binary files', async () => {
+  const result = await vfs.grep('TODO', { scope: 'run' });
+  assert.deepEqual(
+    result.matches.map(match => `${match.path}:${match.line}:${match.column}`),
+    ['reports/summary.md:1:3', 'src/app.js:1:17']
+  );
+  assert.deepEqual(result.skipped, [{ path: 'image.bin', scope: 'run', reason: 'binary' }]);
+
+  const ignoringCase = await vfs.grep('todo', { scope: 'run', glob: '**/*.md', ignoreCase: true });
+  assert.deepEqual(ignoringCase.matches.map(match => match.line), [1, 3]);
+
+  const regex = await vfs.grep('"total": \\d', { scope: 'run', regex: true });
+  assert.equal(regex.total, 2);
+});
+
+test('grep resumes inside a file from its cursor', async () => {
+  const first = await vfs.grep('todo', { scope: 'run', glob: '**/*.md', ignoreCase: true, maxMatches: 1 });
+  assert.equal(first.matches[0].line, 1);
+  assert.ok(first.nextCursor);
+
+  const second = await vfs.grep('todo', { scope: 'run', glob: '**/*.md', ignoreCase: true, cursor: first.nextCursor });
+  assert.deepEqual(second.matches.map(match => match.line), [3]);
+});
+
+test('empty patterns and queries are rejected', async () => {
+  await assert.rejects(vfs.glob(' '), { code: 'INVALID_PARAMS' });
+  await assert.rejects(vfs.grep(''), { code: 'INVALID_PARAMS' });
+  await assert.rejects(vfs.glob('*', { cursor: 'not-a-cursor' }), { code: 'INVALID_PARAMS' });
+});
@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VFSServer } = require('../taskcode/vfs-server.js');
+const { TaskVFS } = require('../taskcode/vfs.js');
+
+let root;
+let server;
+let base;
+
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'vfs-server-'));
+  server = new VFSServer(root, {
+    tokens: {
+      admin: {},
+      reader: { write: false },
+      'task-a': { tasks: ['a'] },
+      'task-a-global': { tasks: ['a'], global: true }
+    }
+  });
+  base = `${(await server.listen()).url}/vfs`;
+
+  // The server only serves runs that exist.
+  for (const [taskId, runId] of [['a', 'r1'], ['a', 'r2'], ['a', 'r3'], ['b', 'r1']]) {
+    await new TaskVFS(root, taskId, runId).ready;
+  }
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function request(route, token, init = {}) {
+  const headers = { ...init.headers };
+  if (token) headers.authorization = `Bearer ${token}`;
+  return fetch(`${base}${route}`, { ...init, headers });
+}
+
+async function put(route, token, body, headers = {}) {
+  return request(route, token, { method: 'PUT', body, headers });
+}
+
+test('task-limited tokens can read but not write the global scope', async () => {
+  assert.equal((await put('/a/r1/global/files/shared.txt', 'admin', 'from admin')).status, 200);
+
+  const denied = await put('/a/r1/global/files/shared.txt', 'task-a', 'overwritten');
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).code, 'PERMISSION_DENIED');
+  assert.equal((await request('/a/r1/global/files/shared.txt', 'task-a', { method: 'DELETE' })).status, 403);
+
+  const read = await request('/a/r1/global/files/shared.txt', 'task-a');
+  assert.equal(read.status, 200);
+  assert.equal(await read.text(), 'from admin');
+
+  assert.equal((await put('/a/r1/global/files/shared.txt', 'task-a-global', 'granted')).status, 200);
+  assert.equal((await put('/a/r1/run/files/own.txt', 'task-a', 'mine')).status, 200);
+  assert.equal((await put('/b/r1/run/files/other.txt', 'task-a', 'theirs')).status, 403);
+  assert.equal((await put('/a/r1/run/files/ro.txt', 'reader', 'x')).status, 403);
+});
+
+test('query tokens are only accepted on the event stream', async () => {
+  assert.equal((await request('/a/r1/run/files/own.txt?token=admin', null)).status, 401);
+  assert.equal((await request('/a/r1/run/files/q.txt?token=admin', null, { method: 'PUT', body: 'x' })).status, 401);
+
+  const controller = new AbortController();
+  const events = await request('/a/r1/events?token=admin', null, { signal: controller.signal });
+  assert.equal(events.status, 200);
+  assert.match(events.headers.get('content-type'), /^text\/event-stream/);
+  controller.abort();
+});
+
+test('malformed paths are rejected with 400', async () => {
+  const malformed = await request('/a/r1/run/files/%E0%A4%A', 'admin');
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).code, 'INVALID_PARAMS');
+
+  assert.equal((await request('/a/r1/run/files/', 'admin')).status, 400);
+  assert.equal((await put('/a/r1/run/files/', 'admin', 'x')).status, 400);
+  assert.equal((await request('/a/r1/run/stat/', 'admin')).status, 400);
+});
+
+test('ranges, HEAD and conditional requests', async () => {
+  const content = Buffer.alloc(200 * 1024, 'abcdefghij');
+  const written = await put('/a/r2/run/files/big.bin', 'admin', content);
+  const etag = written.headers.get('etag');
+  assert.match(etag, /^"[0-9a-f]+"$/);
+
+  const full = await request('/a/r2/run/files/big.bin', 'admin');
+  assert.equal(full.headers.get('etag'), etag);
+  assert.ok(Buffer.from(await full.arrayBuffer()).equals(content));
+
+  const ranged = await request('/a/r2/run/files/big.bin', 'admin', { headers: { range: 'bytes=70000-140009' } });
+  assert.equal(ranged.status, 206);
+  assert.equal(ranged.headers.get('content-range'), `bytes 70000-140009/${content.length}`);
+  assert.ok(Buffer.from(await ranged.arrayBuffer()).equals(content.subarray(70000, 140010)));
+
+  const suffix = await request('/a/r2/run/files/big.bin', 'admin', { headers: { range: 'bytes=-5' } });
+  assert.equal(await suffix.text(), content.subarray(-5).toString());
+
+  const outside = await request('/a/r2/run/files/big.bin', 'admin', { headers: { range: 'bytes=999999-' } });
+  assert.equal(outside.status, 416);
+  assert.equal(outside.headers.get('content-range'), `bytes */${content.length}`);
+
+  const head = await request('/a/r2/run/files/big.bin', 'admin', { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(head.headers.get('content-length'), String(content.length));
+  assert.equal((await head.arrayBuffer()).byteLength, 0);
+
+  assert.equal((await request('/a/r2/run/files/big.bin', 'admin', { headers: { 'if-none-match': etag } })).status, 304);
+  assert.equal((await put('/a/r2/run/files/big.bin', 'admin', 'x', { 'if-match': '"stale"' })).status, 412);
+});
+
+test('files changed without a recorded hash get a weak etag', async () => {
+  await put('/a/r3/run/files/log.txt', 'admin', 'one\n');
+  const vfs = await server._vfs('a', 'r3');
+  await vfs.appendFile('log.txt', 'two\n', 'run');
+
+  const read = await request('/a/r3/run/files/log.txt', 'admin');
+  const etag = read.headers.get('etag');
+  assert.match(etag, /^W\//);
+  assert.equal(await read.text(), 'one\ntwo\n');
+
+  assert.equal((await request('/a/r3/run/files/log.txt', 'admin', { headers: { 'if-none-match': etag } })).status, 304);
+  assert.equal((await put('/a/r3/run/files/log.txt', 'admin', 'x', { 'if-match': etag })).status, 412);
+});
+
+test('requests for runs that do not exist get 404 and create nothing', async () => {
+  const read = await request('/a/nope/run/files/x.txt', 'admin');
+  assert.equal(read.status, 404);
+  assert.equal((await read.json()).code, 'NOT_FOUND');
+  assert.equal((await request('/a/nope/events', 'admin')).status, 404);
+  assert.equal((await put('/a/nope/run/files/x.txt', 'admin', 'x')).status, 404);
+  assert.equal(fs.existsSync(path.join(root, 'tasks', 'a', 'runs', 'nope')), false);
+});
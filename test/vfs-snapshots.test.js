@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createVFS() {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend: new MemoryBackend() });
+  await vfs.ready;
+  return vfs;
+}
+
+async function read(vfs, filepath) {
+  return (await vfs.readFile(filepath, 'run')).content;
+}
+
+test('restoreSnapshot returns the scope to the captured state', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('keep.txt', 'original', 'run');
+  await vfs.writeFile('data/a.json', '{"a":1}', 'run');
+  await vfs.createSnapshot('checkpoint', 'run');
+
+  await vfs.writeFile('keep.txt', 'changed', 'run');
+  await vfs.deleteFile('data/a.json', 'run');
+  await vfs.writeFile('extra/new.txt', 'new', 'run');
+
+  const restored = await vfs.restoreSnapshot('checkpoint', 'run');
+  assert.deepEqual(restored.restored.sort(), ['data/a.json', 'keep.txt']);
+  assert.deepEqual(restored.removed, ['extra']);
+
+  assert.equal(await read(vfs, 'keep.txt'), 'original');
+  assert.equal(await read(vfs, 'data/a.json'), '{"a":1}');
+  assert.equal(await vfs.exists('extra/new.txt', 'run'), false);
+});
+
+test('diffSnapshots compares against the live scope or another snapshot', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('a.txt', 'a', 'run');
+  await vfs.writeFile('b.txt', 'b', 'run');
+  await vfs.createSnapshot('one', 'run');
+
+  await vfs.writeFile('a.txt', 'a2', 'run');
+  await vfs.deleteFile('b.txt', 'run');
+  await vfs.writeFile('c.txt', 'c', 'run');
+
+  const live = await vfs.diffSnapshots('one', null, 'run');
+  assert.equal(live.to, 'current');
+  assert.deepEqual(live.added.map(file => file.path), ['c.txt']);
+  assert.deepEqual(live.removed.map(file => file.path), ['b.txt']);
+  assert.deepEqual(live.modified.map(file => file.path), ['a.txt']);
+  assert.equal(live.unchanged, 0);
+
+  await vfs.createSnapshot('two', 'run');
+  const between = await vfs.diffSnapshots('one', 'two', 'run');
+  assert.deepEqual(between.added.map(file => file.path), ['c.txt']);
+});
+
+test('snapshots are listed, not overwritten by accident, and deleted by name', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('a.txt', 'abc', 'run');
+  await vfs.createSnapshot('s1', 'run', { description: 'first' });
+
+  await assert.rejects(vfs.createSnapshot('s1', 'run'), { code: 'ALREADY_EXISTS' });
+  await vfs.createSnapshot('s1', 'run', { overwrite: true });
+
+  const { snapshots } = await vfs.listSnapshots('run');
+  assert.equal(snapshots.length, 1);
+  assert.equal(snapshots[0].name, 's1');
+  assert.equal(snapshots[0].fileCount, 1);
+  assert.equal(snapshots[0].size, 3);
+
+  await vfs.deleteSnapshot('s1', 'run');
+  assert.equal((await vfs.listSnapshots('run')).total, 0);
+  await assert.rejects(vfs.restoreSnapshot('s1', 'run'), { code: 'NOT_FOUND' });
+});
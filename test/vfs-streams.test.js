@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createVFS() {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend: new MemoryBackend() });
+  await vfs.ready;
+  return vfs;
+}
+
+async function read(vfs, filepath, scope = 'run') {
+  return (await vfs.readFile(filepath, scope)).content;
+}
+
+test('byte ranges, negative offsets and line ranges', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('log.txt', 'one\ntwo\nthree\nfour', 'run');
+
+  const middle = await vfs.readFile('log.txt', 'run', { offset: 4, length: 3 });
+  assert.equal(middle.content, 'two');
+  assert.equal(middle.totalSize, 18);
+  assert.deepEqual(middle.range, { offset: 4, length: 3, eof: false });
+
+  assert.equal((await vfs.readFile('log.txt', 'run', { offset: -4 })).content, 'four');
+
+  const lines = await vfs.readFile('log.txt', 'run', { startLine: 2, endLine: 3 });
+  assert.equal(lines.content, 'two\nthree');
+  assert.deepEqual(lines.lines, { startLine: 2, endLine: 3, count: 2, nextLine: 4, eof: false });
+
+  const tail = await vfs.readFile('log.txt', 'run', { startLine: 4 });
+  assert.equal(tail.content, 'four');
+  assert.equal(tail.lines.eof, true);
+
+  await assert.rejects(vfs.readFile('log.txt', 'run', { startLine: 3, endLine: 2 }), { code: 'INVALID_PARAMS' });
+});
+
+test('createReadStream yields the requested bytes', async () => {
+  const vfs = await createVFS();
+  const content = Buffer.alloc(200 * 1024, 'abcdef');
+  await vfs.writeFile('big.bin', content, 'run');
+
+  const chunks = [];
+  for await (const chunk of await vfs.createReadStream('big.bin', 'run', { start: 1000, end: 150000 })) {
+    chunks.push(chunk);
+  }
+  assert.ok(Buffer.concat(chunks).equals(content.subarray(1000, 150000)));
+});
+
+test('write streams build the file on close and acknowledge re-sent chunks', async () => {
+  const vfs = await createVFS();
+  const { streamId } = await vfs.openWriteStream('export.csv', 'run');
+
+  await vfs.writeStreamChunk(streamId, 'a,b\n', { offset: 0 });
+  await vfs.writeStreamChunk(streamId, '1,2\n', { offset: 4 });
+  const duplicate = await vfs.writeStreamChunk(streamId, '1,2\n', { offset: 4 });
+  assert.equal(duplicate.duplicate, true);
+  assert.equal(duplicate.size, 8);
+
+  await assert.rejects(vfs.writeStreamChunk(streamId, 'x', { offset: 20 }), error => {
+    assert.equal(error.code, 'CONFLICT');
+    assert.equal(error.received, 8);
+    return true;
+  });
+  assert.equal(await vfs.exists('export.csv', 'run'), false);
+
+  const closed = await vfs.closeWriteStream(streamId);
+  assert.equal(closed.state, 'closed');
+  assert.equal(closed.bytesWritten, 8);
+  assert.equal(await read(vfs, 'export.csv'), 'a,b\n1,2\n');
+  assert.equal(closed.etag, (await vfs.readFile('export.csv', 'run')).etag);
+  await assert.rejects(vfs.getWriteStream(streamId), { code: 'NOT_FOUND' });
+});
+
+test('append streams add to the existing file', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('log.txt', 'start\n', 'task');
+
+  const { streamId } = await vfs.openWriteStream('log.txt', 'task', { append: true });
+  for (const line of ['a\n', 'b\n', 'c\n']) await vfs.writeStreamChunk(streamId, line);
+  await vfs.closeWriteStream(streamId);
+
+  assert.equal(await read(vfs, 'log.txt', 'task'), 'start\na\nb\nc\n');
+});
+
+test('a close cut short resumes without writing any part twice', async () => {
+  for (const append of [false, true]) {
+    const vfs = await createVFS();
+    await vfs.writeFile('out.txt', 'base-', 'task');
+    const { streamId } = await vfs.openWriteStream('out.txt', 'task', { append });
+    for (const part of ['aa', 'bb', 'cc']) await vfs.writeStreamChunk(streamId, part);
+
+    // The second part lands, then the close dies before recording it.
+    const writeFile = vfs._writeFile.bind(vfs);
+    let calls = 0;
+    vfs._writeFile = async (...args) => {
+      const result = await writeFile(...args);
+      if (++calls === 2) throw new Error('killed');
+      return result;
+    };
+    await assert.rejects(vfs.closeWriteStream(streamId), /killed/);
+    vfs._writeFile = writeFile;
+
+    assert.equal((await vfs.getWriteStream(streamId)).state, 'closing');
+    await assert.rejects(vfs.writeStreamChunk(streamId, 'dd'), { code: 'CONFLICT' });
+
+    await vfs.closeWriteStream(streamId);
+    assert.equal(await read(vfs, 'out.txt', 'task'), append ? 'base-aabbcc' : 'aabbcc');
+  }
+});
+
+test('ifMatch is checked when the stream closes', async () => {
+  const vfs = await createVFS();
+  const { etag } = await vfs.writeFile('doc.txt', 'v1', 'task');
+  const { streamId } = await vfs.openWriteStream('doc.txt', 'task', { ifMatch: etag });
+  await vfs.writeStreamChunk(streamId, 'v2');
+  await vfs.writeFile('doc.txt', 'changed', 'task');
+
+  await assert.rejects(vfs.closeWriteStream(streamId), { code: 'CONFLICT' });
+  assert.equal((await vfs.abortWriteStream(streamId)).state, 'aborted');
+  assert.equal((await vfs.listWriteStreams()).total, 0);
+});
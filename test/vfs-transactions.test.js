@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createVFS(backend = new MemoryBackend(), options = {}) {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend, ...options });
+  await vfs.ready;
+  return vfs;
+}
+
+async function read(vfs, filepath) {
+  return (await vfs.readFile(filepath, 'run')).content;
+}
+
+test('a commit applies every staged operation', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('stale.json', '{}', 'run');
+
+  const { txId } = await vfs.beginTransaction({ description: 'refresh' });
+  await vfs.stageWrite(txId, 'data/a.json', '1', 'run');
+  await vfs.stageWrite(txId, 'index.json', '[1]', 'run');
+  await vfs.stageDelete(txId, 'stale.json', 'run');
+
+  // Nothing is visible until the commit.
+  assert.equal(await vfs.exists('index.json', 'run'), false);
+
+  const committed = await vfs.commitTransaction(txId);
+  assert.equal(committed.state, 'committed');
+  assert.equal(committed.operations.length, 3);
+  assert.equal(await read(vfs, 'data/a.json'), '1');
+  assert.equal(await read(vfs, 'index.json'), '[1]');
+  assert.equal(await vfs.exists('stale.json', 'run'), false);
+
+  await assert.rejects(vfs.getTransaction(txId), { code: 'NOT_FOUND' });
+});
+
+test('a commit that would fail validation changes nothing', async () => {
+  const vfs = await createVFS(new MemoryBackend(), { quotas: { run: { maxBytes: 5 } } });
+  await vfs.writeFile('a.txt', 'abc', 'run');
+
+  const { txId } = await vfs.beginTransaction();
+  await vfs.stageWrite(txId, 'a.txt', 'x', 'run');
+  await vfs.stageWrite(txId, 'b.txt', '123456', 'run');
+  await assert.rejects(vfs.commitTransaction(txId), { code: 'QUOTA_EXCEEDED' });
+  assert.equal(await read(vfs, 'a.txt'), 'abc');
+
+  const missing = await vfs.beginTransaction();
+  await vfs.stageDelete(missing.txId, 'nope.txt', 'run');
+  await assert.rejects(vfs.commitTransaction(missing.txId), { code: 'NOT_FOUND' });
+});
+
+test('a failed apply step rolls back the operations already applied', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('a.txt', 'old a', 'run');
+
+  const { txId } = await vfs.beginTransaction();
+  await vfs.stageWrite(txId, 'a.txt', 'new a', 'run');
+  await vfs.stageWrite(txId, 'b.txt', 'new b', 'run');
+
+  const writeFile = vfs.writeFile.bind(vfs);
+  vfs.writeFile = async (filepath, ...rest) => {
+    if (filepath === 'b.txt') throw new Error('disk full');
+    return writeFile(filepath, ...rest);
+  };
+  await assert.rejects(vfs.commitTransaction(txId), /disk full/);
+  vfs.writeFile = writeFile;
+
+  assert.equal(await read(vfs, 'a.txt'), 'old a');
+  assert.equal(await vfs.exists('b.txt', 'run'), false);
+});
+
+test('aborted transactions leave the scope untouched', async () => {
+  const vfs = await createVFS();
+  const { txId } = await vfs.beginTransaction();
+  await vfs.stageWrite(txId, 'a.txt', 'x', 'run');
+
+  assert.equal((await vfs.abortTransaction(txId)).state, 'aborted');
+  assert.equal(await vfs.exists('a.txt', 'run'), false);
+  await assert.rejects(vfs.commitTransaction(txId), { code: 'NOT_FOUND' });
+});
+
+test('a commit interrupted after it started is completed when the VFS is next opened', async () => {
+  const backend = new MemoryBackend();
+  const vfs = await createVFS(backend);
+  await vfs.writeFile('a.txt', 'old', 'run');
+
+  const { txId } = await vfs.beginTransaction();
+  await vfs.stageWrite(txId, 'a.txt', 'new', 'run');
+  await vfs.stageWrite(txId, 'b.txt', 'b', 'run');
+
+  // What a process killed between recording the intent and applying it leaves behind.
+  const record = await vfs.transactions._loadOpen(txId);
+  await vfs.transactions._prepare(record);
+  record.state = 'committing';
+  await vfs.transactions._save(record);
+
+  const reopened = await createVFS(backend);
+  assert.equal(await read(reopened, 'a.txt'), 'new');
+  assert.equal(await read(reopened, 'b.txt'), 'b');
+  await assert.rejects(reopened.getTransaction(txId), { code: 'NOT_FOUND' });
+});
+
+test('a commit interrupted while rolling back is rolled back on recovery', async () => {
+  const backend = new MemoryBackend();
+  const vfs = await createVFS(backend);
+  await vfs.writeFile('a.txt', 'old', 'run');
+
+  const { txId } = await vfs.beginTransaction();
+  await vfs.stageWrite(txId, 'a.txt', 'new', 'run');
+  await vfs.stageWrite(txId, 'b.txt', 'b', 'run');
+
+  const record = await vfs.transactions._loadOpen(txId);
+  await vfs.transactions._prepare(record);
+  await vfs.writeFile('a.txt', 'new', 'run');
+  record.state = 'rolling-back';
+  await vfs.transactions._save(record);
+
+  const { recovered } = await vfs.recoverTransactions();
+  assert.deepEqual(recovered, [{ txId, action: 'rolled-back' }]);
+  assert.equal(await read(vfs, 'a.txt'), 'old');
+  assert.equal(await vfs.exists('b.txt', 'run'), false);
+});
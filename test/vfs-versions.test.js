@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createVFS(versioning, backend = new MemoryBackend()) {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend, versioning });
+  await vfs.ready;
+  return vfs;
+}
+
+test('each write records a version that can be read back', async () => {
+  const vfs = await createVFS({ task: true });
+  for (const content of ['one', 'two', 'three']) {
+    await vfs.writeFile('state.txt', content, 'task');
+  }
+
+  const { versions } = await vfs.listVersions('state.txt', 'task');
+  assert.deepEqual(versions.map(entry => entry.version), [3, 2, 1]);
+  assert.equal(versions[0].current, true);
+  assert.equal(versions[0].runId, 'run');
+
+  const past = await vfs.readFile('state.txt', 'task', { version: 2 });
+  assert.equal(past.content, 'two');
+  assert.equal(past.version, 2);
+  assert.equal((await vfs.readFile('state.txt', 'task')).version, 3);
+});
+
+test('revertFile writes an old version as a new one', async () => {
+  const vfs = await createVFS({ task: true });
+  await vfs.writeFile('state.txt', 'good', 'task');
+  await vfs.writeFile('state.txt', 'bad', 'task');
+
+  const reverted = await vfs.revertFile('state.txt', 1, 'task');
+  assert.equal(reverted.version, 3);
+  assert.equal(reverted.revertedFrom, 1);
+  assert.equal((await vfs.readFile('state.txt', 'task')).content, 'good');
+  assert.equal((await vfs.listVersions('state.txt', 'task')).versions[0].revertedFrom, 1);
+
+  await assert.rejects(vfs.revertFile('state.txt', 9, 'task'), { code: 'NOT_FOUND' });
+});
+
+test('only the last `keep` prior versions are kept', async () => {
+  const vfs = await createVFS({ run: { keep: 2 } });
+  for (let n = 1; n <= 5; n++) {
+    await vfs.writeFile('log.txt', `v${n}`, 'run');
+  }
+
+  const { versions } = await vfs.listVersions('log.txt', 'run');
+  assert.deepEqual(versions.map(entry => entry.version), [5, 4, 3]);
+  await assert.rejects(vfs.readFile('log.txt', 'run', { version: 1 }), { code: 'NOT_FOUND' });
+});
+
+test('a file written before versioning was enabled keeps its original content', async () => {
+  const backend = new MemoryBackend();
+  await (await createVFS({}, backend)).writeFile('old.txt', 'before', 'task');
+
+  const vfs = await createVFS({ task: true }, backend);
+  await vfs.writeFile('old.txt', 'after', 'task');
+
+  const { versions } = await vfs.listVersions('old.txt', 'task');
+  assert.deepEqual(versions.map(entry => entry.version), [2, 1]);
+  assert.equal((await vfs.readFile('old.txt', 'task', { version: 1 })).content, 'before');
+});
+
+test('scopes without versioning refuse version operations', async () => {
+  const vfs = await createVFS({ task: true });
+  await vfs.writeFile('a.txt', 'x', 'run');
+  await assert.rejects(vfs.listVersions('a.txt', 'run'), { code: 'FAILED_PRECONDITION' });
+  await assert.rejects(vfs.revertFile('a.txt', 1, 'run'), { code: 'FAILED_PRECONDITION' });
+});
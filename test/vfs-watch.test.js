@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskVFS } = require('../taskcode/vfs.js');
+const { HostTools } = require('../taskcode/host-tools.js');
+const { ToolRegistry } = require('../taskcode/tool-registry.js');
+const { MemoryBackend } = require('../taskcode/backends/memory.js');
+
+async function createVFS(backend = new MemoryBackend()) {
+  const vfs = new TaskVFS('/eco', 'task', 'run', { backend });
+  await vfs.ready;
+  return vfs;
+}
+
+test('polls return changes once and advance the cursor', async t => {
+  const vfs = await createVFS();
+  t.after(() => vfs.watches.closeAll());
+  await vfs.mkdir('inbox', 'run');
+  const { subscriptionId } = await vfs.subscribe('inbox', 'run', { debounceMs: 0 });
+
+  await vfs.writeFile('inbox/a.txt', 'a', 'run');
+  const first = await vfs.pollSubscription(subscriptionId, { waitMs: 1000 });
+  assert.equal(first.timedOut, false);
+  assert.deepEqual(first.events.map(event => [event.type, event.path]), [['created', 'inbox/a.txt']]);
+
+  const empty = await vfs.pollSubscription(subscriptionId);
+  assert.deepEqual(empty.events, []);
+  assert.equal(empty.cursor, first.cursor);
+
+  const waited = await vfs.pollSubscription(subscriptionId, { waitMs: 20 });
+  assert.equal(waited.timedOut, true);
+});
+
+test('changes made while no watcher ran are found by a scan on resume', async t => {
+  const backend = new MemoryBackend();
+  const vfs = await createVFS(backend);
+  await vfs.writeFile('data/a.txt', 'a', 'run');
+  await vfs.writeFile('data/b.txt', 'b', 'run');
+  const { subscriptionId } = await vfs.subscribe('data', 'run', { glob: '*.txt' });
+  vfs.watches.closeAll();
+
+  await vfs.writeFile('data/a.txt', 'changed', 'run');
+  await vfs.deleteFile('data/b.txt', 'run');
+  await vfs.writeFile('data/c.txt', 'c', 'run');
+  await vfs.writeFile('data/skip.json', '{}', 'run');
+
+  const resumed = await createVFS(backend);
+  t.after(() => resumed.watches.closeAll());
+  const { events } = await resumed.pollSubscription(subscriptionId);
+  const seen = events.map(event => `${event.type}:${event.path}`).sort();
+  assert.deepEqual(seen, ['created:data/c.txt', 'deleted:data/b.txt', 'modified:data/a.txt']);
+});
+
+test('consumed events are dropped from the log', async t => {
+  const vfs = await createVFS();
+  t.after(() => vfs.watches.closeAll());
+  await vfs.mkdir('logs', 'run');
+  const { subscriptionId } = await vfs.subscribe('logs', 'run');
+  vfs.watches.closeAll();
+
+  await vfs.writeFile('logs/1.txt', '1', 'run');
+  await vfs.writeFile('logs/2.txt', '2', 'run');
+  await vfs.writeFile('logs/3.txt', '3', 'run');
+
+  const logKey = vfs.watches._logKey(subscriptionId);
+  const page = await vfs.pollSubscription(subscriptionId, { limit: 2, rescan: true });
+  assert.equal(page.events.length, 2);
+  assert.equal(page.more, true);
+  assert.equal((await vfs.watches._lines(subscriptionId)).length, 1);
+
+  // An explicit cursor peeks without consuming.
+  const peek = await vfs.pollSubscription(subscriptionId, { cursor: page.cursor });
+  assert.equal(peek.events.length, 1);
+  assert.equal((await vfs.watches._lines(subscriptionId)).length, 1);
+
+  const rest = await vfs.pollSubscription(subscriptionId);
+  assert.deepEqual(rest.events.map(event => event.path), ['logs/3.txt']);
+  assert.equal(await vfs.backend.stat(logKey), null);
+  assert.equal((await vfs.getSubscription(subscriptionId)).eventCount, 3);
+});
+
+test('expired subscriptions are closed once drained', async () => {
+  const vfs = await createVFS();
+  await vfs.writeFile('a.txt', 'a', 'run');
+  const { subscriptionId } = await vfs.subscribe('a.txt', 'run', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  const result = await vfs.pollSubscription(subscriptionId);
+  assert.equal(result.expired, true);
+  await assert.rejects(vfs.getSubscription(subscriptionId), { code: 'NOT_FOUND' });
+});
+
+test('the watch tool subscribes, polls and unsubscribes', async () => {
+  const tools = new HostTools('/eco', 'task', 'run', { backend: new MemoryBackend(), registry: new ToolRegistry() });
+  await tools.vfs.ready;
+  await tools.tools.writeFile({ path: 'a.txt', content: 'a' });
+
+  const subscribed = await tools.tools.watch({ action: 'subscribe', path: 'a.txt' });
+  assert.equal(subscribed.state, 'active');
+  assert.equal((await tools.tools.watch({ action: 'list' })).total, 1);
+
+  const missing = await tools.tools.watch({ action: 'subscribe', path: 'nope.txt' });
+  assert.equal(missing.code, 'NOT_FOUND');
+
+  const closed = await tools.tools.watch({ action: 'unsubscribe', subscriptionId: subscribed.subscriptionId });
+  assert.equal(closed.state, 'closed');
+  await tools.dispose();
+});
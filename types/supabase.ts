@@ -0,0 +1,155 @@
+export type Json =
+  | string
+  | number
+  | boolean
+  | null
+  | { [key: string]: Json | undefined }
+  | Json[]
+
+export type Database = {
+  public: {
+    Tables: {
+      stack_runs: {
+        Row: {
+          args: Json | null
+          created_at: string
+          id: string
+          method_name: string
+          parent_task_run_id: string
+          result: Json | null
+          seq: number | null
+          service_name: string
+          status: string
+          updated_at: string
+        }
+        Insert: {
+          args?: Json | null
+          created_at?: string
+          id: string
+          method_name: string
+          parent_task_run_id: string
+          result?: Json | null
+          seq?: number | null
+          service_name: string
+          status: string
+          updated_at?: string
+        }
+        Update: {
+          args?: Json | null
+          created_at?: string
+          id?: string
+          method_name?: string
+          parent_task_run_id?: string
+          result?: Json | null
+          seq?: number | null
+          service_name?: string
+          status?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      task_function_versions: {
+        Row: {
+          code: string
+          created_at: string
+          description: string | null
+          hash: string
+          input_schema: Json | null
+          name: string
+        }
+        Insert: {
+          code: string
+          created_at?: string
+          description?: string | null
+          hash: string
+          input_schema?: Json | null
+          name: string
+        }
+        Update: {
+          code?: string
+          created_at?: string
+          description?: string | null
+          hash?: string
+          input_schema?: Json | null
+          name?: string
+        }
+        Relationships: []
+      }
+      task_functions: {
+        Row: {
+          code: string
+          current_hash: string | null
+          description: string | null
+          input_schema: Json | null
+          name: string
+          updated_at: string
+        }
+        Insert: {
+          code: string
+          current_hash?: string | null
+          description?: string | null
+          input_schema?: Json | null
+          name: string
+          updated_at?: string
+        }
+        Update: {
+          code?: string
+          current_hash?: string | null
+          description?: string | null
+          input_schema?: Json | null
+          name?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      task_runs: {
+        Row: {
+          created_at: string
+          error: Json | null
+          id: string
+          input: Json | null
+          result: Json | null
+          status: string
+          task_name: string
+          task_version: string | null
+          updated_at: string
+        }
+        Insert: {
+          created_at?: string
+          error?: Json | null
+          id: string
+          input?: Json | null
+          result?: Json | null
+          status: string
+          task_name: string
+          task_version?: string | null
+          updated_at?: string
+        }
+        Update: {
+          created_at?: string
+          error?: Json | null
+          id?: string
+          input?: Json | null
+          result?: Json | null
+          status?: string
+          task_name?: string
+          task_version?: string | null
+          updated_at?: string
+        }
+        Relationships: []
+      }
+    }
+    Views: {
+      [_ in never]: never
+    }
+    Functions: {
+      [_ in never]: never
+    }
+    Enums: {
+      [_ in never]: never
+    }
+    CompositeTypes: {
+      [_ in never]: never
+    }
+  }
+}